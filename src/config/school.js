@@ -0,0 +1,14 @@
+/**
+ * School profile printed on generated documents (report cards,
+ * transcripts, receipts). Configured through environment variables,
+ * read on each call because .env is loaded after modules are imported.
+ */
+const getSchoolProfile = () => ({
+  name: process.env.SCHOOL_NAME || "Smart School",
+  address: process.env.SCHOOL_ADDRESS || "",
+  phone: process.env.SCHOOL_PHONE || "",
+  email: process.env.SCHOOL_EMAIL || "",
+  website: process.env.SCHOOL_WEBSITE || "",
+});
+
+export default getSchoolProfile;
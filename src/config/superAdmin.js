@@ -0,0 +1,42 @@
+import Admin from "../models/admin.model.js";
+import User from "../models/user.model.js";
+
+/**
+ * Make sure the school has a super admin; only super admins can manage
+ * admin accounts, so without one nobody could. Runs at startup:
+ * - SUPER_ADMIN_EMAIL set: the admin with that email is promoted
+ * - otherwise, if there is no super admin yet, the earliest admin is
+ */
+const ensureSuperAdmin = async () => {
+  try {
+    const email = process.env.SUPER_ADMIN_EMAIL?.trim().toLowerCase();
+
+    if (email) {
+      const user = await User.findOne({ email, role: "admin" }).select("_id");
+      if (!user) {
+        console.error(`SUPER_ADMIN_EMAIL: no admin account for ${email}`);
+        return;
+      }
+
+      const { modifiedCount } = await Admin.updateOne(
+        { userId: user._id, adminLevel: { $ne: "super" } },
+        { $set: { adminLevel: "super" } },
+      );
+      if (modifiedCount > 0) console.log(`Promoted ${email} to super admin`);
+      return;
+    }
+
+    if (await Admin.exists({ adminLevel: "super" })) return;
+
+    const earliest = await Admin.findOne().sort({ createdAt: 1 });
+    if (!earliest) return;
+
+    earliest.adminLevel = "super";
+    await earliest.save({ validateModifiedOnly: true });
+    console.log(`Promoted admin ${earliest.userId} to super admin`);
+  } catch (err) {
+    console.error("Super admin setup failed:", err.message);
+  }
+};
+
+export default ensureSuperAdmin;
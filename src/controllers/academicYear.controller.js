@@ -0,0 +1,147 @@
+import academicYearService from "../services/academicYear.service.js";
+
+class AcademicYearController {
+  // Create a new academic year
+  async createAcademicYear(req, res) {
+    try {
+      const academicYear = await academicYearService.createAcademicYear(
+        req.body,
+      );
+      res.status(201).json({
+        success: true,
+        message: "Academic year created successfully",
+        data: academicYear,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Get all academic years
+  async getAllAcademicYears(req, res) {
+    try {
+      const academicYears = await academicYearService.getAllAcademicYears();
+      res.status(200).json({
+        success: true,
+        count: academicYears.length,
+        data: academicYears,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Get the current academic year and term
+  async getCurrentAcademicYear(req, res) {
+    try {
+      const current = await academicYearService.getCurrentAcademicYear();
+      res.status(200).json({
+        success: true,
+        data: current,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Get year strings stored on records that are not registered
+  async getUnregisteredYears(req, res) {
+    try {
+      const years = await academicYearService.getUnregisteredYears();
+      res.status(200).json({
+        success: true,
+        count: years.length,
+        data: years,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Get academic year by ID
+  async getAcademicYearById(req, res) {
+    try {
+      const academicYear = await academicYearService.getAcademicYearById(
+        req.params.id,
+      );
+      res.status(200).json({
+        success: true,
+        data: academicYear,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Update academic year dates and terms
+  async updateAcademicYear(req, res) {
+    try {
+      const academicYear = await academicYearService.updateAcademicYear(
+        req.params.id,
+        req.body,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Academic year updated successfully",
+        data: academicYear,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Set the current academic year
+  async setCurrentAcademicYear(req, res) {
+    try {
+      const academicYear = await academicYearService.setCurrentAcademicYear(
+        req.params.id,
+      );
+      res.status(200).json({
+        success: true,
+        message: `${academicYear.name} is now the current academic year`,
+        data: academicYear,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Delete an unused academic year
+  async deleteAcademicYear(req, res) {
+    try {
+      await academicYearService.deleteAcademicYear(req.params.id);
+      res.status(200).json({
+        success: true,
+        message: "Academic year deleted successfully",
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+export default new AcademicYearController();
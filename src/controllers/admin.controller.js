@@ -5,7 +5,16 @@ import Teacher from "../models/teacher.model.js";
 import Admin from "../models/admin.model.js";
 import Class from "../models/class.model.js";
 import Subject from "../models/subject.model.js";
-import { resolveTeacherProfile } from "../utils/profileHelper.js";
+import {
+  resolveTeacherProfile,
+  generateAdmissionNumber,
+} from "../utils/profileHelper.js";
+import authService from "../services/auth.service.js";
+import loginAttemptService from "../services/loginAttempt.service.js";
+import auditService from "../services/audit.service.js";
+import studentImportService from "../services/studentImport.service.js";
+import promotionService from "../services/promotion.service.js";
+import academicYearService from "../services/academicYear.service.js";
 import Schedule from "../models/schedule.model.js";
 import Attendance from "../models/attendance.model.js";
 import Result from "../models/result.model.js";
@@ -20,15 +29,6 @@ import bcrypt from "bcryptjs";
  * - Student/Parent/Teacher models = role-specific data
  */
 
-/**
- * Generate unique admission number for students
- */
-const generateAdmissionNumber = async () => {
-  const year = new Date().getFullYear().toString().slice(-2);
-  const count = await Student.countDocuments();
-  return `ADM${year}${(count + 1).toString().padStart(5, "0")}`;
-};
-
 /**
  * Generate unique employee code for teachers
  */
@@ -38,6 +38,18 @@ const generateEmployeeCode = async () => {
   return `EMP${year}${(count + 1).toString().padStart(4, "0")}`;
 };
 
+/**
+ * Keys of the Admin.permissions matrix
+ */
+const ADMIN_PERMISSION_KEYS = Object.keys(Admin.schema.obj.permissions);
+
+/**
+ * Only super admins may create, edit, reset or delete admin accounts.
+ * Relies on req.adminProfile loaded by the permission middleware.
+ */
+const canManageAdminAccounts = (req) =>
+  req.adminProfile?.adminLevel === "super";
+
 class AdminController {
   // ============ USER MANAGEMENT ============
 
@@ -66,6 +78,13 @@ class AdminController {
         });
       }
 
+      if (role === "admin" && !canManageAdminAccounts(req)) {
+        return res.status(403).json({
+          success: false,
+          message: "Only super admins can create admin accounts",
+        });
+      }
+
       // Check if user already exists
       const existingUser = await User.findOne({ email });
       if (existingUser) {
@@ -75,6 +94,13 @@ class AdminController {
         });
       }
 
+      // Students are enrolled into a registered year (current by default)
+      if (role === "student") {
+        roleData.academicYear = await academicYearService.resolveAcademicYear(
+          roleData.academicYear,
+        );
+      }
+
       // Hash password
       const hashedPassword = await bcrypt.hash(password, 10);
 
@@ -103,9 +129,7 @@ class AdminController {
               rollNumber: roleData.rollNumber || null,
               classId: roleData.classId || null,
               section: roleData.section || null,
-              academicYear:
-                roleData.academicYear ||
-                `${new Date().getFullYear()}-${new Date().getFullYear() + 1}`,
+              academicYear: roleData.academicYear,
               dateOfBirth: roleData.dateOfBirth || null,
               address: roleData.address || null,
             });
@@ -173,7 +197,7 @@ class AdminController {
         },
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: "Error creating user",
         error: error.message,
@@ -334,6 +358,13 @@ class AdminController {
         });
       }
 
+      if (user.role === "admin" && !canManageAdminAccounts(req)) {
+        return res.status(403).json({
+          success: false,
+          message: "Only super admins can edit admin accounts",
+        });
+      }
+
       // Check email uniqueness if email is being changed
       if (email && email !== user.email) {
         const existingUser = await User.findOne({ email });
@@ -396,10 +427,20 @@ class AdminController {
         });
       }
 
+      if (user.role === "admin" && !canManageAdminAccounts(req)) {
+        return res.status(403).json({
+          success: false,
+          message: "Only super admins can reset admin passwords",
+        });
+      }
+
       const hashedPassword = await bcrypt.hash(newPassword, 10);
       user.password = hashedPassword;
       await user.save();
 
+      // Force the user to log in again on every device
+      await authService.revokeAllUserSessions(user._id, "password-reset");
+
       res.status(200).json({
         success: true,
         message: "Password reset successfully",
@@ -428,6 +469,13 @@ class AdminController {
         });
       }
 
+      if (user.role === "admin" && !canManageAdminAccounts(req)) {
+        return res.status(403).json({
+          success: false,
+          message: "Only super admins can delete admin accounts",
+        });
+      }
+
       // Delete associated profile based on role
       if (user.profileId) {
         switch (user.role) {
@@ -513,14 +561,16 @@ class AdminController {
         });
       }
 
+      // Validate the academic year (defaults to the current session)
+      const studentYear =
+        await academicYearService.resolveAcademicYear(academicYear);
+
       // Check for duplicate roll number in class (if provided)
       if (classId && rollNumber) {
         const existingRoll = await Student.findOne({
           classId,
           rollNumber,
-          academicYear:
-            academicYear ||
-            `${new Date().getFullYear()}-${new Date().getFullYear() + 1}`,
+          academicYear: studentYear,
         });
         if (existingRoll) {
           return res.status(409).json({
@@ -553,9 +603,7 @@ class AdminController {
         section: section || null,
         rollNumber: rollNumber || null,
         parentId: parentId || null,
-        academicYear:
-          academicYear ||
-          `${new Date().getFullYear()}-${new Date().getFullYear() + 1}`,
+        academicYear: studentYear,
         dateOfBirth: dateOfBirth || null,
         address: address || null,
       });
@@ -587,7 +635,7 @@ class AdminController {
         },
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: "Error enrolling student",
         error: error.message,
@@ -733,6 +781,10 @@ class AdminController {
         });
       }
 
+      if (academicYear) {
+        await academicYearService.assertKnownYear(academicYear);
+      }
+
       // Check roll number uniqueness if changing
       if (rollNumber && rollNumber !== student.rollNumber) {
         const existingRoll = await Student.findOne({
@@ -791,7 +843,7 @@ class AdminController {
         data: updatedStudent,
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: "Error updating student",
         error: error.message,
@@ -905,6 +957,48 @@ class AdminController {
     }
   }
 
+  /**
+   * Bulk import students (with parent linking and class assignment)
+   * Accepts a CSV file upload (field "file") or a JSON "rows" array.
+   * Defaults to a dry run that only returns the per-row validation report.
+   */
+  async importStudents(req, res) {
+    try {
+      const { rows, academicYear } = req.body;
+      const dryRun = !["false", false].includes(req.body.dryRun);
+      const skipInvalid = ["true", true].includes(req.body.skipInvalid);
+
+      const records = studentImportService.parseInput({
+        fileBuffer: req.file?.buffer,
+        rows: typeof rows === "string" ? JSON.parse(rows) : rows,
+      });
+
+      const result = await studentImportService.importStudents(records, {
+        dryRun,
+        skipInvalid,
+        academicYear,
+      });
+
+      let message = "Import validated successfully";
+      if (result.committed) {
+        message = `${result.summary.created} student(s) imported`;
+      } else if (result.summary.invalid > 0) {
+        message = `${result.summary.invalid} row(s) have errors; nothing was imported`;
+      }
+
+      res.status(result.committed ? 201 : 200).json({
+        success: true,
+        message,
+        data: result,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message || "Error importing students",
+      });
+    }
+  }
+
   // ============ PARENT MANAGEMENT ============
 
   /**
@@ -1453,6 +1547,313 @@ class AdminController {
     }
   }
 
+  // ============ ACADEMIC YEAR ROLLOVER ============
+
+  /**
+   * Preview the academic year rollover (nothing is written)
+   * Body: fromYear, toYear, passPercentage, requireAllSubjects, examType,
+   * classMapping, graduatingClasses, overrides, rollNumberOrder,
+   * carryOverTeachers
+   */
+  async previewPromotion(req, res) {
+    try {
+      const plan = await promotionService.previewPromotion(req.body);
+
+      res.status(200).json({
+        success: true,
+        data: plan,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error building promotion preview",
+      });
+    }
+  }
+
+  /**
+   * Commit the academic year rollover (same body as the preview)
+   */
+  async commitPromotion(req, res) {
+    try {
+      const run = await promotionService.commitPromotion(
+        req.body,
+        req.user._id,
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `Promotion to ${run.toYear} completed`,
+        data: run,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error committing promotion",
+        errors: error.details,
+      });
+    }
+  }
+
+  /**
+   * Get past promotion runs
+   */
+  async getPromotionRuns(req, res) {
+    try {
+      const runs = await promotionService.getPromotionRuns(req.query);
+
+      res.status(200).json({
+        success: true,
+        count: runs.length,
+        data: runs,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error fetching promotion runs",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get a promotion run with per-student outcomes
+   */
+  async getPromotionRunById(req, res) {
+    try {
+      const run = await promotionService.getPromotionRunById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: run,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error fetching promotion run",
+      });
+    }
+  }
+
+  // ============ LOGIN LOCKOUTS ============
+
+  /**
+   * Get accounts / IPs currently locked after failed logins
+   * Optional query: scope=account|ip
+   */
+  async getLockedAccounts(req, res) {
+    try {
+      const { scope } = req.query;
+
+      if (scope && !["account", "ip"].includes(scope)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid scope. Must be: account or ip",
+        });
+      }
+
+      const lockedEntries = await loginAttemptService.getLockedEntries(scope);
+
+      res.status(200).json({
+        success: true,
+        count: lockedEntries.length,
+        data: lockedEntries,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error fetching locked accounts",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Unlock a locked account / IP
+   */
+  async unlockAccount(req, res) {
+    try {
+      const { id } = req.params;
+
+      const tracker = await loginAttemptService.unlock(id);
+
+      res.status(200).json({
+        success: true,
+        message: "Account unlocked successfully",
+        data: tracker,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error unlocking account",
+      });
+    }
+  }
+
+  // ============ AUDIT LOG ============
+
+  /**
+   * Get audit log entries
+   * Filters: actor, actorRole, action, entityType, entityId, field, from, to
+   */
+  async getAuditLogs(req, res) {
+    try {
+      const result = await auditService.getAuditLogs(req.query);
+
+      res.status(200).json({
+        success: true,
+        data: result.logs,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error fetching audit logs",
+      });
+    }
+  }
+
+  /**
+   * Get change history of a single entity (e.g. a Result or Fee)
+   */
+  async getEntityAuditHistory(req, res) {
+    try {
+      const { entityType, entityId } = req.params;
+
+      const history = await auditService.getEntityHistory(entityType, entityId);
+
+      res.status(200).json({
+        success: true,
+        count: history.length,
+        data: history,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error fetching audit history",
+      });
+    }
+  }
+
+  // ============ ADMIN PERMISSIONS ============
+
+  /**
+   * Get all admins with their level and permissions
+   * SUPER ADMIN ONLY
+   */
+  async getAllAdmins(req, res) {
+    try {
+      const admins = await Admin.find()
+        .populate("userId", "name email phone lastLogin")
+        .sort({ adminLevel: -1, createdAt: 1 });
+
+      res.status(200).json({
+        success: true,
+        count: admins.length,
+        permissionKeys: ADMIN_PERMISSION_KEYS,
+        data: admins,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error fetching admins",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Update another admin's permissions and/or admin level
+   * SUPER ADMIN ONLY
+   */
+  async updateAdminPermissions(req, res) {
+    try {
+      const { adminId } = req.params;
+      const { permissions, adminLevel } = req.body;
+
+      const admin = await Admin.findById(adminId);
+      if (!admin) {
+        return res.status(404).json({
+          success: false,
+          message: "Admin not found",
+        });
+      }
+
+      if (admin._id.toString() === req.adminProfile._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own permissions",
+        });
+      }
+
+      if (permissions !== undefined) {
+        if (
+          permissions === null ||
+          typeof permissions !== "object" ||
+          Array.isArray(permissions)
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: "Permissions must be an object of permission flags",
+          });
+        }
+
+        const unknownKeys = Object.keys(permissions).filter(
+          (key) => !ADMIN_PERMISSION_KEYS.includes(key),
+        );
+        if (unknownKeys.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown permission(s): ${unknownKeys.join(", ")}`,
+          });
+        }
+
+        const nonBoolean = Object.keys(permissions).filter(
+          (key) => typeof permissions[key] !== "boolean",
+        );
+        if (nonBoolean.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Permission values must be true or false: ${nonBoolean.join(", ")}`,
+          });
+        }
+
+        for (const [key, value] of Object.entries(permissions)) {
+          admin.permissions[key] = value;
+        }
+      }
+
+      if (adminLevel !== undefined) {
+        if (!["super", "normal"].includes(adminLevel)) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid admin level. Must be: super or normal",
+          });
+        }
+        admin.adminLevel = adminLevel;
+      }
+
+      await admin.save();
+
+      const updatedAdmin = await Admin.findById(adminId).populate(
+        "userId",
+        "name email phone",
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Admin permissions updated successfully",
+        data: updatedAdmin,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating admin permissions",
+        error: error.message,
+      });
+    }
+  }
+
   // ============ DASHBOARD DATA ============
 
   /**
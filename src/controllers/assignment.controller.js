@@ -243,10 +243,14 @@ class AssignmentController {
 
       const submission =
         await submissionService.createSubmission(submissionData);
+      const attempt = submission.versions.length;
 
       res.status(201).json({
         success: true,
-        message: "Assignment submitted successfully",
+        message:
+          attempt > 1
+            ? `Assignment resubmitted (attempt ${attempt})`
+            : "Assignment submitted successfully",
         data: submission,
       });
     } catch (error) {
@@ -304,7 +308,7 @@ class AssignmentController {
     }
   }
 
-  // Student: Update submission
+  // Student: Resubmit (adds a new attempt)
   async updateSubmission(req, res) {
     try {
       const submission = await submissionService.updateSubmission(
@@ -315,7 +319,7 @@ class AssignmentController {
 
       res.status(200).json({
         success: true,
-        message: "Submission updated successfully",
+        message: `Attempt ${submission.versions.length} submitted successfully`,
         data: submission,
       });
     } catch (error) {
@@ -332,6 +336,10 @@ class AssignmentController {
       const gradeData = {
         marksObtained: req.body.marksObtained,
         feedback: req.body.feedback,
+        // Criterion scores when the assignment has a rubric
+        rubricScores: req.body.rubricScores,
+        // Attempt to grade (defaults to the latest)
+        version: req.params.version ?? req.body.version,
       };
 
       const submission = await submissionService.gradeSubmission(
@@ -353,6 +361,26 @@ class AssignmentController {
     }
   }
 
+  // Student/Teacher: Get every attempt of a submission
+  async getSubmissionVersions(req, res) {
+    try {
+      const result = await submissionService.getSubmissionVersions(
+        req.params.id,
+        req.user,
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      res.status(error.message === "Submission not found" ? 404 : 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
   // Student: Get submission statistics
   async getSubmissionStats(req, res) {
     try {
@@ -1,6 +1,14 @@
 import Fee from "../models/fee.model.js";
 import Student from "../models/student.model.js";
 import Parent from "../models/parent.model.js";
+import Payment from "../models/payment.model.js";
+import feeStructureService from "../services/feeStructure.service.js";
+import paymentService from "../services/payment.service.js";
+import fineRuleService from "../services/fineRule.service.js";
+import concessionService from "../services/concession.service.js";
+import feeDocumentService from "../services/feeDocument.service.js";
+import feeReportService from "../services/feeReport.service.js";
+import feeReminderService from "../services/feeReminder.service.js";
 
 /**
  * Create a new fee entry
@@ -265,6 +273,9 @@ export const getFeesByStudent = async (req, res) => {
       totalAmount: fees.reduce((sum, f) => sum + f.totalAmount, 0),
       totalPaid: fees.reduce((sum, f) => sum + f.amountPaid, 0),
       totalBalance: fees.reduce((sum, f) => sum + f.balanceDue, 0),
+      // Fines are shown apart from the fee amounts
+      totalFine: fees.reduce((sum, f) => sum + f.fine + f.lateFine, 0),
+      totalLateFine: fees.reduce((sum, f) => sum + f.lateFine, 0),
       pendingCount: fees.filter((f) => f.paymentStatus === "pending").length,
       overdueCount: fees.filter((f) => f.paymentStatus === "overdue").length,
     };
@@ -311,6 +322,9 @@ export const getMyFees = async (req, res) => {
       totalAmount: fees.reduce((sum, f) => sum + f.totalAmount, 0),
       totalPaid: fees.reduce((sum, f) => sum + f.amountPaid, 0),
       totalBalance: fees.reduce((sum, f) => sum + f.balanceDue, 0),
+      // Fines are shown apart from the fee amounts
+      totalFine: fees.reduce((sum, f) => sum + f.fine + f.lateFine, 0),
+      totalLateFine: fees.reduce((sum, f) => sum + f.lateFine, 0),
       pendingCount: fees.filter((f) => f.paymentStatus === "pending").length,
       overdueCount: fees.filter((f) => f.paymentStatus === "overdue").length,
     };
@@ -330,53 +344,27 @@ export const getMyFees = async (req, res) => {
 };
 
 /**
- * Record payment for a fee
+ * Record payment for a fee (adds a transaction to the payment ledger)
  * @route POST /api/fees/:id/pay
  * @access Admin
  */
 export const recordPayment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { amountPaid, paymentMethod, transactionRef } = req.body;
+    const { amountPaid, paymentMethod, transactionRef, paidAt, remarks } =
+      req.body;
 
-    const fee = await Fee.findById(id);
-    if (!fee) {
-      return res.status(404).json({
-        success: false,
-        message: "Fee not found",
-      });
-    }
-
-    if (amountPaid <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Payment amount must be greater than 0",
-      });
-    }
-
-    if (amountPaid > fee.balanceDue) {
-      return res.status(400).json({
-        success: false,
-        message: `Payment amount cannot exceed balance due (${fee.balanceDue})`,
-      });
-    }
-
-    // Update fee with payment
-    fee.amountPaid += amountPaid;
-    fee.balanceDue = fee.totalAmount - fee.amountPaid;
-    fee.paymentMethod = paymentMethod || "cash";
-    fee.transactionRef = transactionRef;
-    fee.paidDate = new Date();
-
-    // Update payment status
-    if (fee.balanceDue <= 0) {
-      fee.paymentStatus = "paid";
-      fee.receiptNumber = `RCP-${Date.now()}-${Math.random().toString(36).substring(2, 7).toUpperCase()}`;
-    } else {
-      fee.paymentStatus = "partial";
-    }
-
-    await fee.save();
+    const { payment } = await paymentService.recordPayment(
+      id,
+      {
+        amount: amountPaid,
+        method: paymentMethod,
+        reference: transactionRef,
+        paidAt,
+        remarks,
+      },
+      req.user,
+    );
 
     const populatedFee = await Fee.findById(id).populate({
       path: "studentId",
@@ -391,9 +379,10 @@ export const recordPayment = async (req, res) => {
       success: true,
       message: "Payment recorded successfully",
       data: populatedFee,
+      payment,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "Failed to record payment",
     });
@@ -434,7 +423,7 @@ export const updateFee = async (req, res) => {
     if (description !== undefined) fee.description = description;
 
     // Recalculate balances
-    fee.totalAmount = fee.amount - fee.discount + fee.fine;
+    fee.totalAmount = fee.amount - fee.discount + fee.fine + fee.lateFine;
     fee.balanceDue = fee.totalAmount - fee.amountPaid;
 
     await fee.save();
@@ -478,8 +467,8 @@ export const deleteFee = async (req, res) => {
       });
     }
 
-    // Only allow deletion if no payment has been made
-    if (fee.amountPaid > 0) {
+    // Only allow deletion if no payment has been made (voided ones included)
+    if (fee.amountPaid > 0 || (await Payment.exists({ feeId: fee._id }))) {
       return res.status(400).json({
         success: false,
         message: "Cannot delete a fee with recorded payments",
@@ -596,3 +585,910 @@ export const getFeeStats = async (req, res) => {
     });
   }
 };
+
+// ============ FEE STRUCTURES ============
+
+/**
+ * Get fee structures
+ * @route GET /api/fees/structures
+ * @access Admin
+ */
+export const getFeeStructures = async (req, res) => {
+  try {
+    const structures = await feeStructureService.getAllStructures(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: structures.length,
+      data: structures,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch fee structures",
+    });
+  }
+};
+
+/**
+ * Get a fee structure
+ * @route GET /api/fees/structures/:id
+ * @access Admin
+ */
+export const getFeeStructureById = async (req, res) => {
+  try {
+    const structure = await feeStructureService.getStructureById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: structure,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch fee structure",
+    });
+  }
+};
+
+/**
+ * Billing schedule (periods and due dates) of a fee structure
+ * @route GET /api/fees/structures/:id/schedule
+ * @access Admin
+ */
+export const getFeeStructureSchedule = async (req, res) => {
+  try {
+    const schedule = await feeStructureService.getSchedule(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to build fee schedule",
+    });
+  }
+};
+
+/**
+ * Create a fee structure
+ * @route POST /api/fees/structures
+ * @access Admin
+ */
+export const createFeeStructure = async (req, res) => {
+  try {
+    const structure = await feeStructureService.createStructure(
+      req.body,
+      req.user,
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Fee structure created successfully",
+      data: structure,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message || "Failed to create fee structure",
+    });
+  }
+};
+
+/**
+ * Update a fee structure (applies to fees generated afterwards)
+ * @route PUT /api/fees/structures/:id
+ * @access Admin
+ */
+export const updateFeeStructure = async (req, res) => {
+  try {
+    const structure = await feeStructureService.updateStructure(
+      req.params.id,
+      req.body,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Fee structure updated successfully",
+      data: structure,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message || "Failed to update fee structure",
+    });
+  }
+};
+
+/**
+ * Delete a fee structure that has not generated fees
+ * @route DELETE /api/fees/structures/:id
+ * @access Admin
+ */
+export const deleteFeeStructure = async (req, res) => {
+  try {
+    await feeStructureService.deleteStructure(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Fee structure deleted successfully",
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to delete fee structure",
+    });
+  }
+};
+
+/**
+ * Generate fees from a structure for every active student of the class
+ * @route POST /api/fees/structures/:id/generate
+ * @access Admin
+ */
+export const generateFeesFromStructure = async (req, res) => {
+  try {
+    const { period, dueBefore, dryRun } = req.body;
+
+    const summary = await feeStructureService.generateInvoices(req.params.id, {
+      period,
+      dueBefore,
+      dryRun: dryRun === true || dryRun === "true",
+    });
+
+    res.status(summary.dryRun ? 200 : 201).json({
+      success: true,
+      message: summary.dryRun
+        ? `${summary.created} fee entries would be created`
+        : `Created ${summary.created} fee entries`,
+      data: summary,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to generate fees",
+    });
+  }
+};
+
+// ============ PAYMENT LEDGER ============
+
+// Admins see every student; students themselves; parents their children
+const canAccessStudent = async (user, studentId) => {
+  if (user.role === "admin") return true;
+  if (user.role === "student") {
+    return Boolean(user.profileId) && user.profileId.toString() === studentId;
+  }
+  if (user.role === "parent") {
+    const parent = await Parent.findById(user.profileId);
+    return Boolean(parent?.children.some((c) => c.toString() === studentId));
+  }
+  return false;
+};
+
+/**
+ * List payment ledger entries with filters
+ * @route GET /api/fees/payments
+ * @access Admin
+ */
+export const getPayments = async (req, res) => {
+  try {
+    const { payments, totals } = await paymentService.getPayments(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      totals,
+      data: payments,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch payments",
+    });
+  }
+};
+
+/**
+ * Record opening ledger payments for fees paid before the ledger existed
+ * @route POST /api/fees/payments/backfill-ledger
+ * @access Admin
+ */
+export const backfillLedger = async (req, res) => {
+  try {
+    const summary = await paymentService.backfillLedger();
+
+    res.status(200).json({
+      success: true,
+      message: `Recorded ${summary.created} opening payments`,
+      data: summary,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to backfill the payment ledger",
+    });
+  }
+};
+
+/**
+ * Get the payment ledger of a fee
+ * @route GET /api/fees/:id/payments
+ * @access Admin, Student (own), Parent (children)
+ */
+export const getFeePayments = async (req, res) => {
+  try {
+    const { fee, payments } = await paymentService.getFeePayments(
+      req.params.id,
+    );
+    if (!(await canAccessStudent(req.user, fee.studentId.toString()))) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to these payments",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      data: {
+        fee,
+        payments,
+      },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch payments",
+    });
+  }
+};
+
+/**
+ * Void a payment or refund entered by mistake
+ * @route POST /api/fees/payments/:paymentId/void
+ * @access Admin
+ */
+export const voidPayment = async (req, res) => {
+  try {
+    const { payment, fee } = await paymentService.voidPayment(
+      req.params.paymentId,
+      req.body.reason,
+      req.user,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Payment voided successfully",
+      data: { payment, fee },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to void payment",
+    });
+  }
+};
+
+/**
+ * Refund part or all of a payment
+ * @route POST /api/fees/payments/:paymentId/refund
+ * @access Admin
+ */
+export const refundPayment = async (req, res) => {
+  try {
+    const { amount, reason, method, reference } = req.body;
+
+    const { refund, fee } = await paymentService.refundPayment(
+      req.params.paymentId,
+      { amount, reason, method, reference },
+      req.user,
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Refund recorded successfully",
+      data: { refund, fee },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to record refund",
+    });
+  }
+};
+
+// ============ LATE FINES ============
+
+/**
+ * Get late fine rules
+ * @route GET /api/fees/fine-rules
+ * @access Admin
+ */
+export const getFineRules = async (req, res) => {
+  try {
+    const rules = await fineRuleService.getAllRules();
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch fine rules",
+    });
+  }
+};
+
+/**
+ * Create the late fine rule of a fee type
+ * @route POST /api/fees/fine-rules
+ * @access Admin
+ */
+export const createFineRule = async (req, res) => {
+  try {
+    const rule = await fineRuleService.createRule(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: "Fine rule created successfully",
+      data: rule,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message || "Failed to create fine rule",
+    });
+  }
+};
+
+/**
+ * Update a late fine rule (applies from the next overdue run)
+ * @route PUT /api/fees/fine-rules/:id
+ * @access Admin
+ */
+export const updateFineRule = async (req, res) => {
+  try {
+    const rule = await fineRuleService.updateRule(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "Fine rule updated successfully",
+      data: rule,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message || "Failed to update fine rule",
+    });
+  }
+};
+
+/**
+ * Delete a late fine rule
+ * @route DELETE /api/fees/fine-rules/:id
+ * @access Admin
+ */
+export const deleteFineRule = async (req, res) => {
+  try {
+    await fineRuleService.deleteRule(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Fine rule deleted successfully",
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to delete fine rule",
+    });
+  }
+};
+
+/**
+ * Run the overdue job now: mark overdue fees and accrue late fines
+ * @route POST /api/fees/fines/apply
+ * @access Admin
+ */
+export const applyLateFines = async (req, res) => {
+  try {
+    const { dryRun } = req.body;
+
+    const summary = await fineRuleService.applyOverdueFines({
+      dryRun: dryRun === true || dryRun === "true",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: summary.dryRun
+        ? `${summary.finesUpdated} fines would be updated`
+        : `Updated ${summary.finesUpdated} fines`,
+      data: summary,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to apply late fines",
+    });
+  }
+};
+
+// ============ CONCESSIONS ============
+
+/**
+ * Get concession rules
+ * @route GET /api/fees/concession-rules
+ * @access Admin
+ */
+export const getConcessionRules = async (req, res) => {
+  try {
+    const rules = await concessionService.getAllRules(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch concession rules",
+    });
+  }
+};
+
+/**
+ * Create a concession rule
+ * @route POST /api/fees/concession-rules
+ * @access Admin
+ */
+export const createConcessionRule = async (req, res) => {
+  try {
+    const rule = await concessionService.createRule(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: "Concession rule created successfully",
+      data: rule,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message || "Failed to create concession rule",
+    });
+  }
+};
+
+/**
+ * Update a concession rule (concessions already granted keep their terms)
+ * @route PUT /api/fees/concession-rules/:id
+ * @access Admin
+ */
+export const updateConcessionRule = async (req, res) => {
+  try {
+    const rule = await concessionService.updateRule(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "Concession rule updated successfully",
+      data: rule,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message || "Failed to update concession rule",
+    });
+  }
+};
+
+/**
+ * Delete a concession rule that was never granted
+ * @route DELETE /api/fees/concession-rules/:id
+ * @access Admin
+ */
+export const deleteConcessionRule = async (req, res) => {
+  try {
+    await concessionService.deleteRule(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Concession rule deleted successfully",
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to delete concession rule",
+    });
+  }
+};
+
+/**
+ * Get concessions with filters
+ * @route GET /api/fees/concessions
+ * @access Admin
+ */
+export const getConcessions = async (req, res) => {
+  try {
+    const concessions = await concessionService.getConcessions(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: concessions.length,
+      data: concessions,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch concessions",
+    });
+  }
+};
+
+/**
+ * Concessions granted in an academic year
+ * @route GET /api/fees/concessions/report
+ * @access Admin
+ */
+export const getConcessionReport = async (req, res) => {
+  try {
+    const report = await concessionService.getReport(req.query.academicYear);
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to build concession report",
+    });
+  }
+};
+
+/**
+ * Request a concession for a student (awaits approval)
+ * @route POST /api/fees/concessions
+ * @access Admin
+ */
+export const requestConcession = async (req, res) => {
+  try {
+    const concession = await concessionService.requestConcession(
+      req.body,
+      req.user,
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Concession requested successfully",
+      data: concession,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message || "Failed to request concession",
+    });
+  }
+};
+
+/**
+ * Match sibling concessions from parent links (optionally only for
+ * the students in `studentIds`)
+ * @route POST /api/fees/concessions/sync-siblings
+ * @access Admin
+ */
+export const syncSiblingConcessions = async (req, res) => {
+  try {
+    const summary = await concessionService.syncSiblingConcessions({
+      academicYear: req.body.academicYear,
+      studentIds: req.body.studentIds,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Created ${summary.created} sibling concessions`,
+      data: summary,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to match sibling concessions",
+    });
+  }
+};
+
+/**
+ * Approve a pending concession
+ * @route POST /api/fees/concessions/:id/approve
+ * @access Admin
+ */
+export const approveConcession = async (req, res) => {
+  try {
+    const concession = await concessionService.approveConcession(
+      req.params.id,
+      req.body.comment,
+      req.user,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Concession approved",
+      data: concession,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to approve concession",
+    });
+  }
+};
+
+/**
+ * Reject a pending concession (comment required)
+ * @route POST /api/fees/concessions/:id/reject
+ * @access Admin
+ */
+export const rejectConcession = async (req, res) => {
+  try {
+    const concession = await concessionService.rejectConcession(
+      req.params.id,
+      req.body.comment,
+      req.user,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Concession rejected",
+      data: concession,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to reject concession",
+    });
+  }
+};
+
+/**
+ * Revoke an approved concession (comment required)
+ * @route POST /api/fees/concessions/:id/revoke
+ * @access Admin
+ */
+export const revokeConcession = async (req, res) => {
+  try {
+    const concession = await concessionService.revokeConcession(
+      req.params.id,
+      req.body.comment,
+      req.user,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Concession revoked",
+      data: concession,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to revoke concession",
+    });
+  }
+};
+
+// ============ DEFAULTERS AND REMINDERS ============
+
+/**
+ * Aging of overdue balances (0-30, 31-60, 61-90, 90+ days) per class and
+ * fee type
+ * @route GET /api/fees/reports/aging
+ * @access Admin
+ */
+export const getAgingReport = async (req, res) => {
+  try {
+    const { academicYear, classId, feeType } = req.query;
+
+    const report = await feeReportService.getAgingReport({
+      academicYear,
+      classId,
+      feeType,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch aging report",
+    });
+  }
+};
+
+/**
+ * Students with overdue balances and their parents' contact details
+ * @route GET /api/fees/reports/defaulters
+ * @access Admin
+ */
+export const getDefaulters = async (req, res) => {
+  try {
+    const { academicYear, classId, feeType, minDaysOverdue, minAmount } =
+      req.query;
+
+    const defaulters = await feeReportService.getDefaulters({
+      academicYear,
+      classId,
+      feeType,
+      minDaysOverdue,
+      minAmount,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: defaulters.length,
+      data: defaulters,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch defaulters",
+    });
+  }
+};
+
+/**
+ * Get the fee reminder schedule
+ * @route GET /api/fees/reminders/settings
+ * @access Admin
+ */
+export const getReminderSettings = async (req, res) => {
+  try {
+    const settings = await feeReminderService.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch reminder settings",
+    });
+  }
+};
+
+/**
+ * Update the fee reminder schedule
+ * @route PUT /api/fees/reminders/settings
+ * @access Admin
+ */
+export const updateReminderSettings = async (req, res) => {
+  try {
+    const settings = await feeReminderService.updateSettings(req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "Reminder settings updated successfully",
+      data: settings,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message || "Failed to update reminder settings",
+    });
+  }
+};
+
+/**
+ * Run the reminder job now
+ * @route POST /api/fees/reminders/send
+ * @access Admin
+ */
+export const sendDueReminders = async (req, res) => {
+  try {
+    const summary = await feeReminderService.sendDueReminders();
+
+    res.status(200).json({
+      success: true,
+      message: `Sent ${summary.sent} reminders`,
+      data: summary,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to send reminders",
+    });
+  }
+};
+
+/**
+ * Send a reminder for one fee now, outside the schedule
+ * @route POST /api/fees/:id/remind
+ * @access Admin
+ */
+export const sendFeeReminder = async (req, res) => {
+  try {
+    const reminder = await feeReminderService.sendReminderNow(req.params.id);
+
+    res.status(200).json({
+      success: reminder.status === "sent",
+      message:
+        reminder.status === "sent"
+          ? "Reminder sent successfully"
+          : `Reminder failed: ${reminder.error}`,
+      data: reminder,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to send reminder",
+    });
+  }
+};
+
+// ============ RECEIPTS AND STATEMENTS ============
+
+const sendPdf = (res, { buffer, filename }) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Content-Length": buffer.length,
+  });
+  res.status(200).send(buffer);
+};
+
+/**
+ * Download the receipt PDF of a payment or refund
+ * @route GET /api/fees/payments/:paymentId/receipt
+ * @access Admin, Student (own), Parent (children)
+ */
+export const downloadReceipt = async (req, res) => {
+  try {
+    const payment = await paymentService.loadPayment(req.params.paymentId);
+    if (!(await canAccessStudent(req.user, payment.studentId.toString()))) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this receipt",
+      });
+    }
+
+    sendPdf(res, await feeDocumentService.generateReceipt(payment._id));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to generate receipt",
+    });
+  }
+};
+
+/**
+ * Download a student's fee statement PDF for an academic year
+ * @route GET /api/fees/statement/:studentId/pdf
+ * @access Admin, Student (own), Parent (children)
+ */
+export const downloadStatement = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (!(await canAccessStudent(req.user, studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this student's fees",
+      });
+    }
+
+    const document = await feeDocumentService.generateStatement(studentId, {
+      academicYear: req.query.academicYear,
+    });
+
+    sendPdf(res, document);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to generate fee statement",
+    });
+  }
+};
@@ -0,0 +1,155 @@
+import gradingSchemeService from "../services/gradingScheme.service.js";
+
+const regradeMessage = ({ regraded, skipped }) =>
+  skipped > 0
+    ? `Regraded ${regraded} results, skipped ${skipped} in locked batches`
+    : `Regraded ${regraded} results`;
+
+class GradingSchemeController {
+  // Create a grading scheme
+  async createScheme(req, res) {
+    try {
+      const scheme = await gradingSchemeService.createScheme(req.body);
+      res.status(201).json({
+        success: true,
+        message: "Grading scheme created successfully",
+        data: scheme,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Get all grading schemes
+  async getAllSchemes(req, res) {
+    try {
+      const schemes = await gradingSchemeService.getAllSchemes(req.query);
+      res.status(200).json({
+        success: true,
+        count: schemes.length,
+        data: schemes,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Get the scheme that applies to a class/academic year
+  async getApplicableScheme(req, res) {
+    try {
+      const applicable = await gradingSchemeService.getApplicableScheme({
+        classId: req.query.classId,
+        academicYear: req.query.academicYear,
+      });
+      res.status(200).json({
+        success: true,
+        data: applicable,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Get grading scheme by ID
+  async getSchemeById(req, res) {
+    try {
+      const scheme = await gradingSchemeService.getSchemeById(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: scheme,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Update a grading scheme
+  async updateScheme(req, res) {
+    try {
+      const scheme = await gradingSchemeService.updateScheme(
+        req.params.id,
+        req.body,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Grading scheme updated successfully",
+        data: scheme,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Delete a grading scheme
+  async deleteScheme(req, res) {
+    try {
+      await gradingSchemeService.deleteScheme(req.params.id);
+      res.status(200).json({
+        success: true,
+        message: "Grading scheme deleted successfully",
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Regrade the results covered by one scheme
+  async regradeScheme(req, res) {
+    try {
+      const summary = await gradingSchemeService.regradeResults({
+        schemeId: req.params.id,
+        academicYear: req.body.academicYear,
+      });
+      res.status(200).json({
+        success: true,
+        message: regradeMessage(summary),
+        data: summary,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Regrade results of an academic year (optionally one class)
+  async regradeResults(req, res) {
+    try {
+      const summary = await gradingSchemeService.regradeResults({
+        academicYear: req.body.academicYear,
+        classId: req.body.classId,
+      });
+      res.status(200).json({
+        success: true,
+        message: regradeMessage(summary),
+        data: summary,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+export default new GradingSchemeController();
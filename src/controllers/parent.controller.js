@@ -1,4 +1,7 @@
 import Parent from "../models/parent.model.js";
+import parentFeeService from "../services/parentFee.service.js";
+import paymentGatewayService from "../services/paymentGateway.service.js";
+import feeDocumentService from "../services/feeDocument.service.js";
 
 /**
  * Parent Controller
@@ -59,6 +62,87 @@ class ParentController {
       });
     }
   }
+
+  /**
+   * Fee overview across the logged-in parent's children
+   * @route GET /api/parents/me/fees
+   * @access Parent
+   */
+  async getMyFees(req, res) {
+    try {
+      const overview = await parentFeeService.getFeeOverview(req.user, {
+        academicYear: req.query.academicYear,
+        upcomingDays: req.query.upcomingDays,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: overview,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Failed to fetch fees",
+      });
+    }
+  }
+
+  /**
+   * One online payment order for all outstanding fees of the children
+   * @route POST /api/parents/me/fees/pay-all
+   * @access Parent
+   */
+  async payAllOutstanding(req, res) {
+    try {
+      const { studentIds, feeIds, academicYear } = req.body;
+
+      const order = await paymentGatewayService.createCombinedOrder(req.user, {
+        studentIds,
+        feeIds,
+        academicYear,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Payment order created for ${order.allocations.length} fees`,
+        data: order,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Failed to create payment order",
+      });
+    }
+  }
+
+  /**
+   * Download a child's fee statement PDF
+   * @route GET /api/parents/me/fees/:studentId/statement
+   * @access Parent
+   */
+  async downloadStatement(req, res) {
+    try {
+      const { studentId } = req.params;
+      await parentFeeService.assertChild(req.user, studentId);
+
+      const { buffer, filename } = await feeDocumentService.generateStatement(
+        studentId,
+        { academicYear: req.query.academicYear },
+      );
+
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "Content-Length": buffer.length,
+      });
+      res.status(200).send(buffer);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Failed to generate fee statement",
+      });
+    }
+  }
 }
 
 export default new ParentController();
@@ -0,0 +1,138 @@
+import paymentGatewayService from "../services/paymentGateway.service.js";
+
+class PaymentGatewayController {
+  // Start an online payment of a child's fee
+  async createOrder(req, res) {
+    try {
+      const { feeId, amount } = req.body;
+
+      const order = await paymentGatewayService.createOrder(
+        feeId,
+        { amount },
+        req.user,
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Payment order created",
+        data: order,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // List payment orders (own for parents, all for admins)
+  async getOrders(req, res) {
+    try {
+      const orders = await paymentGatewayService.getOrders(req.user, req.query);
+
+      res.status(200).json({
+        success: true,
+        count: orders.length,
+        data: orders,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Get one payment order
+  async getOrderById(req, res) {
+    try {
+      const order = await paymentGatewayService.getOrderById(
+        req.params.id,
+        req.user,
+      );
+
+      res.status(200).json({
+        success: true,
+        data: order,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Provider webhook (signed; no user authentication)
+  async handleWebhook(req, res) {
+    try {
+      const outcome = await paymentGatewayService.handleWebhook(
+        req.params.provider,
+        req.rawBody,
+        req.headers,
+      );
+
+      res.status(200).json({
+        success: true,
+        message: outcome.duplicate
+          ? "Event already processed"
+          : "Event processed",
+        data: outcome,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Reconcile provider settlements against orders and fee payments
+  async reconcile(req, res) {
+    try {
+      const { provider, from, to } = req.body;
+
+      const report = await paymentGatewayService.reconcile({
+        provider,
+        from,
+        to,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `${report.matched.length} matched, ${report.recovered.length} recovered, ${report.mismatched.length} mismatched`,
+        data: report,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Complete a mock checkout (development only)
+  async simulateMockPayment(req, res) {
+    try {
+      const { outcome, amount } = req.body;
+
+      const result = await paymentGatewayService.simulateMockPayment(
+        req.params.id,
+        { outcome, amount },
+        req.user,
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+export default new PaymentGatewayController();
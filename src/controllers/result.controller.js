@@ -4,6 +4,11 @@ import Teacher from "../models/teacher.model.js";
 import Parent from "../models/parent.model.js";
 import Subject from "../models/subject.model.js";
 import Class from "../models/class.model.js";
+import reportCardService from "../services/reportCard.service.js";
+import reportDocumentService from "../services/reportDocument.service.js";
+import resultModerationService from "../services/resultModeration.service.js";
+import resultAnalyticsService from "../services/resultAnalytics.service.js";
+import academicYearService from "../services/academicYear.service.js";
 
 /**
  * Create a new result entry
@@ -47,6 +52,14 @@ export const createResult = async (req, res) => {
       enteredById = req.user.profileId;
     }
 
+    // Results can only be entered while the batch is a draft
+    await resultModerationService.assertEditable({
+      classId: classId || student.classId,
+      subjectId,
+      examType,
+      academicYear: academicYear || student.academicYear,
+    });
+
     // Check for duplicate result
     const existingResult = await Result.findOne({
       studentId,
@@ -102,7 +115,7 @@ export const createResult = async (req, res) => {
       data: populatedResult,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "Failed to create result",
     });
@@ -126,6 +139,16 @@ export const createBulkResults = async (req, res) => {
       });
     }
 
+    const year = await academicYearService.resolveAcademicYear(academicYear);
+
+    // Results can only be entered while the batch is a draft
+    await resultModerationService.assertEditable({
+      classId,
+      subjectId,
+      examType,
+      academicYear: year,
+    });
+
     // Get teacher profile for enteredBy
     let enteredById = null;
     if (req.user.role === "teacher" && req.user.profileId) {
@@ -143,7 +166,7 @@ export const createBulkResults = async (req, res) => {
           subjectId,
           classId,
           examType,
-          academicYear,
+          academicYear: year,
         });
 
         if (existing) {
@@ -161,7 +184,7 @@ export const createBulkResults = async (req, res) => {
           examType,
           marksObtained: result.marksObtained,
           maxMarks,
-          academicYear,
+          academicYear: year,
           enteredBy: enteredById,
           remarks: result.remarks,
         });
@@ -185,7 +208,7 @@ export const createBulkResults = async (req, res) => {
       },
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "Failed to create bulk results",
     });
@@ -292,6 +315,207 @@ export const getResultsByStudent = async (req, res) => {
   }
 };
 
+/**
+ * Get a student's weighted report card
+ * @route GET /api/results/report-card/:studentId
+ * @access Admin, Teacher, Student (own), Parent (children)
+ */
+export const getReportCard = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { academicYear, examTypes } = req.query;
+
+    // Authorization check
+    if (req.user.role === "student") {
+      if (!req.user.profileId || req.user.profileId.toString() !== studentId) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only view your own report card",
+        });
+      }
+    } else if (req.user.role === "parent") {
+      const parent = await Parent.findById(req.user.profileId);
+      if (!parent || !parent.children.some((c) => c.toString() === studentId)) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only view your children's report cards",
+        });
+      }
+    }
+
+    const reportCard = await reportCardService.buildReportCard(studentId, {
+      academicYear,
+      examTypes: examTypes ? examTypes.split(",").map((t) => t.trim()) : [],
+      // Students and parents only see published results
+      publishedOnly: req.user.role === "student" || req.user.role === "parent",
+    });
+
+    res.status(200).json({
+      success: true,
+      data: reportCard,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to build report card",
+    });
+  }
+};
+
+// Students may only fetch their own documents, parents their children's
+const canAccessStudent = async (user, studentId) => {
+  if (user.role === "student") {
+    return Boolean(user.profileId) && user.profileId.toString() === studentId;
+  }
+  if (user.role === "parent") {
+    const parent = await Parent.findById(user.profileId);
+    return Boolean(parent?.children.some((c) => c.toString() === studentId));
+  }
+  return true;
+};
+
+const sendPdf = (res, { buffer, filename }) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Content-Length": buffer.length,
+  });
+  res.status(200).send(buffer);
+};
+
+/**
+ * Download a report card PDF (exam type, term or full year)
+ * @route GET /api/results/report-card/:studentId/pdf
+ * @access Admin, Teacher, Student (own), Parent (children)
+ */
+export const downloadReportCard = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { academicYear, examType, term } = req.query;
+
+    if (!(await canAccessStudent(req.user, studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this student's report card",
+      });
+    }
+
+    const document = await reportDocumentService.generateReportCard(studentId, {
+      academicYear,
+      examType,
+      term,
+      publishedOnly: req.user.role === "student" || req.user.role === "parent",
+      issuedBy: req.user._id,
+    });
+
+    sendPdf(res, document);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to generate report card",
+    });
+  }
+};
+
+/**
+ * Download a multi-year transcript PDF
+ * @route GET /api/results/transcript/:studentId/pdf
+ * @access Admin, Teacher, Student (own), Parent (children)
+ */
+export const downloadTranscript = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (!(await canAccessStudent(req.user, studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this student's transcript",
+      });
+    }
+
+    const document = await reportDocumentService.generateTranscript(studentId, {
+      publishedOnly: req.user.role === "student" || req.user.role === "parent",
+      issuedBy: req.user._id,
+    });
+
+    sendPdf(res, document);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to generate transcript",
+    });
+  }
+};
+
+/**
+ * Download report cards for a whole class as a zip
+ * @route GET /api/results/report-card/class/:classId/zip
+ * @access Admin
+ */
+export const downloadClassReportCards = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { academicYear, examType, term } = req.query;
+
+    const classDoc = await Class.findById(classId).select("name section");
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "Class not found",
+      });
+    }
+
+    const filename = `report-cards-${classDoc.name}-${classDoc.section}`
+      .replace(/[^a-zA-Z0-9._-]+/g, "-")
+      .concat(".zip");
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+
+    await reportDocumentService.streamClassReportCards(
+      classId,
+      { academicYear, examType, term, issuedBy: req.user._id },
+      res,
+    );
+  } catch (error) {
+    // Once the zip has started streaming the response can only be aborted
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.removeHeader("Content-Disposition");
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to generate report cards",
+    });
+  }
+};
+
+/**
+ * Verify a generated report card or transcript by its code
+ * @route GET /api/results/verify/:code
+ * @access Public
+ */
+export const verifyDocument = async (req, res) => {
+  try {
+    const document = await reportDocumentService.verifyDocument(
+      req.params.code,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Document is genuine",
+      data: document,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to verify document",
+    });
+  }
+};
+
 /**
  * Get my results (for logged-in student)
  * @route GET /api/results/my
@@ -362,6 +586,9 @@ export const updateResult = async (req, res) => {
       });
     }
 
+    // Submitted, approved and published results are locked
+    await resultModerationService.assertEditable(result);
+
     // Update fields
     if (marksObtained !== undefined) result.marksObtained = marksObtained;
     if (maxMarks !== undefined) result.maxMarks = maxMarks;
@@ -387,7 +614,7 @@ export const updateResult = async (req, res) => {
       data: populatedResult,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "Failed to update result",
     });
@@ -395,7 +622,7 @@ export const updateResult = async (req, res) => {
 };
 
 /**
- * Publish results
+ * Publish approved result batches matching the filter
  * @route POST /api/results/publish
  * @access Admin
  */
@@ -403,29 +630,52 @@ export const publishResults = async (req, res) => {
   try {
     const { classId, examType, subjectId, academicYear } = req.body;
 
-    const query = {};
-    if (classId) query.classId = classId;
-    if (examType) query.examType = examType;
-    if (subjectId) query.subjectId = subjectId;
-    if (academicYear) query.academicYear = academicYear;
-
-    const updateResult = await Result.updateMany(query, { isPublished: true });
+    const outcome = await resultModerationService.publishApproved(
+      { classId, examType, subjectId, academicYear },
+      req.user,
+    );
 
     res.status(200).json({
       success: true,
-      message: `Published ${updateResult.modifiedCount} results`,
-      data: {
-        modifiedCount: updateResult.modifiedCount,
-      },
+      message: `Published ${outcome.published.length} batches (${outcome.resultsPublished} results)`,
+      data: outcome,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "Failed to publish results",
     });
   }
 };
 
+/**
+ * Unpublish published result batches matching the filter
+ * @route POST /api/results/unpublish
+ * @access Admin
+ */
+export const unpublishResults = async (req, res) => {
+  try {
+    const { classId, examType, subjectId, academicYear, reason } = req.body;
+
+    const outcome = await resultModerationService.unpublishMatching(
+      { classId, examType, subjectId, academicYear },
+      req.user,
+      reason,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Unpublished ${outcome.unpublished.length} batches (${outcome.resultsWithdrawn} results)`,
+      data: outcome,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to unpublish results",
+    });
+  }
+};
+
 /**
  * Delete a result
  * @route DELETE /api/results/:id
@@ -435,7 +685,7 @@ export const deleteResult = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await Result.findByIdAndDelete(id);
+    const result = await Result.findById(id);
     if (!result) {
       return res.status(404).json({
         success: false,
@@ -443,14 +693,407 @@ export const deleteResult = async (req, res) => {
       });
     }
 
+    // Submitted, approved and published results are locked
+    await resultModerationService.assertEditable(result);
+
+    await result.deleteOne();
+
     res.status(200).json({
       success: true,
       message: "Result deleted successfully",
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "Failed to delete result",
     });
   }
 };
+
+// ============ MODERATION ============
+
+/**
+ * List result batches
+ * @route GET /api/results/batches
+ * @access Admin, Teacher
+ */
+export const getResultBatches = async (req, res) => {
+  try {
+    const batches = await resultModerationService.getBatches(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: batches.length,
+      data: batches,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch result batches",
+    });
+  }
+};
+
+/**
+ * Get a result batch with its moderation history
+ * @route GET /api/results/batches/:id
+ * @access Admin, Teacher
+ */
+export const getResultBatchById = async (req, res) => {
+  try {
+    const batch = await resultModerationService.getBatchById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: batch,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch result batch",
+    });
+  }
+};
+
+/**
+ * Submit a class/subject/exam batch for review
+ * @route POST /api/results/batches/submit
+ * @access Admin, Teacher (subject or class teacher)
+ */
+export const submitResultBatch = async (req, res) => {
+  try {
+    const { classId, subjectId, examType, academicYear, comment } = req.body;
+
+    const batch = await resultModerationService.submitBatch(
+      {
+        classId,
+        subjectId,
+        examType,
+        academicYear:
+          await academicYearService.resolveAcademicYear(academicYear),
+        comment,
+      },
+      req.user,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Results submitted for review",
+      data: batch,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to submit results",
+    });
+  }
+};
+
+/**
+ * Approve a submitted batch
+ * @route POST /api/results/batches/:id/approve
+ * @access Admin, Teacher (class teacher)
+ */
+export const approveResultBatch = async (req, res) => {
+  try {
+    const batch = await resultModerationService.approveBatch(
+      req.params.id,
+      req.user,
+      req.body.comment,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Results approved",
+      data: batch,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to approve results",
+    });
+  }
+};
+
+/**
+ * Return a submitted or approved batch to the teacher with comments
+ * @route POST /api/results/batches/:id/return
+ * @access Admin, Teacher (class teacher)
+ */
+export const returnResultBatch = async (req, res) => {
+  try {
+    const batch = await resultModerationService.returnBatch(
+      req.params.id,
+      req.user,
+      req.body.comment,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Results returned for changes",
+      data: batch,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to return results",
+    });
+  }
+};
+
+/**
+ * Publish an approved batch
+ * @route POST /api/results/batches/:id/publish
+ * @access Admin
+ */
+export const publishResultBatch = async (req, res) => {
+  try {
+    const outcome = await resultModerationService.publishBatch(
+      req.params.id,
+      req.user,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Published ${outcome.resultsPublished} results`,
+      data: outcome,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to publish results",
+    });
+  }
+};
+
+/**
+ * Re-open a published batch for corrections (reason required)
+ * @route POST /api/results/batches/:id/reopen
+ * @access Admin
+ */
+export const reopenResultBatch = async (req, res) => {
+  try {
+    const outcome = await resultModerationService.reopenBatch(
+      req.params.id,
+      req.user,
+      req.body.reason,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Results re-opened for corrections",
+      data: outcome,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to re-open results",
+    });
+  }
+};
+
+/**
+ * Unpublish a batch published by mistake (reason required)
+ * @route POST /api/results/batches/:id/unpublish
+ * @access Admin
+ */
+export const unpublishResultBatch = async (req, res) => {
+  try {
+    const outcome = await resultModerationService.unpublishBatch(
+      req.params.id,
+      req.user,
+      req.body.reason,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Unpublished ${outcome.resultsWithdrawn} results`,
+      data: outcome,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to unpublish results",
+    });
+  }
+};
+
+// ============ SCHEDULED PUBLICATION ============
+
+/**
+ * Schedule approved batches to be published at a set date and time
+ * @route POST /api/results/publish-jobs
+ * @access Admin
+ */
+export const schedulePublish = async (req, res) => {
+  try {
+    const { classId, subjectId, examType, academicYear, publishAt } = req.body;
+
+    const job = await resultModerationService.schedulePublish(
+      {
+        classId,
+        subjectId,
+        examType,
+        academicYear:
+          await academicYearService.resolveAcademicYear(academicYear),
+        publishAt,
+      },
+      req.user,
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Result publication scheduled",
+      data: job,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to schedule publication",
+    });
+  }
+};
+
+/**
+ * List scheduled publish jobs
+ * @route GET /api/results/publish-jobs
+ * @access Admin
+ */
+export const getPublishJobs = async (req, res) => {
+  try {
+    const jobs = await resultModerationService.getPublishJobs(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      data: jobs,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch publish jobs",
+    });
+  }
+};
+
+/**
+ * Cancel a scheduled publish job that has not run yet
+ * @route POST /api/results/publish-jobs/:id/cancel
+ * @access Admin
+ */
+export const cancelPublishJob = async (req, res) => {
+  try {
+    const job = await resultModerationService.cancelPublishJob(
+      req.params.id,
+      req.user,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Scheduled publication cancelled",
+      data: job,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to cancel publish job",
+    });
+  }
+};
+
+// ============ ANALYTICS ============
+
+/**
+ * Class analytics for an exam: per-subject statistics, grade distribution
+ * and top / bottom students
+ * @route GET /api/results/analytics/class/:classId
+ * @access Admin, Teacher
+ */
+export const getClassAnalytics = async (req, res) => {
+  try {
+    const { examType, academicYear, subjectId, top, publishedOnly } = req.query;
+
+    const analytics = await resultAnalyticsService.getClassAnalytics(
+      req.params.classId,
+      {
+        examType,
+        academicYear,
+        subjectId,
+        top,
+        publishedOnly: publishedOnly === "true",
+      },
+    );
+
+    res.status(200).json({
+      success: true,
+      data: analytics,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to build class analytics",
+    });
+  }
+};
+
+/**
+ * Compare an exam across the sections of a class
+ * @route GET /api/results/analytics/class/:classId/sections
+ * @access Admin, Teacher
+ */
+export const compareSections = async (req, res) => {
+  try {
+    const { examType, academicYear, subject, publishedOnly } = req.query;
+
+    const comparison = await resultAnalyticsService.compareSections(
+      req.params.classId,
+      {
+        examType,
+        academicYear,
+        subjectName: subject,
+        publishedOnly: publishedOnly === "true",
+      },
+    );
+
+    res.status(200).json({
+      success: true,
+      data: comparison,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to compare sections",
+    });
+  }
+};
+
+/**
+ * Compare an exam for a class and section across academic years
+ * @route GET /api/results/analytics/class/:classId/years
+ * @access Admin, Teacher
+ */
+export const compareYears = async (req, res) => {
+  try {
+    const { examType, years, subject, publishedOnly } = req.query;
+
+    const comparison = await resultAnalyticsService.compareYears(
+      req.params.classId,
+      {
+        examType,
+        years,
+        subjectName: subject,
+        publishedOnly: publishedOnly === "true",
+      },
+    );
+
+    res.status(200).json({
+      success: true,
+      data: comparison,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to compare academic years",
+    });
+  }
+};
@@ -0,0 +1,180 @@
+import rubricService from "../services/rubric.service.js";
+
+class RubricController {
+  // Teacher: Create rubric
+  async createRubric(req, res) {
+    try {
+      const rubric = await rubricService.createRubric(req.body, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        message: "Rubric created successfully",
+        data: rubric,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Teacher: Get my rubrics
+  async getTeacherRubrics(req, res) {
+    try {
+      const filters = {
+        search: req.query.search,
+        includeInactive: req.query.includeInactive,
+      };
+
+      const rubrics = await rubricService.getTeacherRubrics(
+        req.user._id,
+        filters,
+      );
+
+      res.status(200).json({
+        success: true,
+        count: rubrics.length,
+        data: rubrics,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Teacher: Get rubric by ID
+  async getRubricById(req, res) {
+    try {
+      const rubric = await rubricService.getRubricById(
+        req.params.id,
+        req.user._id,
+      );
+
+      res.status(200).json({
+        success: true,
+        data: rubric,
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Teacher: Update rubric
+  async updateRubric(req, res) {
+    try {
+      const rubric = await rubricService.updateRubric(
+        req.params.id,
+        req.body,
+        req.user._id,
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Rubric updated successfully",
+        data: rubric,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Teacher: Delete rubric
+  async deleteRubric(req, res) {
+    try {
+      const result = await rubricService.deleteRubric(
+        req.params.id,
+        req.user._id,
+      );
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: result,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Teacher: Attach a rubric to an assignment (rubricId null detaches)
+  async attachRubric(req, res) {
+    try {
+      const assignment = await rubricService.attachRubric(
+        req.params.id,
+        req.body.rubricId ?? null,
+        req.user._id,
+      );
+
+      res.status(200).json({
+        success: true,
+        message: assignment.rubric
+          ? "Rubric attached successfully"
+          : "Rubric removed from assignment",
+        data: assignment,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Teacher: Criterion analytics of one assignment
+  async getAssignmentRubricAnalytics(req, res) {
+    try {
+      const analytics = await rubricService.getCriterionAnalytics(
+        { assignmentId: req.params.id, threshold: req.query.threshold },
+        req.user._id,
+      );
+
+      res.status(200).json({
+        success: true,
+        data: analytics,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Teacher: Criterion analytics across assignments using a rubric
+  async getRubricAnalytics(req, res) {
+    try {
+      const analytics = await rubricService.getCriterionAnalytics(
+        {
+          rubricId: req.params.id,
+          class: req.query.class,
+          threshold: req.query.threshold,
+        },
+        req.user._id,
+      );
+
+      res.status(200).json({
+        success: true,
+        data: analytics,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+export default new RubricController();
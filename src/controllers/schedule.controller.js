@@ -1,14 +1,10 @@
 import scheduleService from "../services/schedule.service.js";
+import academicYearService from "../services/academicYear.service.js";
 import Teacher from "../models/teacher.model.js";
 import Student from "../models/student.model.js";
 import Parent from "../models/parent.model.js";
 import mongoose from "mongoose";
 
-const getDefaultAcademicYear = () => {
-  const currentYear = new Date().getFullYear();
-  return `${currentYear}-${currentYear + 1}`;
-};
-
 const DAYS = [
   "Monday",
   "Tuesday",
@@ -414,7 +410,7 @@ export const getWeeklyScheduleForClass = async (req, res) => {
     const { classId, section } = req.params;
     const academicYear =
       req.query.academicYear ||
-      new Date().getFullYear() + "-" + (new Date().getFullYear() + 1);
+      (await academicYearService.getCurrentYearName());
 
     const weeklySchedule = await scheduleService.getWeeklyScheduleForClass(
       classId,
@@ -444,7 +440,7 @@ export const getWeeklyScheduleForTeacher = async (req, res) => {
     const { teacherId } = req.params;
     const academicYear =
       req.query.academicYear ||
-      new Date().getFullYear() + "-" + (new Date().getFullYear() + 1);
+      (await academicYearService.getCurrentYearName());
 
     // Only allow teachers to view their own schedule (unless admin)
     if (req.user.role === "teacher") {
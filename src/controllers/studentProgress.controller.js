@@ -0,0 +1,123 @@
+import Parent from "../models/parent.model.js";
+import studentProgressService from "../services/studentProgress.service.js";
+
+class StudentProgressController {
+  // Get a student's progress and at-risk indicators
+  async getStudentProgress(req, res) {
+    try {
+      const { studentId } = req.params;
+
+      if (req.user.role === "student") {
+        if (req.user.profileId?.toString() !== studentId) {
+          return res.status(403).json({
+            success: false,
+            message: "You can only view your own progress",
+          });
+        }
+      } else if (req.user.role === "parent") {
+        const parent = await Parent.findById(req.user.profileId);
+        if (!parent?.children.some((c) => c.toString() === studentId)) {
+          return res.status(403).json({
+            success: false,
+            message: "You can only view your children's progress",
+          });
+        }
+      }
+
+      const progress = await studentProgressService.getStudentProgress(
+        studentId,
+        {
+          academicYear: req.query.academicYear,
+          // Students and parents only see published results
+          publishedOnly:
+            req.user.role === "student" || req.user.role === "parent",
+        },
+      );
+
+      res.status(200).json({
+        success: true,
+        data: progress,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Get the at-risk list for a class
+  async getClassAtRisk(req, res) {
+    try {
+      const list = await studentProgressService.getAtRiskStudents(
+        req.params.classId,
+        req.user,
+        { includeAll: req.query.all === "true" },
+      );
+
+      res.status(200).json({
+        success: true,
+        count: list.atRiskCount,
+        data: list,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Get at-risk lists for the logged-in class teacher's classes
+  async getMyAtRisk(req, res) {
+    try {
+      const lists = await studentProgressService.getAtRiskForTeacher(req.user);
+
+      res.status(200).json({
+        success: true,
+        count: lists.length,
+        data: lists,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Get the at-risk thresholds
+  async getSettings(req, res) {
+    try {
+      const settings = await studentProgressService.getSettings();
+      res.status(200).json({
+        success: true,
+        data: settings,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  // Update the at-risk thresholds
+  async updateSettings(req, res) {
+    try {
+      const settings = await studentProgressService.updateSettings(req.body);
+      res.status(200).json({
+        success: true,
+        message: "Progress settings updated successfully",
+        data: settings,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+export default new StudentProgressController();
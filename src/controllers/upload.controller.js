@@ -28,6 +28,18 @@ export const uploadSingle = multer({
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
 }).single("file");
 
+// CSV imports are parsed straight from memory and never stored
+export const uploadImportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    const isCsv =
+      /\.csv$/i.test(file.originalname) ||
+      ["text/csv", "application/vnd.ms-excel"].includes(file.mimetype);
+    cb(isCsv ? null : new Error("Only CSV files can be imported"), isCsv);
+  },
+}).single("file");
+
 export const uploadFile = (req, res) => {
   if (!req.file) {
     return res.status(400).json({
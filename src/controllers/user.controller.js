@@ -4,7 +4,8 @@ import Parent from "../models/parent.model.js";
 import Teacher from "../models/teacher.model.js";
 import Admin from "../models/admin.model.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import authService from "../services/auth.service.js";
+import loginAttemptService from "../services/loginAttempt.service.js";
 
 /**
  * User Controller
@@ -20,7 +21,7 @@ import jwt from "jsonwebtoken";
  */
 export const login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, deviceId } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({
@@ -29,9 +30,16 @@ export const login = async (req, res) => {
       });
     }
 
+    // Reject while the account or IP is locked / inside its backoff delay
+    await loginAttemptService.assertLoginAllowed({
+      email,
+      ipAddress: req.ip,
+    });
+
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
+      await loginAttemptService.recordFailure({ email, ipAddress: req.ip });
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
@@ -41,22 +49,29 @@ export const login = async (req, res) => {
     // Verify password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await loginAttemptService.recordFailure({
+        email,
+        ipAddress: req.ip,
+        userId: user._id,
+      });
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       });
     }
 
+    await loginAttemptService.recordSuccess({ email });
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role, profileId: user.profileId },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" },
-    );
+    // Start a device session and issue access + refresh tokens
+    const tokens = await authService.createSession(user, {
+      deviceId,
+      userAgent: req.get("user-agent"),
+      ipAddress: req.ip,
+    });
 
     // Fetch role-specific profile using profileId from User model
     let roleProfile = null;
@@ -93,11 +108,23 @@ export const login = async (req, res) => {
 
     res.json({
       success: true,
-      token,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      deviceId: tokens.deviceId,
       user: user.toPublicJSON(),
       roleProfile,
     });
   } catch (err) {
+    if (err.statusCode === 429) {
+      res.set("Retry-After", String(err.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: err.message,
+        retryAfter: err.retryAfter,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -106,6 +133,184 @@ export const login = async (req, res) => {
   }
 };
 
+/**
+ * Refresh Access Token
+ * Rotates the refresh token and issues a new access token
+ */
+export const refreshToken = async (req, res) => {
+  try {
+    const tokens = await authService.rotateRefreshToken(req.body.refreshToken, {
+      ipAddress: req.ip,
+    });
+
+    res.status(200).json({
+      success: true,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      deviceId: tokens.deviceId,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message || "Failed to refresh token",
+    });
+  }
+};
+
+/**
+ * Logout
+ * Revokes the session the current access token belongs to
+ */
+export const logout = async (req, res) => {
+  try {
+    await authService.revokeSession(req.authSession._id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message || "Failed to logout",
+    });
+  }
+};
+
+/**
+ * Logout from all devices
+ */
+export const logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await authService.revokeAllUserSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Logged out from ${revokedCount} session(s)`,
+      data: { revokedCount },
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to logout from all devices",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Get active sessions (devices) for the current user
+ */
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await authService.getActiveSessions(req.user._id);
+    const currentSessionId = req.authSession._id.toString();
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session.toObject(),
+        isCurrent: session._id.toString() === currentSessionId,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching sessions",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions (sign out a device)
+ */
+export const revokeMySession = async (req, res) => {
+  try {
+    await authService.revokeSession(req.params.sessionId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message || "Failed to revoke session",
+    });
+  }
+};
+
+/**
+ * Change password (any logged-in user)
+ * Requires the current password; other devices are logged out
+ */
+export const changePassword = async (req, res) => {
+  try {
+    await authService.changePassword(
+      req.user._id,
+      req.body,
+      req.authSession._id,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Password changed successfully",
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message || "Failed to change password",
+    });
+  }
+};
+
+/**
+ * Forgot password
+ * Sends a single-use reset link; the response never reveals whether the
+ * email belongs to an account
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    await authService.requestPasswordReset(req.body.email, {
+      ipAddress: req.ip,
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message || "Failed to process password reset request",
+    });
+  }
+};
+
+/**
+ * Reset password using a token from the forgot-password flow
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    await authService.resetPassword(token, newPassword);
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully. Please log in again.",
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message || "Failed to reset password",
+    });
+  }
+};
+
 /**
  * Get users by role
  */
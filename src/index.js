@@ -4,6 +4,8 @@ import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
 import connectDB from "./config/db.js";
+import ensureSuperAdmin from "./config/superAdmin.js";
+import { requestContext } from "./middleware/requestContext.middleware.js";
 import userRoutes from "./routes/user.routes.js";
 import scheduleRoutes from "./routes/schedule.routes.js";
 import classRoutes from "./routes/class.routes.js";
@@ -15,6 +17,15 @@ import resultRoutes from "./routes/result.routes.js";
 import feeRoutes from "./routes/fee.routes.js";
 import parentRoutes from "./routes/parent.routes.js";
 import uploadRoutes from "./routes/upload.routes.js";
+import academicYearRoutes from "./routes/academicYear.routes.js";
+import gradingSchemeRoutes from "./routes/gradingScheme.routes.js";
+import progressRoutes from "./routes/progress.routes.js";
+import paymentRoutes from "./routes/payment.routes.js";
+import schedulerService from "./services/scheduler.service.js";
+import resultModerationService from "./services/resultModeration.service.js";
+import feeStructureService from "./services/feeStructure.service.js";
+import fineRuleService from "./services/fineRule.service.js";
+import feeReminderService from "./services/feeReminder.service.js";
 
 dotenv.config();
 
@@ -33,7 +44,17 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+app.use(
+  express.json({
+    // Keep the raw body for payment webhook signature checks
+    verify: (req, res, buffer) => {
+      req.rawBody = buffer;
+    },
+  }),
+);
+
+// Per-request context (actor, IP) used by the audit log
+app.use(requestContext);
 
 // Serve uploaded files
 app.use("/uploads", express.static(path.join(__dirname, "..", "uploads")));
@@ -51,14 +72,41 @@ app.use("/api/assignments", assignmentRoutes);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/results", resultRoutes);
 app.use("/api/fees", feeRoutes);
+app.use("/api/academic-years", academicYearRoutes);
+app.use("/api/grading-schemes", gradingSchemeRoutes);
+app.use("/api/progress", progressRoutes);
+app.use("/api/payments", paymentRoutes);
+
+// Background jobs (run in-process once the database is connected)
+schedulerService.register("publish-results", {
+  intervalMs: Number(process.env.RESULT_PUBLISH_INTERVAL_MS) || 60 * 1000,
+  handler: () => resultModerationService.processDuePublishJobs(),
+});
+schedulerService.register("generate-fee-invoices", {
+  intervalMs: Number(process.env.FEE_INVOICE_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+  handler: () =>
+    feeStructureService.generateUpcomingInvoices({
+      leadDays: Number(process.env.FEE_INVOICE_LEAD_DAYS) || 30,
+    }),
+});
+schedulerService.register("apply-late-fines", {
+  intervalMs: Number(process.env.FEE_FINE_INTERVAL_MS) || 60 * 60 * 1000,
+  handler: () => fineRuleService.applyOverdueFines(),
+});
+schedulerService.register("send-fee-reminders", {
+  intervalMs: Number(process.env.FEE_REMINDER_INTERVAL_MS) || 60 * 60 * 1000,
+  handler: () => feeReminderService.sendDueReminders(),
+});
 
 const PORT = process.env.PORT || 8080;
 
 // Connect to DB and start server
 connectDB()
-  .then(() => {
+  .then(async () => {
+    await ensureSuperAdmin();
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+    schedulerService.start();
   })
   .catch((error) => console.error("MongoDB connection failed!", error));
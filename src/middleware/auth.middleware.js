@@ -1,8 +1,12 @@
 import jwt from "jsonwebtoken";
 import User from "../models/user.model.js";
+import Admin from "../models/admin.model.js";
+import authService from "../services/auth.service.js";
+import { setRequestActor } from "../utils/requestContext.js";
 
 /**
  * Authenticate user using JWT token
+ * The token must belong to an active (non-revoked) session
  */
 export const authenticate = async (req, res, next) => {
   try {
@@ -38,7 +42,19 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Reject tokens whose session was revoked (logout, password reset)
+    const session = await authService.getActiveSession(decoded.sid, user._id);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: "Session expired or revoked",
+      });
+    }
+
     req.user = user;
+    req.authSession = session;
+    setRequestActor(user);
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -110,3 +126,92 @@ export const authorizeRoles =
 
     next();
   };
+
+/**
+ * Load (and cache on req) the Admin profile of the current user
+ */
+const loadAdminProfile = async (req) => {
+  if (req.adminProfile === undefined) {
+    req.adminProfile = req.user.profileId
+      ? await Admin.findById(req.user.profileId)
+      : null;
+  }
+  return req.adminProfile;
+};
+
+/**
+ * Permission-based authorization for admins
+ * Checks a key of the Admin.permissions matrix (e.g. "manageFees").
+ * Super admins pass every check. Non-admin roles are not affected, so this
+ * can follow authorize(["admin", "teacher"]) on shared routes.
+ * @param {string} permission
+ */
+export const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    if (req.user.role !== "admin") {
+      return next();
+    }
+
+    const admin = await loadAdminProfile(req);
+
+    if (!admin) {
+      return res.status(403).json({
+        success: false,
+        message: "Admin profile not found",
+      });
+    }
+
+    if (admin.adminLevel === "super" || admin.permissions?.[permission]) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: `Forbidden: missing "${permission}" permission`,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Authorization failed",
+    });
+  }
+};
+
+/**
+ * Restrict a route to super admins. The first super admin is set up at
+ * startup (see config/superAdmin.js): the admin whose email is in
+ * SUPER_ADMIN_EMAIL, or else the earliest admin when there is none yet.
+ */
+export const requireSuperAdmin = async (req, res, next) => {
+  try {
+    if (!req.user || req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Forbidden: super admin access required",
+      });
+    }
+
+    const admin = await loadAdminProfile(req);
+
+    if (!admin || admin.adminLevel !== "super") {
+      return res.status(403).json({
+        success: false,
+        message: "Forbidden: super admin access required",
+      });
+    }
+
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Authorization failed",
+    });
+  }
+};
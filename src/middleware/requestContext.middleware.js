@@ -0,0 +1,17 @@
+import { runWithRequestContext } from "../utils/requestContext.js";
+
+/**
+ * Open a request context for every incoming request.
+ * authenticate() fills in the actor once the user is known.
+ */
+export const requestContext = (req, res, next) => {
+  runWithRequestContext(
+    {
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent") || null,
+      method: req.method,
+      path: req.originalUrl,
+    },
+    next,
+  );
+};
@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+
+/**
+ * Academic Year Model
+ * Purpose: Registry of academic sessions (e.g. "2025-2026") with their
+ * dates and terms. Every academicYear string stored on Student, Class,
+ * Subject, Schedule, Result, Fee and FeeStructure must match one of
+ * these names.
+ *
+ * Exactly one year can be flagged as the current session; services use
+ * it whenever a request does not name a year.
+ */
+const termSchema = new mongoose.Schema(
+  {
+    // Term Name - e.g. "Term 1", "Spring"
+    name: {
+      type: String,
+      required: [true, "Term name is required"],
+      trim: true,
+    },
+    // Start Date
+    startDate: {
+      type: Date,
+      required: [true, "Term start date is required"],
+    },
+    // End Date
+    endDate: {
+      type: Date,
+      required: [true, "Term end date is required"],
+    },
+    // Exam Types - Exams held in this term (used for term report cards)
+    examTypes: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+  },
+  { _id: true },
+);
+
+const academicYearSchema = new mongoose.Schema(
+  {
+    // Name - Session label, always "YYYY-YYYY" with consecutive years
+    name: {
+      type: String,
+      required: [true, "Academic year name is required"],
+      unique: true,
+      trim: true,
+      validate: {
+        validator: function (v) {
+          const match = /^(\d{4})-(\d{4})$/.exec(v);
+          return Boolean(match) && Number(match[2]) === Number(match[1]) + 1;
+        },
+        message: (props) =>
+          `${props.value} is not a valid academic year (use "2025-2026")`,
+      },
+    },
+    // Start Date - First day of the session
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    // End Date - Last day of the session
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+    // Terms - Terms/semesters within the session
+    terms: [termSchema],
+    // Is Current - The active session services default to
+    isCurrent: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt
+  },
+);
+
+// Only one academic year can be current
+academicYearSchema.index(
+  { isCurrent: 1 },
+  { unique: true, partialFilterExpression: { isCurrent: true } },
+);
+
+// Dates must be ordered and terms must sit inside the year without overlap
+academicYearSchema.pre("validate", function () {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate("endDate", "End date must be after start date");
+  }
+
+  const terms = [...(this.terms || [])].sort(
+    (a, b) => a.startDate - b.startDate,
+  );
+  terms.forEach((term, index) => {
+    const path = `terms.${this.terms.indexOf(term)}`;
+    const previous = terms[index - 1];
+
+    if (term.endDate <= term.startDate) {
+      this.invalidate(path, `Term "${term.name}" must end after it starts`);
+    } else if (term.startDate < this.startDate || term.endDate > this.endDate) {
+      this.invalidate(
+        path,
+        `Term "${term.name}" must fall within the academic year`,
+      );
+    } else if (previous && term.startDate <= previous.endDate) {
+      this.invalidate(
+        path,
+        `Term "${term.name}" overlaps term "${previous.name}"`,
+      );
+    }
+  });
+});
+
+academicYearSchema.plugin(auditPlugin);
+
+const AcademicYear = mongoose.model("AcademicYear", academicYearSchema);
+
+export default AcademicYear;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
 
 /**
  * Admin Model
@@ -72,6 +73,8 @@ const adminSchema = new mongoose.Schema(
 // Index for faster queries - userId must be unique
 adminSchema.index({ userId: 1 }, { unique: true });
 
+adminSchema.plugin(auditPlugin);
+
 const Admin = mongoose.model("Admin", adminSchema);
 
 export default Admin;
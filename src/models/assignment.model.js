@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
 
 const attachmentSchema = new mongoose.Schema({
   fileName: {
@@ -68,6 +69,26 @@ const assignmentSchema = new mongoose.Schema(
       },
     },
     attachments: [attachmentSchema],
+    // Rubric used to grade submissions (marks are then computed from it)
+    rubric: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Rubric",
+      default: null,
+    },
+    // Attempts a student may submit; each is kept as a submission version
+    maxAttempts: {
+      type: Number,
+      min: [1, "Max attempts must be at least 1"],
+      max: [20, "Max attempts cannot exceed 20"],
+      default: 1,
+    },
+    // When to allow another attempt: any time, or only once the last
+    // attempt has been graded with feedback
+    resubmission: {
+      type: String,
+      enum: ["anytime", "after-feedback"],
+      default: "anytime",
+    },
     status: {
       type: String,
       enum: ["draft", "published", "expired"],
@@ -114,6 +135,8 @@ assignmentSchema.virtual("timeRemaining").get(function () {
 assignmentSchema.set("toJSON", { virtuals: true });
 assignmentSchema.set("toObject", { virtuals: true });
 
+assignmentSchema.plugin(auditPlugin);
+
 const Assignment = mongoose.model("Assignment", assignmentSchema);
 
 export default Assignment;
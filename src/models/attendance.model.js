@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
 
 /**
  * Attendance Model
@@ -72,6 +73,8 @@ attendanceSchema.index({ classId: 1, date: 1 });
 attendanceSchema.index({ studentId: 1, date: 1 });
 attendanceSchema.index({ markedBy: 1, date: 1 });
 
+attendanceSchema.plugin(auditPlugin);
+
 const Attendance = mongoose.model("Attendance", attendanceSchema);
 
 export default Attendance;
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+/**
+ * Audit Log Model
+ * Purpose: Immutable record of every write made by admins, teachers and
+ * to fee records — who changed what, from where, and when.
+ *
+ * Entries are written by the audit plugin (utils/auditPlugin.js).
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Actor - User who made the change (null for system jobs)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Actor Role - Role at the time of the change (or "system")
+    actorRole: {
+      type: String,
+      enum: ["student", "parent", "teacher", "admin", "system"],
+      required: [true, "Actor role is required"],
+    },
+    // Actor Name - Snapshot so the log stays readable if the user is deleted
+    actorName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Action - Create / Update / Delete
+    action: {
+      type: String,
+      enum: {
+        values: ["create", "update", "delete"],
+        message: "{VALUE} is not a valid audit action",
+      },
+      required: [true, "Action is required"],
+    },
+    // Entity Type - Model name (e.g. "Result", "Fee")
+    entityType: {
+      type: String,
+      required: [true, "Entity type is required"],
+      trim: true,
+    },
+    // Entity ID - Changed document
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Entity ID is required"],
+    },
+    // Changed Fields - Top-level paths that changed
+    changedFields: [
+      {
+        type: String,
+      },
+    ],
+    // Before - Previous values of the changed fields (null on create)
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // After - New values of the changed fields (null on delete)
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // IP Address - Where the request came from
+    ipAddress: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // User Agent
+    userAgent: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Request - HTTP method and path that caused the change
+    method: {
+      type: String,
+      default: null,
+    },
+    path: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+// Index for efficient querying
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
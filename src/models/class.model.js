@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+import academicYearPlugin from "../utils/academicYearPlugin.js";
 
 /**
  * Class Model
@@ -73,6 +75,11 @@ classSchema.virtual("fullName").get(function () {
 classSchema.set("toJSON", { virtuals: true });
 classSchema.set("toObject", { virtuals: true });
 
+// Default to the current session and reject unknown academic years
+classSchema.plugin(academicYearPlugin);
+
+classSchema.plugin(auditPlugin);
+
 const Class = mongoose.model("Class", classSchema);
 
 export default Class;
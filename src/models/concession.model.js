@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+import academicYearPlugin from "../utils/academicYearPlugin.js";
+
+/**
+ * Concession Model
+ * Purpose: A concession rule granted to a student for an academic year,
+ * with its approval record. Only approved concessions are applied when
+ * fees are generated; the rule's terms are copied so later rule edits do
+ * not change concessions already granted.
+ */
+const concessionSchema = new mongoose.Schema(
+  {
+    // Student ID - Student receiving the concession
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: [true, "Student is required"],
+      index: true,
+    },
+    // Academic Year
+    academicYear: {
+      type: String,
+      required: [true, "Academic year is required"],
+      trim: true,
+    },
+    // Rule ID - Concession rule granted
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ConcessionRule",
+      required: [true, "Concession rule is required"],
+    },
+    // Terms copied from the rule
+    category: {
+      type: String,
+      enum: ["sibling", "merit", "staff-ward"],
+      required: true,
+    },
+    valueType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    feeTypes: {
+      type: [String],
+      default: [],
+    },
+    // Status - Pending / Approved / Rejected / Revoked
+    status: {
+      type: String,
+      enum: {
+        values: ["pending", "approved", "rejected", "revoked"],
+        message: "{VALUE} is not a valid concession status",
+      },
+      default: "pending",
+    },
+    // Reason - Why the concession was requested (e.g. "Sibling 2 of 3")
+    reason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Requested By - null when matched automatically
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Approval record - Last decision on the concession
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewComment: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// A rule is granted to a student at most once per year
+concessionSchema.index(
+  { studentId: 1, academicYear: 1, ruleId: 1 },
+  { unique: true },
+);
+concessionSchema.index({ academicYear: 1, status: 1 });
+
+// Default to the current session and reject unknown academic years
+concessionSchema.plugin(academicYearPlugin);
+
+concessionSchema.plugin(auditPlugin);
+
+const Concession = mongoose.model("Concession", concessionSchema);
+
+export default Concession;
@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+
+/**
+ * Concession Rule Model
+ * Purpose: Fee concession policy (e.g. "Second child 10%", "Merit
+ * scholarship 50% tuition"). Students receive a rule through a
+ * Concession record; sibling rules are matched automatically from the
+ * Parent `children` links, merit and staff-ward rules are granted by hand.
+ */
+const concessionRuleSchema = new mongoose.Schema(
+  {
+    // Name - Shown on reports
+    name: {
+      type: String,
+      required: [true, "Concession rule name is required"],
+      trim: true,
+    },
+    // Category - Sibling / Merit scholarship / Staff ward
+    category: {
+      type: String,
+      enum: {
+        values: ["sibling", "merit", "staff-ward"],
+        message: "{VALUE} is not a valid concession category",
+      },
+      required: [true, "Concession category is required"],
+    },
+    // Value Type - Percentage of the fee / Fixed amount per fee
+    valueType: {
+      type: String,
+      enum: {
+        values: ["percentage", "fixed"],
+        message: "{VALUE} is not a valid concession value type",
+      },
+      required: [true, "Value type is required"],
+    },
+    // Value - Percentage (0-100) or amount
+    value: {
+      type: Number,
+      required: [true, "Concession value is required"],
+      min: [0, "Concession value cannot be negative"],
+    },
+    // Fee Types - Fee types the concession applies to (empty = all)
+    feeTypes: {
+      type: [String],
+      default: [],
+    },
+    // Sibling Rank - Sibling rules apply from this child on (2 = second child)
+    siblingRank: {
+      type: Number,
+      min: [2, "Sibling rank must be at least 2"],
+      default: null,
+    },
+    // Requires Approval - Matched sibling concessions wait for an admin
+    requiresApproval: {
+      type: Boolean,
+      default: true,
+    },
+    // Is Active - Inactive rules are not granted or matched
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Created By
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+concessionRuleSchema.pre("validate", function () {
+  if (this.valueType === "percentage" && this.value > 100) {
+    this.invalidate("value", "A percentage concession cannot exceed 100");
+  }
+  if (this.category === "sibling" && !this.siblingRank) {
+    this.invalidate("siblingRank", "A sibling rule needs a sibling rank");
+  }
+
+  const feeTypes = mongoose.model("Fee").schema.path("feeType").enumValues;
+  this.feeTypes.forEach((feeType, index) => {
+    if (!feeTypes.includes(feeType)) {
+      this.invalidate(
+        `feeTypes.${index}`,
+        `${feeType} is not a valid fee type`,
+      );
+    }
+  });
+});
+
+concessionRuleSchema.plugin(auditPlugin);
+
+const ConcessionRule = mongoose.model("ConcessionRule", concessionRuleSchema);
+
+export default ConcessionRule;
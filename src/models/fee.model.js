@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+import academicYearPlugin from "../utils/academicYearPlugin.js";
 
 /**
  * Fee Model
@@ -43,19 +45,42 @@ const feeSchema = new mongoose.Schema(
       required: [true, "Fee amount is required"],
       min: [0, "Amount cannot be negative"],
     },
-    // Discount
+    // Discount - Entered by hand, or the sum of the concessions below
     discount: {
       type: Number,
       default: 0,
       min: [0, "Discount cannot be negative"],
     },
-    // Fine/Late Fee
+    // Concessions - Applied when the fee was generated
+    concessions: [
+      {
+        concessionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Concession",
+        },
+        category: String,
+        amount: Number,
+        _id: false,
+      },
+    ],
+    // Fine - Entered by hand
     fine: {
       type: Number,
       default: 0,
       min: [0, "Fine cannot be negative"],
     },
-    // Total Amount (amount - discount + fine)
+    // Late Fine - Accrued by the overdue job from the fee type's FineRule
+    lateFine: {
+      type: Number,
+      default: 0,
+      min: [0, "Late fine cannot be negative"],
+    },
+    // Late Fine Updated At - Last time the overdue job changed lateFine
+    lateFineUpdatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Total Amount (amount - discount + fine + lateFine)
     totalAmount: {
       type: Number,
       default: 0,
@@ -74,7 +99,7 @@ const feeSchema = new mongoose.Schema(
       },
       default: "unpaid",
     },
-    // Amount Paid
+    // Amount Paid - Derived from the payment ledger
     amountPaid: {
       type: Number,
       default: 0,
@@ -85,6 +110,12 @@ const feeSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Reserved Amount - Payments being recorded right now, already held
+    // off the balance until they reach the ledger
+    reservedAmount: {
+      type: Number,
+      default: 0,
+    },
     // Paid Date - Date of payment
     paidDate: {
       type: Date,
@@ -114,7 +145,13 @@ const feeSchema = new mongoose.Schema(
       trim: true,
       default: null,
     },
-    // Receipt Number
+    // Fee Structure - Template the fee was generated from (null = manual)
+    feeStructureId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FeeStructure",
+      default: null,
+    },
+    // Receipt Number - Legacy; receipts are now issued per Payment
     receiptNumber: {
       type: String,
       trim: true,
@@ -134,6 +171,21 @@ const feeSchema = new mongoose.Schema(
       ref: "User",
       default: null,
     },
+    // Reminders - Every reminder sent for this fee
+    reminders: [
+      {
+        // Step - Schedule step, e.g. "before-due:3", "on-due:0"
+        step: String,
+        channel: String,
+        recipients: [String],
+        status: {
+          type: String,
+          enum: ["sending", "sent", "failed"],
+        },
+        error: String,
+        sentAt: Date,
+      },
+    ],
   },
   {
     timestamps: true, // Adds createdAt
@@ -143,10 +195,14 @@ const feeSchema = new mongoose.Schema(
 // Pre-save middleware to calculate totals
 feeSchema.pre("save", function (next) {
   // Calculate total amount
-  this.totalAmount = this.amount - this.discount + this.fine;
+  this.totalAmount =
+    this.amount - this.discount + this.fine + (this.lateFine || 0);
 
-  // Calculate balance due
-  this.balanceDue = this.totalAmount - this.amountPaid;
+  // Calculate balance due, keeping payments in flight held
+  this.balanceDue = Math.max(
+    this.totalAmount - this.amountPaid - (this.reservedAmount || 0),
+    0,
+  );
 
   // Update payment status based on amounts
   if (this.amountPaid >= this.totalAmount) {
@@ -154,8 +210,9 @@ feeSchema.pre("save", function (next) {
     this.balanceDue = 0;
   } else if (this.amountPaid > 0) {
     this.paymentStatus = "partial";
-  } else if (new Date() > this.dueDate && this.paymentStatus === "unpaid") {
-    this.paymentStatus = "overdue";
+  } else {
+    // Nothing paid (also after a void or full refund)
+    this.paymentStatus = new Date() > this.dueDate ? "overdue" : "unpaid";
   }
 
 });
@@ -165,6 +222,21 @@ feeSchema.index({ studentId: 1, academicYear: 1 });
 feeSchema.index({ paymentStatus: 1, dueDate: 1 });
 feeSchema.index({ feeType: 1, academicYear: 1 });
 
+// Generated fees: one per student, fee type and period (keeps the
+// invoice generator idempotent even when two runs overlap)
+feeSchema.index(
+  { studentId: 1, feeType: 1, academicYear: 1, period: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { feeStructureId: { $type: "objectId" } },
+  },
+);
+
+// Default to the current session and reject unknown academic years
+feeSchema.plugin(academicYearPlugin);
+
+feeSchema.plugin(auditPlugin, { auditAllRoles: true });
+
 const Fee = mongoose.model("Fee", feeSchema);
 
 export default Fee;
@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+import academicYearPlugin from "../utils/academicYearPlugin.js";
+
+/**
+ * Fee Structure Model
+ * Purpose: Fee template for a class in an academic year. Each head is a
+ * fee type with an amount and a schedule; the invoice generator turns
+ * the template into Fee records for every active student of the class.
+ *
+ * Periods come from the AcademicYear dates:
+ * - monthly: one invoice per month ("2025-04")
+ * - quarterly: one per three months from the year start ("Q1".."Q4")
+ * - annual: a single invoice ("Annual")
+ */
+const feeHeadSchema = new mongoose.Schema(
+  {
+    // Fee Type - Same values as Fee.feeType (one head per type)
+    feeType: {
+      type: String,
+      required: [true, "Fee type is required"],
+      validate: {
+        validator: (value) =>
+          mongoose
+            .model("Fee")
+            .schema.path("feeType")
+            .enumValues.includes(value),
+        message: "{VALUE} is not a valid fee type",
+      },
+    },
+    // Description - Printed on the invoice
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Amount - Charged per period
+    amount: {
+      type: Number,
+      required: [true, "Fee amount is required"],
+      min: [0, "Amount cannot be negative"],
+    },
+    // Frequency - Monthly / Quarterly / Annual
+    frequency: {
+      type: String,
+      enum: {
+        values: ["monthly", "quarterly", "annual"],
+        message: "{VALUE} is not a valid frequency",
+      },
+      required: [true, "Frequency is required"],
+    },
+    // Due Day - Day of the period's first month the fee is due
+    dueDay: {
+      type: Number,
+      min: [1, "Due day must be between 1 and 28"],
+      max: [28, "Due day must be between 1 and 28"],
+      default: 10,
+    },
+  },
+  { _id: true },
+);
+
+const feeStructureSchema = new mongoose.Schema(
+  {
+    // Name - e.g. "Class 5 Fees 2025-2026"
+    name: {
+      type: String,
+      required: [true, "Fee structure name is required"],
+      trim: true,
+    },
+    // Class ID - Class the template applies to
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      required: [true, "Class is required"],
+    },
+    // Academic Year
+    academicYear: {
+      type: String,
+      required: [true, "Academic year is required"],
+      trim: true,
+    },
+    // Heads - Fee types, amounts and schedules
+    heads: {
+      type: [feeHeadSchema],
+      validate: {
+        validator: (heads) => heads.length > 0,
+        message: "At least one fee head is required",
+      },
+    },
+    // Is Active - Inactive templates are skipped by the generator
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Last Generated At - Last time invoices were generated
+    lastGeneratedAt: {
+      type: Date,
+      default: null,
+    },
+    // Created By
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One fee type per head (invoices are keyed by type and period)
+feeStructureSchema.pre("validate", function () {
+  const seen = new Set();
+  this.heads.forEach((head, index) => {
+    if (seen.has(head.feeType)) {
+      this.invalidate(
+        `heads.${index}.feeType`,
+        `Fee type "${head.feeType}" appears in more than one head`,
+      );
+    }
+    seen.add(head.feeType);
+  });
+});
+
+// One template per class and academic year
+feeStructureSchema.index({ classId: 1, academicYear: 1 }, { unique: true });
+
+// Default to the current session and reject unknown academic years
+feeStructureSchema.plugin(academicYearPlugin);
+
+feeStructureSchema.plugin(auditPlugin);
+
+const FeeStructure = mongoose.model("FeeStructure", feeStructureSchema);
+
+export default FeeStructure;
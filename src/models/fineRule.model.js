@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+
+/**
+ * Fine Rule Model
+ * Purpose: Late fine charged on overdue fees of one fee type. The
+ * overdue job recomputes each fee's lateFine from its rule:
+ * - flat: `amount` once the grace period has passed
+ * - per-day: `amount` for every day overdue after the grace period
+ * - capped: like per-day, but never more than `maxAmount`
+ */
+const fineRuleSchema = new mongoose.Schema(
+  {
+    // Fee Type - Same values as Fee.feeType (one rule per type)
+    feeType: {
+      type: String,
+      required: [true, "Fee type is required"],
+      unique: true,
+      validate: {
+        validator: (value) =>
+          mongoose
+            .model("Fee")
+            .schema.path("feeType")
+            .enumValues.includes(value),
+        message: "{VALUE} is not a valid fee type",
+      },
+    },
+    // Mode - Flat / Per-day / Capped per-day
+    mode: {
+      type: String,
+      enum: {
+        values: ["flat", "per-day", "capped"],
+        message: "{VALUE} is not a valid fine mode",
+      },
+      required: [true, "Fine mode is required"],
+    },
+    // Amount - Flat fine, or fine per day overdue
+    amount: {
+      type: Number,
+      required: [true, "Fine amount is required"],
+      min: [0, "Fine amount cannot be negative"],
+    },
+    // Max Amount - Cap of a capped rule
+    maxAmount: {
+      type: Number,
+      min: [0, "Maximum fine cannot be negative"],
+      default: null,
+    },
+    // Grace Days - Days after the due date before the fine starts
+    graceDays: {
+      type: Number,
+      min: [0, "Grace days cannot be negative"],
+      default: 0,
+    },
+    // Is Active - Inactive rules stop accruing (existing fines are kept)
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Created By
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// A capped rule needs its cap
+fineRuleSchema.pre("validate", function () {
+  if (this.mode === "capped" && !(this.maxAmount > 0)) {
+    this.invalidate("maxAmount", "A capped rule needs a maximum amount");
+  }
+});
+
+fineRuleSchema.plugin(auditPlugin);
+
+const FineRule = mongoose.model("FineRule", fineRuleSchema);
+
+export default FineRule;
@@ -0,0 +1,157 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+
+/**
+ * Grading Scheme Model
+ * Purpose: Admin-managed grade scales used to grade results, either
+ * percentage bands (letter grades) or GPA bands (letter grade + points),
+ * plus the exam-type weights report cards use for the same classes.
+ *
+ * A scheme applies to the classes listed in classIds, to a whole
+ * academic year, or school-wide when marked as the default. The most
+ * specific active scheme wins: class → academic year → default.
+ */
+const gradeBandSchema = new mongoose.Schema(
+  {
+    // Grade - Label awarded (e.g. "A+", "A1", "Distinction")
+    grade: {
+      type: String,
+      required: [true, "Grade label is required"],
+      trim: true,
+    },
+    // Min Percentage - Lowest percentage that earns this grade
+    minPercentage: {
+      type: Number,
+      required: [true, "Minimum percentage is required"],
+      min: [0, "Minimum percentage cannot be negative"],
+      max: [100, "Minimum percentage cannot exceed 100"],
+    },
+    // Grade Point - Points for GPA schemes (e.g. 10, 9, 4.0)
+    gradePoint: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // Is Passing - Whether this grade counts as a pass
+    isPassing: {
+      type: Boolean,
+      default: true,
+    },
+    // Description - e.g. "Outstanding"
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+const gradingSchemeSchema = new mongoose.Schema(
+  {
+    // Name - e.g. "Primary (A+–F)", "Senior board 10-point"
+    name: {
+      type: String,
+      required: [true, "Scheme name is required"],
+      unique: true,
+      trim: true,
+    },
+    // Type - Percentage bands or GPA
+    type: {
+      type: String,
+      enum: {
+        values: ["percentage", "gpa"],
+        message: "{VALUE} is not a valid grading scheme type",
+      },
+      default: "percentage",
+    },
+    // Bands - Grade cut-offs (sorted highest first on save)
+    bands: {
+      type: [gradeBandSchema],
+      validate: {
+        validator: (bands) => Array.isArray(bands) && bands.length > 0,
+        message: "At least one grade band is required",
+      },
+    },
+    // Exam Weights - How exam types combine on report cards
+    // (e.g. { "unit-test-1": 10, midterm: 30, final: 60 }); empty = equal
+    examWeights: {
+      type: Map,
+      of: {
+        type: Number,
+        min: [0, "Exam weight cannot be negative"],
+      },
+      default: undefined,
+    },
+    // Classes - Classes this scheme applies to
+    classIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Class",
+      },
+    ],
+    // Academic Year - Session this scheme applies to (null = any)
+    academicYear: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Is Default - School-wide fallback scheme
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    // Is Active
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt
+  },
+);
+
+// Only one default scheme
+gradingSchemeSchema.index(
+  { isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } },
+);
+
+// Index for scheme lookup
+gradingSchemeSchema.index({ classIds: 1, academicYear: 1, isActive: 1 });
+
+// Bands must cover 0% with unique grades; GPA bands need points
+gradingSchemeSchema.pre("validate", function () {
+  const bands = this.bands || [];
+  bands.sort((a, b) => b.minPercentage - a.minPercentage);
+
+  const grades = bands.map((band) => band.grade);
+  if (new Set(grades).size !== grades.length) {
+    this.invalidate("bands", "Grade labels must be unique");
+  }
+
+  const cutoffs = bands.map((band) => band.minPercentage);
+  if (new Set(cutoffs).size !== cutoffs.length) {
+    this.invalidate("bands", "Two bands cannot share a minimum percentage");
+  }
+
+  if (bands.length > 0 && bands[bands.length - 1].minPercentage !== 0) {
+    this.invalidate("bands", "The lowest band must start at 0%");
+  }
+
+  if (
+    this.type === "gpa" &&
+    bands.some(
+      (band) => band.gradePoint === null || band.gradePoint === undefined,
+    )
+  ) {
+    this.invalidate("bands", "Every band of a GPA scheme needs a grade point");
+  }
+});
+
+gradingSchemeSchema.plugin(auditPlugin);
+
+const GradingScheme = mongoose.model("GradingScheme", gradingSchemeSchema);
+
+export default GradingScheme;
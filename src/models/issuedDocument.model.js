@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+/**
+ * Issued Document Model
+ * Purpose: Register of generated report cards and transcripts. The
+ * verification code printed on each PDF resolves to this record so a
+ * third party can confirm the document is genuine and unaltered.
+ */
+const issuedDocumentSchema = new mongoose.Schema(
+  {
+    // Verification Code - Printed on the document (unique)
+    verificationCode: {
+      type: String,
+      required: [true, "Verification code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    // Document Type - Report card / Transcript
+    documentType: {
+      type: String,
+      enum: {
+        values: ["report-card", "transcript"],
+        message: "{VALUE} is not a valid document type",
+      },
+      required: [true, "Document type is required"],
+    },
+    // Student ID - Student the document belongs to
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: [true, "Student is required"],
+    },
+    // Academic Years - Sessions covered
+    academicYears: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Scope - Exam type or term the report card covers (null = full year)
+    scope: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Summary - Snapshot of the printed results (per year) for verification
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Issued By - User who generated the document
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "issuedAt", updatedAt: false },
+  },
+);
+
+// Index for listing a student's documents
+issuedDocumentSchema.index({ studentId: 1, issuedAt: -1 });
+
+const IssuedDocument = mongoose.model("IssuedDocument", issuedDocumentSchema);
+
+export default IssuedDocument;
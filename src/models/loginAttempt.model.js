@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+/**
+ * Login Attempt Model
+ * Purpose: Tracks failed logins per account (email) and per IP address
+ * for progressive delays and temporary lockouts.
+ *
+ * One document per (scope, key). The counter restarts once the failure
+ * window has passed without new failures.
+ */
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // Scope - What the key identifies
+    scope: {
+      type: String,
+      enum: {
+        values: ["account", "ip"],
+        message: "{VALUE} is not a valid login attempt scope",
+      },
+      required: [true, "Scope is required"],
+    },
+    // Key - Normalized email (account scope) or IP address (ip scope)
+    key: {
+      type: String,
+      required: [true, "Key is required"],
+      trim: true,
+    },
+    // User ID - Set for account scope when the email belongs to a user
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Failed Count - Consecutive failures inside the current window
+    failedCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // First Failed At - Start of the current failure window
+    firstFailedAt: {
+      type: Date,
+      default: null,
+    },
+    // Last Failed At - Most recent failure (drives progressive delay)
+    lastFailedAt: {
+      type: Date,
+      default: null,
+    },
+    // Locked Until - Attempts are rejected until this time
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Lock Count - How many times this key has been locked
+    lockCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Last IP - Most recent IP address (account scope)
+    lastIp: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Unique constraint: one tracker per scope + key
+loginAttemptSchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// Index for listing locked accounts
+loginAttemptSchema.index({ scope: 1, lockedUntil: 1 });
+
+// Let MongoDB purge trackers that have been idle for a day
+loginAttemptSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: 24 * 60 * 60 },
+);
+
+// Virtual for checking if the key is currently locked
+loginAttemptSchema.virtual("isLocked").get(function () {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+// Ensure virtuals are included in JSON
+loginAttemptSchema.set("toJSON", { virtuals: true });
+loginAttemptSchema.set("toObject", { virtuals: true });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
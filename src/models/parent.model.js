@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
 
 /**
  * Parent Model
@@ -65,6 +66,8 @@ const parentSchema = new mongoose.Schema(
 // Index for faster queries - userId must be unique
 parentSchema.index({ userId: 1 }, { unique: true });
 
+parentSchema.plugin(auditPlugin);
+
 const Parent = mongoose.model("Parent", parentSchema);
 
 export default Parent;
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+/**
+ * Password Reset Model
+ * Purpose: Single-use, expiring tokens for the forgot-password flow.
+ * Only a SHA-256 hash of the token is stored.
+ */
+const passwordResetSchema = new mongoose.Schema(
+  {
+    // User ID - Account the token resets
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    // Token Hash - Hash of the token sent to the user
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      unique: true,
+    },
+    // Expires At - Token is rejected after this time
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    // Used At - Set once the token has been consumed (or superseded)
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    // Requested IP - Where the reset was requested from
+    requestedIp: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt
+  },
+);
+
+// Index for faster queries
+passwordResetSchema.index({ userId: 1, usedAt: 1 });
+
+// Let MongoDB purge tokens a day after they expire
+passwordResetSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 24 * 60 * 60 },
+);
+
+const PasswordReset = mongoose.model("PasswordReset", passwordResetSchema);
+
+export default PasswordReset;
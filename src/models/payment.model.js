@@ -0,0 +1,153 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+
+/**
+ * Payment Model
+ * Purpose: Fee payment ledger, one row per transaction. A fee's
+ * amountPaid is the sum of its completed payments minus completed
+ * refunds; voided rows are kept for the record but not counted.
+ */
+const paymentSchema = new mongoose.Schema(
+  {
+    // Fee ID - Fee the transaction belongs to
+    feeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Fee",
+      required: [true, "Fee is required"],
+      index: true,
+    },
+    // Student ID - Copied from the fee for reporting
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: [true, "Student is required"],
+      index: true,
+    },
+    // Academic Year - Copied from the fee
+    academicYear: {
+      type: String,
+      required: [true, "Academic year is required"],
+      trim: true,
+    },
+    // Kind - Payment received / Refund paid out
+    kind: {
+      type: String,
+      enum: {
+        values: ["payment", "refund"],
+        message: "{VALUE} is not a valid transaction kind",
+      },
+      default: "payment",
+    },
+    // Amount - Always positive; refunds are subtracted
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be greater than 0"],
+    },
+    // Method - Cash / Card / Bank transfer / Online / Cheque
+    method: {
+      type: String,
+      enum: {
+        values: ["cash", "card", "bank-transfer", "online", "cheque"],
+        message: "{VALUE} is not a valid payment method",
+      },
+      required: [true, "Payment method is required"],
+    },
+    // Reference - Transaction / cheque / bank reference
+    reference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Receipt Number - Printed on the receipt, e.g. "RCP/2025-2026/000042"
+    receiptNumber: {
+      type: String,
+      required: [true, "Receipt number is required"],
+      unique: true,
+      trim: true,
+    },
+    // Receipt Series - RCP for payments, RFD for refunds
+    receiptSeries: {
+      type: String,
+      enum: ["RCP", "RFD"],
+      default: null,
+    },
+    // Receipt Sequence - Position in the series for the academic year
+    // (null on rows recorded before sequential numbering)
+    receiptSeq: {
+      type: Number,
+      default: null,
+    },
+    // Paid At - When the money changed hands
+    paidAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Collected By - User who recorded the transaction
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Refund Of - Payment a refund reverses
+    refundOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+    // Status - Completed / Voided (entered by mistake)
+    status: {
+      type: String,
+      enum: {
+        values: ["completed", "voided"],
+        message: "{VALUE} is not a valid payment status",
+      },
+      default: "completed",
+    },
+    // Void details
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Remarks
+    remarks: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes for ledger listings
+paymentSchema.index({ paidAt: -1 });
+paymentSchema.index({ refundOf: 1 });
+paymentSchema.index({ collectedBy: 1, paidAt: -1 });
+
+// One receipt per number in each series and year; a number is only
+// taken by a successful insert, so the sequence has no gaps
+paymentSchema.index(
+  { receiptSeries: 1, academicYear: 1, receiptSeq: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { receiptSeq: { $type: "number" } },
+  },
+);
+
+paymentSchema.plugin(auditPlugin, { auditAllRoles: true });
+
+const Payment = mongoose.model("Payment", paymentSchema);
+
+export default Payment;
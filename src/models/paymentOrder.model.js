@@ -0,0 +1,169 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+
+/**
+ * Payment Order Model
+ * Purpose: Online payment of one fee, or of several fees at once,
+ * through a payment provider. The order is created before the parent is
+ * sent to the provider's checkout; the provider's webhook (or
+ * reconciliation) marks it paid and records a ledger Payment per fee.
+ */
+const paymentOrderSchema = new mongoose.Schema(
+  {
+    // Provider - Payment provider name (e.g. "mock")
+    provider: {
+      type: String,
+      required: [true, "Provider is required"],
+      trim: true,
+    },
+    // Provider Order ID - Order ID at the provider
+    providerOrderId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Checkout URL - Where the payer completes the payment
+    checkoutUrl: {
+      type: String,
+      default: null,
+    },
+    // Fee ID - Fee being paid (null on combined orders)
+    feeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Fee",
+      default: null,
+      index: true,
+    },
+    // Student ID - Copied from the fee (null on combined orders)
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      default: null,
+    },
+    // Academic Year - Copied from the fee (null when fees span years)
+    academicYear: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Allocations - How the amount is split over fees; one entry for a
+    // single-fee order, one per fee for a "pay all outstanding" order
+    allocations: [
+      {
+        feeId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Fee",
+          required: true,
+        },
+        studentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Student",
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: [0.01, "Amount must be greater than 0"],
+        },
+        // Ledger row recorded for this fee
+        paymentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Payment",
+          default: null,
+        },
+        _id: false,
+      },
+    ],
+    // Amount - Amount requested from the payer
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be greater than 0"],
+    },
+    // Currency - ISO code sent to the provider
+    currency: {
+      type: String,
+      required: [true, "Currency is required"],
+      uppercase: true,
+    },
+    // Status - Created / Paid / Failed
+    status: {
+      type: String,
+      enum: {
+        values: ["created", "paid", "failed"],
+        message: "{VALUE} is not a valid order status",
+      },
+      default: "created",
+    },
+    // Captured payment details from the provider
+    providerPaymentId: {
+      type: String,
+      default: null,
+    },
+    paidAmount: {
+      type: Number,
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    // Payment ID - First ledger row recorded for the capture
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+    // Needs Review - Captured but could not be applied to the fee
+    needsReview: {
+      type: Boolean,
+      default: false,
+    },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+    // Settlement - Provider payout the capture was settled in
+    settlement: {
+      settlementId: { type: String, default: null },
+      amount: { type: Number, default: null },
+      providerFee: { type: Number, default: null },
+      settledAt: { type: Date, default: null },
+    },
+    reconciledAt: {
+      type: Date,
+      default: null,
+    },
+    // Created By - Parent who started the payment
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Expires At - Checkout link validity (late captures are still applied)
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+paymentOrderSchema.index(
+  { provider: 1, providerOrderId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { providerOrderId: { $type: "string" } },
+  },
+);
+paymentOrderSchema.index({ createdBy: 1, createdAt: -1 });
+paymentOrderSchema.index({ "allocations.feeId": 1 });
+paymentOrderSchema.index({ provider: 1, status: 1, paidAt: 1 });
+
+paymentOrderSchema.plugin(auditPlugin, { auditAllRoles: true });
+
+const PaymentOrder = mongoose.model("PaymentOrder", paymentOrderSchema);
+
+export default PaymentOrder;
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+
+/**
+ * Progress Settings Model
+ * Purpose: School-wide thresholds for at-risk alerts. A single document
+ * (key "default"); a student is flagged when at least `minIndicators` of
+ * the indicators below cross their threshold.
+ */
+const progressSettingsSchema = new mongoose.Schema(
+  {
+    // Key - Always "default" (one settings document)
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+      immutable: true,
+    },
+    // Min Attendance Percentage - Flag attendance below this
+    minAttendancePercentage: {
+      type: Number,
+      min: [0, "Attendance threshold cannot be negative"],
+      max: [100, "Attendance threshold cannot exceed 100"],
+      default: 75,
+    },
+    // Min Overall Percentage - Flag a latest exam percentage below this
+    minOverallPercentage: {
+      type: Number,
+      min: [0, "Percentage threshold cannot be negative"],
+      max: [100, "Percentage threshold cannot exceed 100"],
+      default: 40,
+    },
+    // Max Percentage Drop - Flag a fall of more than this many points
+    // between the last two exams
+    maxPercentageDrop: {
+      type: Number,
+      min: [0, "Percentage drop cannot be negative"],
+      max: [100, "Percentage drop cannot exceed 100"],
+      default: 10,
+    },
+    // Max Missing Submissions - Flag more missed assignments than this
+    maxMissingSubmissions: {
+      type: Number,
+      min: [0, "Missing submissions threshold cannot be negative"],
+      default: 2,
+    },
+    // Max Late Submissions - Flag more late submissions than this
+    maxLateSubmissions: {
+      type: Number,
+      min: [0, "Late submissions threshold cannot be negative"],
+      default: 3,
+    },
+    // Lookback Days - Window for attendance and assignments
+    lookbackDays: {
+      type: Number,
+      min: [1, "Lookback must be at least 1 day"],
+      max: [366, "Lookback cannot exceed 366 days"],
+      default: 60,
+    },
+    // Min Indicators - Crossed indicators needed to flag a student
+    minIndicators: {
+      type: Number,
+      min: [1, "At least one indicator is required"],
+      max: [5, "There are only 5 indicators"],
+      default: 2,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+progressSettingsSchema.plugin(auditPlugin);
+
+const ProgressSettings = mongoose.model(
+  "ProgressSettings",
+  progressSettingsSchema,
+);
+
+export default ProgressSettings;
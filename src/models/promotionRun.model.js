@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+
+/**
+ * Promotion Run Model
+ * Purpose: Record of an academic year rollover — the options used, the
+ * classes/subjects cloned into the new year and what happened to each
+ * student (promoted, retained, graduated or left for review).
+ */
+const promotionRunSchema = new mongoose.Schema(
+  {
+    // From Year - Academic year students are promoted out of
+    fromYear: {
+      type: String,
+      required: [true, "From year is required"],
+      trim: true,
+    },
+    // To Year - Academic year students are promoted into
+    toYear: {
+      type: String,
+      required: [true, "To year is required"],
+      trim: true,
+    },
+    // Status - Running / Completed / Failed
+    status: {
+      type: String,
+      enum: {
+        values: ["running", "completed", "failed"],
+        message: "{VALUE} is not a valid promotion run status",
+      },
+      default: "running",
+    },
+    // Options - Rules used to build the plan (pass mark, mapping, overrides)
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Summary - Counts per outcome
+    summary: {
+      classesCreated: { type: Number, default: 0 },
+      subjectsCreated: { type: Number, default: 0 },
+      promoted: { type: Number, default: 0 },
+      retained: { type: Number, default: 0 },
+      graduated: { type: Number, default: 0 },
+      review: { type: Number, default: 0 },
+    },
+    // Students - Outcome per student
+    students: [
+      {
+        studentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Student",
+        },
+        decision: {
+          type: String,
+          enum: ["promote", "retain", "graduate", "review"],
+        },
+        fromClassId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Class",
+        },
+        toClassId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Class",
+          default: null,
+        },
+        previousRollNumber: { type: String, default: null },
+        rollNumber: { type: String, default: null },
+        percentage: { type: Number, default: null },
+        reason: { type: String, default: null },
+      },
+    ],
+    // Error - Failure message if the run did not complete
+    error: {
+      type: String,
+      default: null,
+    },
+    // Executed By - Admin who committed the rollover
+    executedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Completed At
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt
+  },
+);
+
+// Index for efficient querying
+promotionRunSchema.index({ fromYear: 1, toYear: 1, createdAt: -1 });
+
+const PromotionRun = mongoose.model("PromotionRun", promotionRunSchema);
+
+export default PromotionRun;
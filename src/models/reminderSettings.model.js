@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+
+/**
+ * Reminder Settings Model
+ * Purpose: Fee reminder (dunning) schedule. A single document (key
+ * "default"). Each step is relative to a fee's due date; the reminder
+ * job sends the latest step a fee has reached, once, while a balance
+ * is still due.
+ */
+const reminderStepSchema = new mongoose.Schema(
+  {
+    // Stage - Before the due date / On the due date / After it
+    stage: {
+      type: String,
+      enum: {
+        values: ["before-due", "on-due", "after-due"],
+        message: "{VALUE} is not a valid reminder stage",
+      },
+      required: [true, "Reminder stage is required"],
+    },
+    // Days - Days before / after the due date (ignored for on-due)
+    days: {
+      type: Number,
+      min: [0, "Days cannot be negative"],
+      max: [365, "Days cannot exceed 365"],
+      default: 0,
+    },
+  },
+  { _id: false },
+);
+
+const reminderSettingsSchema = new mongoose.Schema(
+  {
+    // Key - Always "default" (one settings document)
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+      immutable: true,
+    },
+    // Is Enabled - The scheduled job sends nothing when disabled
+    isEnabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Channel - Notification channel (null = NOTIFICATION_CHANNEL default)
+    channel: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Steps - Reminder schedule
+    steps: {
+      type: [reminderStepSchema],
+      default: () => [
+        { stage: "before-due", days: 3 },
+        { stage: "on-due", days: 0 },
+        { stage: "after-due", days: 7 },
+        { stage: "after-due", days: 30 },
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Steps must be distinct
+reminderSettingsSchema.pre("validate", function () {
+  const seen = new Set();
+  this.steps.forEach((step, index) => {
+    const key = `${step.stage}:${step.stage === "on-due" ? 0 : step.days}`;
+    if (seen.has(key)) {
+      this.invalidate(`steps.${index}`, `Reminder step ${key} is repeated`);
+    }
+    seen.add(key);
+  });
+});
+
+reminderSettingsSchema.plugin(auditPlugin);
+
+const ReminderSettings = mongoose.model(
+  "ReminderSettings",
+  reminderSettingsSchema,
+);
+
+export default ReminderSettings;
@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+import academicYearPlugin from "../utils/academicYearPlugin.js";
+import gradingSchemeService from "../services/gradingScheme.service.js";
 
 /**
  * Result Model (Marks)
@@ -61,10 +64,22 @@ const resultSchema = new mongoose.Schema(
       required: [true, "Maximum marks is required"],
       min: [1, "Maximum marks must be at least 1"],
     },
-    // Grade - Grade representation (A+, A, B+, B, C+, C, D, F)
+    // Grade - Label from the applicable grading scheme (e.g. A+, A1)
     grade: {
       type: String,
-      enum: ["A+", "A", "B+", "B", "C+", "C", "D", "F", null],
+      trim: true,
+      default: null,
+    },
+    // Grade Point - Points of the awarded grade band (used for GPA)
+    gradePoint: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // Grading Scheme - Scheme used (null = built-in scale)
+    gradingScheme: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GradingScheme",
       default: null,
     },
     // Percentage
@@ -91,7 +106,7 @@ const resultSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    // Published Date
+    // Published Date - When the result last went live (null while unpublished)
     publishedAt: {
       type: Date,
       default: null,
@@ -108,23 +123,29 @@ const resultSchema = new mongoose.Schema(
   },
 );
 
-// Pre-save middleware to calculate percentage and grade
-resultSchema.pre("save", function (next) {
-  // Calculate percentage
+// Pre-save middleware to calculate percentage and grade with the
+// grading scheme that applies to the class and academic year
+resultSchema.pre("save", async function () {
+  // Keep publishedAt in step with isPublished
+  if (this.isModified("isPublished")) {
+    this.publishedAt = this.isPublished ? this.publishedAt || new Date() : null;
+  }
+
   if (this.marksObtained !== undefined && this.maxMarks) {
     this.percentage = (this.marksObtained / this.maxMarks) * 100;
 
-    // Auto-assign grade based on percentage
-    if (this.percentage >= 90) this.grade = "A+";
-    else if (this.percentage >= 80) this.grade = "A";
-    else if (this.percentage >= 70) this.grade = "B+";
-    else if (this.percentage >= 60) this.grade = "B";
-    else if (this.percentage >= 50) this.grade = "C+";
-    else if (this.percentage >= 40) this.grade = "C";
-    else if (this.percentage >= 33) this.grade = "D";
-    else this.grade = "F";
+    const scheme = await gradingSchemeService.resolveScheme({
+      classId: this.classId,
+      academicYear: this.academicYear,
+    });
+    const { grade, gradePoint, gradingScheme } = gradingSchemeService.gradeFor(
+      this.percentage,
+      scheme,
+    );
+    this.grade = grade;
+    this.gradePoint = gradePoint;
+    this.gradingScheme = gradingScheme;
   }
-  next();
 });
 
 // Compound index for unique result per student per subject per exam
@@ -138,6 +159,11 @@ resultSchema.index({ classId: 1, examType: 1, academicYear: 1 });
 resultSchema.index({ studentId: 1, academicYear: 1 });
 resultSchema.index({ isPublished: 1 });
 
+// Default to the current session and reject unknown academic years
+resultSchema.plugin(academicYearPlugin);
+
+resultSchema.plugin(auditPlugin);
+
 const Result = mongoose.model("Result", resultSchema);
 
 export default Result;
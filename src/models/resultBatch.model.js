@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+
+const BATCH_STATUSES = ["draft", "submitted", "approved", "published"];
+const BATCH_ACTIONS = [
+  "submit",
+  "approve",
+  "return",
+  "publish",
+  "unpublish",
+  "reopen",
+];
+
+/**
+ * Result Batch Model
+ * Purpose: Moderation state of the results of one class, subject and exam
+ * in an academic year.
+ *
+ * draft → submitted → approved → published
+ * - return: submitted / approved → draft (with reviewer comments)
+ * - reopen: published → draft (with a recorded reason)
+ * - unpublish: published → approved (withdrawn, can be published again)
+ * Results can only be entered or changed while their batch is a draft.
+ */
+const historySchema = new mongoose.Schema(
+  {
+    // Action - Transition performed
+    action: {
+      type: String,
+      enum: BATCH_ACTIONS,
+      required: true,
+    },
+    // From / To - Status before and after
+    fromStatus: {
+      type: String,
+      enum: BATCH_STATUSES,
+      required: true,
+    },
+    toStatus: {
+      type: String,
+      enum: BATCH_STATUSES,
+      required: true,
+    },
+    // Comment - Review comments or re-open reason
+    comment: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // By - User who performed the action
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // At - When it happened
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+const resultBatchSchema = new mongoose.Schema(
+  {
+    // Class ID - Class reference
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      required: [true, "Class is required"],
+    },
+    // Subject ID - Subject reference
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subject",
+      required: [true, "Subject is required"],
+    },
+    // Exam Type - Same values as Result.examType
+    examType: {
+      type: String,
+      required: [true, "Exam type is required"],
+      trim: true,
+    },
+    // Academic Year
+    academicYear: {
+      type: String,
+      required: [true, "Academic year is required"],
+      trim: true,
+    },
+    // Status - Moderation state
+    status: {
+      type: String,
+      enum: {
+        values: BATCH_STATUSES,
+        message: "{VALUE} is not a valid batch status",
+      },
+      default: "draft",
+    },
+    // Review Comment - Latest comment from the reviewer
+    reviewComment: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Published Date - Set while the batch is published
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    // Reopen Count - Number of times the batch was re-opened after publishing
+    reopenCount: {
+      type: Number,
+      default: 0,
+    },
+    // History - Every transition, oldest first
+    history: [historySchema],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One batch per class, subject, exam and year
+resultBatchSchema.index(
+  { classId: 1, subjectId: 1, examType: 1, academicYear: 1 },
+  { unique: true },
+);
+
+// Index for review queues
+resultBatchSchema.index({ status: 1, academicYear: 1 });
+
+resultBatchSchema.plugin(auditPlugin);
+
+const ResultBatch = mongoose.model("ResultBatch", resultBatchSchema);
+
+export default ResultBatch;
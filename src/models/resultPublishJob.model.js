@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+
+/**
+ * Result Publish Job Model
+ * Purpose: Scheduled publication of result batches. At `publishAt` the
+ * scheduler publishes every approved batch matching the filter; batches
+ * that are not approved by then are listed as skipped.
+ */
+const resultPublishJobSchema = new mongoose.Schema(
+  {
+    // Filter - Batches to publish (academicYear always set)
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      default: null,
+    },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subject",
+      default: null,
+    },
+    examType: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    academicYear: {
+      type: String,
+      required: [true, "Academic year is required"],
+      trim: true,
+    },
+    // Publish At - When the results go live
+    publishAt: {
+      type: Date,
+      required: [true, "Publish date and time is required"],
+    },
+    // Status - Job lifecycle
+    status: {
+      type: String,
+      enum: {
+        values: ["pending", "running", "completed", "failed", "cancelled"],
+        message: "{VALUE} is not a valid job status",
+      },
+      default: "pending",
+    },
+    // Outcome - Batches published / skipped when the job ran
+    outcome: {
+      published: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ResultBatch",
+        },
+      ],
+      skipped: [
+        {
+          _id: false,
+          batchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "ResultBatch",
+          },
+          status: String,
+        },
+      ],
+      resultsPublished: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Error - Failure message
+    error: {
+      type: String,
+      default: null,
+    },
+    // Created By - Admin who scheduled the job (recorded as the publisher)
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Cancelled By - Admin who cancelled the job
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Index for picking up due jobs
+resultPublishJobSchema.index({ status: 1, publishAt: 1 });
+
+resultPublishJobSchema.plugin(auditPlugin);
+
+const ResultPublishJob = mongoose.model(
+  "ResultPublishJob",
+  resultPublishJobSchema,
+);
+
+export default ResultPublishJob;
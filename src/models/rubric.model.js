@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+
+// Performance level of a criterion, e.g. "Excellent" worth 4 points
+const levelSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, "Level label is required"],
+    trim: true,
+    maxlength: [50, "Level label cannot exceed 50 characters"],
+  },
+  points: {
+    type: Number,
+    required: [true, "Level points are required"],
+    min: [0, "Level points cannot be negative"],
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+});
+
+const criterionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Criterion name is required"],
+    trim: true,
+    maxlength: [100, "Criterion name cannot exceed 100 characters"],
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  levels: {
+    type: [levelSchema],
+    validate: {
+      validator: (levels) => levels.length >= 2,
+      message: "A criterion needs at least 2 performance levels",
+    },
+  },
+});
+
+const rubricSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Rubric title is required"],
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Owner; teachers reuse their rubrics across assignments
+    teacher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Teacher is required"],
+    },
+    criteria: {
+      type: [criterionSchema],
+      validate: {
+        validator: (criteria) => criteria.length >= 1,
+        message: "A rubric needs at least one criterion",
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+rubricSchema.index({ teacher: 1, isActive: 1 });
+
+// Highest points a submission can score on the rubric
+rubricSchema.virtual("maxPoints").get(function () {
+  return (this.criteria || []).reduce(
+    (sum, criterion) =>
+      sum + Math.max(0, ...criterion.levels.map((level) => level.points)),
+    0,
+  );
+});
+
+// Levels of a criterion must have distinct labels, and the rubric must
+// be worth something
+rubricSchema.pre("validate", function () {
+  if (this.criteria.length > 0 && this.maxPoints <= 0) {
+    this.invalidate("criteria", "The rubric must be worth more than 0 points");
+  }
+  this.criteria.forEach((criterion, index) => {
+    const labels = criterion.levels.map((level) =>
+      String(level.label || "").toLowerCase(),
+    );
+    if (new Set(labels).size !== labels.length) {
+      this.invalidate(
+        `criteria.${index}.levels`,
+        `Levels of "${criterion.name}" must have distinct labels`,
+      );
+    }
+  });
+});
+
+// Ensure virtuals are included in JSON
+rubricSchema.set("toJSON", { virtuals: true });
+rubricSchema.set("toObject", { virtuals: true });
+
+rubricSchema.plugin(auditPlugin);
+
+const Rubric = mongoose.model("Rubric", rubricSchema);
+
+export default Rubric;
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+import academicYearPlugin from "../utils/academicYearPlugin.js";
 
 /**
  * Schedule Model (Timetable)
@@ -86,10 +88,6 @@ const scheduleSchema = new mongoose.Schema(
     academicYear: {
       type: String,
       required: [true, "Academic year is required"],
-      default: () => {
-        const currentYear = new Date().getFullYear();
-        return `${currentYear}-${currentYear + 1}`;
-      },
       index: true,
     },
     // Status - Active / Inactive
@@ -126,6 +124,11 @@ scheduleSchema.pre("validate", function (req, res) {
   }
 });
 
+// Default to the current session and reject unknown academic years
+scheduleSchema.plugin(academicYearPlugin);
+
+scheduleSchema.plugin(auditPlugin);
+
 const Schedule = mongoose.model("Schedule", scheduleSchema);
 
 export default Schedule;
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+/**
+ * Session Model
+ * Purpose: Tracks one login per device so refresh tokens can be rotated
+ * and revoked server-side.
+ *
+ * Relationships:
+ * - One User → Many Sessions (one per device)
+ *
+ * Only SHA-256 hashes of refresh tokens are stored, never the raw token.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    // User ID - Owner of the session
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    // Device ID - Client-supplied identifier for the device/browser
+    deviceId: {
+      type: String,
+      trim: true,
+      required: [true, "Device ID is required"],
+    },
+    // User Agent - Captured at login for display in the session list
+    userAgent: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // IP Address - Captured at login / last refresh
+    ipAddress: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Refresh Token Hash - Hash of the currently valid refresh token
+    refreshTokenHash: {
+      type: String,
+      required: [true, "Refresh token hash is required"],
+    },
+    // Previous Token Hash - Hash of the token replaced by the last rotation.
+    // Presenting it again means the token was stolen and replayed.
+    previousTokenHash: {
+      type: String,
+      default: null,
+    },
+    // Expires At - Refresh token expiry
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    // Last Used At - Last successful refresh
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Revoked At - Set on logout, password reset or token reuse
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // Revoked Reason - logout / logout-all / password change or reset / reuse-detected / replaced
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout-all",
+        "password-change",
+        "password-reset",
+        "reuse-detected",
+        "replaced",
+        null,
+      ],
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt
+  },
+);
+
+// Index for faster queries
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ userId: 1, deviceId: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+
+// Let MongoDB purge sessions a week after their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Virtual for checking if session can still be used
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
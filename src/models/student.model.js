@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+import academicYearPlugin from "../utils/academicYearPlugin.js";
 
 /**
  * Student Model
@@ -49,10 +51,6 @@ const studentSchema = new mongoose.Schema(
       type: String,
       required: [true, "Academic year is required"],
       trim: true,
-      default: () => {
-        const year = new Date().getFullYear();
-        return `${year}-${year + 1}`;
-      },
     },
     // Date of Birth - Student DOB
     dateOfBirth: {
@@ -118,6 +116,11 @@ studentSchema.index({ classId: 1, section: 1 });
 studentSchema.index({ enrollmentStatus: 1 });
 studentSchema.index({ academicYear: 1 });
 
+// Default to the current session and reject unknown academic years
+studentSchema.plugin(academicYearPlugin);
+
+studentSchema.plugin(auditPlugin);
+
 const Student = mongoose.model("Student", studentSchema);
 
 export default Student;
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
+import academicYearPlugin from "../utils/academicYearPlugin.js";
 
 /**
  * Subject Model
@@ -65,6 +67,11 @@ const subjectSchema = new mongoose.Schema(
 subjectSchema.index({ classId: 1, academicYear: 1 });
 subjectSchema.index({ assignedTeacher: 1 });
 
+// Default to the current session and reject unknown academic years
+subjectSchema.plugin(academicYearPlugin);
+
+subjectSchema.plugin(auditPlugin);
+
 const Subject = mongoose.model("Subject", subjectSchema);
 
 export default Subject;
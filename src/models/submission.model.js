@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
 
 const fileSchema = new mongoose.Schema({
   fileName: {
@@ -23,6 +24,91 @@ const fileSchema = new mongoose.Schema({
   },
 });
 
+// Score on one rubric criterion. Names and points are copied from the
+// rubric so a grade reads the same if the rubric is edited later.
+const rubricScoreSchema = new mongoose.Schema(
+  {
+    criterionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    criterion: {
+      type: String,
+      required: true,
+    },
+    levelId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    level: {
+      type: String,
+      required: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    maxPoints: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    comment: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false },
+);
+
+// One attempt. What the student handed in never changes once recorded;
+// only the grading fields are written afterwards.
+const versionSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true,
+    min: 1,
+    immutable: true,
+  },
+  files: {
+    type: [fileSchema],
+    immutable: true,
+  },
+  submissionNotes: {
+    type: String,
+    trim: true,
+    immutable: true,
+  },
+  submittedAt: {
+    type: Date,
+    required: true,
+    immutable: true,
+  },
+  isLate: {
+    type: Boolean,
+    default: false,
+    immutable: true,
+  },
+  marksObtained: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  feedback: {
+    type: String,
+    trim: true,
+  },
+  rubricScores: [rubricScoreSchema],
+  gradedAt: {
+    type: Date,
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
 const submissionSchema = new mongoose.Schema(
   {
     assignment: {
@@ -54,6 +140,8 @@ const submissionSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Criterion breakdown when the assignment is graded with a rubric
+    rubricScores: [rubricScoreSchema],
     gradedAt: {
       type: Date,
     },
@@ -69,6 +157,8 @@ const submissionSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Every attempt, oldest first; the fields above mirror the latest
+    versions: [versionSchema],
   },
   {
     timestamps: true,
@@ -94,6 +184,8 @@ submissionSchema.pre("save", async function (next) {
   }
 });
 
+submissionSchema.plugin(auditPlugin);
+
 const Submission = mongoose.model("Submission", submissionSchema);
 
 export default Submission;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
 
 /**
  * Teacher Model
@@ -107,6 +108,8 @@ teacherSchema.index({ employmentStatus: 1 });
 teacherSchema.index({ assignedClasses: 1 });
 teacherSchema.index({ assignedSubjects: 1 });
 
+teacherSchema.plugin(auditPlugin);
+
 const Teacher = mongoose.model("Teacher", teacherSchema);
 
 export default Teacher;
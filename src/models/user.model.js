@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../utils/auditPlugin.js";
 
 /**
  * User Model - Core Identity Model
@@ -89,5 +90,7 @@ userSchema.methods.toPublicJSON = function () {
   };
 };
 
+userSchema.plugin(auditPlugin, { redact: ["password"] });
+
 const User = mongoose.model("User", userSchema);
 export default User;
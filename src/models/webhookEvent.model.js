@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+/**
+ * Webhook Event Model
+ * Purpose: Provider webhook events already received. The unique
+ * provider + eventId key makes a redelivered event a no-op.
+ */
+const webhookEventSchema = new mongoose.Schema(
+  {
+    // Provider - Payment provider name
+    provider: {
+      type: String,
+      required: true,
+    },
+    // Event ID - Provider's ID of the event
+    eventId: {
+      type: String,
+      required: true,
+    },
+    // Type - e.g. "payment.captured", "payment.failed"
+    type: {
+      type: String,
+      required: true,
+    },
+    // Provider Order ID the event refers to
+    providerOrderId: {
+      type: String,
+      default: null,
+    },
+    // Payload - Parsed event body as received
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Outcome of processing
+    result: {
+      type: String,
+      default: null,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+
+export default WebhookEvent;
@@ -0,0 +1,57 @@
+import express from "express";
+import academicYearController from "../controllers/academicYear.controller.js";
+import {
+  authenticate,
+  authorizeRoles,
+  requirePermission,
+} from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Get all academic years - accessible by all authenticated users
+router.get("/", academicYearController.getAllAcademicYears);
+
+// Get the current academic year and term - accessible by all authenticated users
+router.get("/current", academicYearController.getCurrentAcademicYear);
+
+// Year strings on records that are not registered (typos to clean up)
+router.get(
+  "/unregistered",
+  authorizeRoles("admin"),
+  requirePermission("manageClasses"),
+  academicYearController.getUnregisteredYears,
+);
+
+// Get academic year by ID - accessible by all authenticated users
+router.get("/:id", academicYearController.getAcademicYearById);
+
+// Admin-only routes
+router.post(
+  "/",
+  authorizeRoles("admin"),
+  requirePermission("manageClasses"),
+  academicYearController.createAcademicYear,
+);
+router.put(
+  "/:id",
+  authorizeRoles("admin"),
+  requirePermission("manageClasses"),
+  academicYearController.updateAcademicYear,
+);
+router.put(
+  "/:id/set-current",
+  authorizeRoles("admin"),
+  requirePermission("manageClasses"),
+  academicYearController.setCurrentAcademicYear,
+);
+router.delete(
+  "/:id",
+  authorizeRoles("admin"),
+  requirePermission("manageClasses"),
+  academicYearController.deleteAcademicYear,
+);
+
+export default router;
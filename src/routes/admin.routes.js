@@ -1,68 +1,240 @@
 import express from "express";
 import adminController from "../controllers/admin.controller.js";
-import { authenticate, authorize } from "../middleware/auth.middleware.js";
+import { uploadImportFile } from "../controllers/upload.controller.js";
+import {
+  authenticate,
+  authorize,
+  requirePermission,
+  requireSuperAdmin,
+} from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
-// All admin routes require authentication + admin role
+// All admin routes require authentication + admin role.
+// Each route is further gated by a key of the Admin.permissions matrix.
 router.use(authenticate);
 router.use(authorize(["admin"]));
 
 // ============ USER MANAGEMENT ============
-router.get("/users", adminController.getAllUsers);
-router.post("/users", adminController.createUser);
-router.get("/users/role/:role", adminController.getUsersByRole);
-router.get("/users/:id", adminController.getUserById);
-router.put("/users/:id", adminController.updateUser);
-router.post("/users/:id/reset-password", adminController.resetUserPassword);
-router.delete("/users/:id", adminController.deleteUser);
+router.get(
+  "/users",
+  requirePermission("manageUsers"),
+  adminController.getAllUsers,
+);
+router.post(
+  "/users",
+  requirePermission("manageUsers"),
+  adminController.createUser,
+);
+router.get(
+  "/users/role/:role",
+  requirePermission("manageUsers"),
+  adminController.getUsersByRole,
+);
+router.get(
+  "/users/:id",
+  requirePermission("manageUsers"),
+  adminController.getUserById,
+);
+router.put(
+  "/users/:id",
+  requirePermission("manageUsers"),
+  adminController.updateUser,
+);
+router.post(
+  "/users/:id/reset-password",
+  requirePermission("manageUsers"),
+  adminController.resetUserPassword,
+);
+router.delete(
+  "/users/:id",
+  requirePermission("manageUsers"),
+  adminController.deleteUser,
+);
+
+// ============ LOGIN LOCKOUTS ============
+router.get(
+  "/security/locked-accounts",
+  requirePermission("manageUsers"),
+  adminController.getLockedAccounts,
+);
+router.post(
+  "/security/locked-accounts/:id/unlock",
+  requirePermission("manageUsers"),
+  adminController.unlockAccount,
+);
 
 // ============ STUDENT MANAGEMENT ============
-router.get("/students", adminController.getAllStudents);
-router.post("/students", adminController.createStudentWithClassAssignment);
-router.get("/students/class/:classId", adminController.getStudentsByClass);
-router.get("/students/user/:userId", adminController.getStudentProfileByUserId);
-router.put("/students/:id", adminController.updateStudent);
-router.post("/students/assign-parent", adminController.assignParentToStudent);
-router.post("/students/change-class", adminController.changeStudentClass);
+router.get(
+  "/students",
+  requirePermission("manageUsers"),
+  adminController.getAllStudents,
+);
+router.post(
+  "/students",
+  requirePermission("manageUsers"),
+  adminController.createStudentWithClassAssignment,
+);
+router.post(
+  "/students/import",
+  requirePermission("manageUsers"),
+  uploadImportFile,
+  adminController.importStudents,
+);
+router.get(
+  "/students/class/:classId",
+  requirePermission("manageUsers"),
+  adminController.getStudentsByClass,
+);
+router.get(
+  "/students/user/:userId",
+  requirePermission("manageUsers"),
+  adminController.getStudentProfileByUserId,
+);
+router.put(
+  "/students/:id",
+  requirePermission("manageUsers"),
+  adminController.updateStudent,
+);
+router.post(
+  "/students/assign-parent",
+  requirePermission("manageUsers"),
+  adminController.assignParentToStudent,
+);
+router.post(
+  "/students/change-class",
+  requirePermission("manageClasses"),
+  adminController.changeStudentClass,
+);
 
 // ============ PARENT MANAGEMENT ============
-router.get("/parents", adminController.getAllParents);
+router.get(
+  "/parents",
+  requirePermission("manageUsers"),
+  adminController.getAllParents,
+);
 router.get(
   "/parents/:parentId/children",
+  requirePermission("manageUsers"),
   adminController.getChildrenByParentId,
 );
-router.post("/parents/link-child", adminController.linkChildToParent);
-router.post("/parents/unlink-child", adminController.unlinkChildFromParent);
+router.post(
+  "/parents/link-child",
+  requirePermission("manageUsers"),
+  adminController.linkChildToParent,
+);
+router.post(
+  "/parents/unlink-child",
+  requirePermission("manageUsers"),
+  adminController.unlinkChildFromParent,
+);
 
 // ============ TEACHER MANAGEMENT ============
-router.get("/teachers", adminController.getAllTeachers);
-router.get("/teachers/:teacherId", adminController.getTeacherById);
-router.put("/teachers/:teacherId", adminController.updateTeacher);
+router.get(
+  "/teachers",
+  requirePermission("manageUsers"),
+  adminController.getAllTeachers,
+);
+router.get(
+  "/teachers/:teacherId",
+  requirePermission("manageUsers"),
+  adminController.getTeacherById,
+);
+router.put(
+  "/teachers/:teacherId",
+  requirePermission("manageUsers"),
+  adminController.updateTeacher,
+);
 router.get(
   "/teachers/:teacherId/assignments",
+  requirePermission("manageUsers"),
   adminController.getTeacherAssignments,
 );
 
 // ============ CLASS & SUBJECT ASSIGNMENTS ============
-router.get("/classes/with-teachers", adminController.getAllClassesWithTeachers);
-router.post("/classes/assign-teacher", adminController.assignClassTeacher);
-router.post("/classes/remove-teacher", adminController.removeClassTeacher);
-router.post("/subjects/assign-teacher", adminController.assignTeacherToSubject);
+router.get(
+  "/classes/with-teachers",
+  requirePermission("manageClasses"),
+  adminController.getAllClassesWithTeachers,
+);
+router.post(
+  "/classes/assign-teacher",
+  requirePermission("manageClasses"),
+  adminController.assignClassTeacher,
+);
+router.post(
+  "/classes/remove-teacher",
+  requirePermission("manageClasses"),
+  adminController.removeClassTeacher,
+);
+router.post(
+  "/subjects/assign-teacher",
+  requirePermission("manageSubjects"),
+  adminController.assignTeacherToSubject,
+);
+
+// ============ ACADEMIC YEAR ROLLOVER ============
+router.post(
+  "/promotions/preview",
+  requirePermission("manageClasses"),
+  adminController.previewPromotion,
+);
+router.post(
+  "/promotions",
+  requirePermission("manageClasses"),
+  adminController.commitPromotion,
+);
+router.get(
+  "/promotions",
+  requirePermission("manageClasses"),
+  adminController.getPromotionRuns,
+);
+router.get(
+  "/promotions/:id",
+  requirePermission("manageClasses"),
+  adminController.getPromotionRunById,
+);
 
 // ============ DASHBOARD DATA ============
-router.get("/dashboard/stats", adminController.getDashboardStats);
+router.get(
+  "/dashboard/stats",
+  requirePermission("viewReports"),
+  adminController.getDashboardStats,
+);
 router.get(
   "/dashboard/parent/:parentId",
+  requirePermission("viewReports"),
   adminController.getParentDashboardData,
 );
 router.get(
   "/dashboard/student/:studentId",
+  requirePermission("viewReports"),
   adminController.getStudentDashboardData,
 );
 router.get(
   "/dashboard/teacher/:teacherId",
+  requirePermission("viewReports"),
   adminController.getTeacherDashboardData,
 );
 
+// ============ AUDIT LOG ============
+router.get(
+  "/audit-logs",
+  requirePermission("viewReports"),
+  adminController.getAuditLogs,
+);
+router.get(
+  "/audit-logs/:entityType/:entityId",
+  requirePermission("viewReports"),
+  adminController.getEntityAuditHistory,
+);
+
+// ============ ADMIN PERMISSIONS (SUPER ADMIN ONLY) ============
+router.get("/admins", requireSuperAdmin, adminController.getAllAdmins);
+router.put(
+  "/admins/:adminId/permissions",
+  requireSuperAdmin,
+  adminController.updateAdminPermissions,
+);
+
 export default router;
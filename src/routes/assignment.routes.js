@@ -1,6 +1,11 @@
 import express from "express";
 import assignmentController from "../controllers/assignment.controller.js";
-import { authenticate, authorizeRoles } from "../middleware/auth.middleware.js";
+import rubricController from "../controllers/rubric.controller.js";
+import {
+  authenticate,
+  authorizeRoles,
+  requirePermission,
+} from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
@@ -64,13 +69,75 @@ router.get(
   assignmentController.getNonSubmitters,
 );
 
-// Teacher: Grade a submission
+// Teacher: Grade a submission (its latest attempt)
 router.put(
   "/teacher/submissions/:id/grade",
   authorizeRoles("teacher"),
   assignmentController.gradeSubmission,
 );
 
+// Teacher: Attach or remove the grading rubric of an assignment
+router.put(
+  "/teacher/assignments/:id/rubric",
+  authorizeRoles("teacher"),
+  rubricController.attachRubric,
+);
+
+// Teacher: Rubric criterion analytics of an assignment
+router.get(
+  "/teacher/assignments/:id/rubric-analytics",
+  authorizeRoles("teacher"),
+  rubricController.getAssignmentRubricAnalytics,
+);
+
+// Teacher: Rubrics (reusable across assignments)
+router.post(
+  "/teacher/rubrics",
+  authorizeRoles("teacher"),
+  rubricController.createRubric,
+);
+router.get(
+  "/teacher/rubrics",
+  authorizeRoles("teacher"),
+  rubricController.getTeacherRubrics,
+);
+router.get(
+  "/teacher/rubrics/:id",
+  authorizeRoles("teacher"),
+  rubricController.getRubricById,
+);
+router.put(
+  "/teacher/rubrics/:id",
+  authorizeRoles("teacher"),
+  rubricController.updateRubric,
+);
+router.delete(
+  "/teacher/rubrics/:id",
+  authorizeRoles("teacher"),
+  rubricController.deleteRubric,
+);
+
+// Teacher: Criterion analytics across the assignments using a rubric
+router.get(
+  "/teacher/rubrics/:id/analytics",
+  authorizeRoles("teacher"),
+  rubricController.getRubricAnalytics,
+);
+
+// Teacher: Get every attempt of a submission
+router.get(
+  "/teacher/submissions/:id/versions",
+  authorizeRoles("teacher"),
+  assignmentController.getSubmissionVersions,
+);
+
+// Teacher: Grade one attempt of a submission
+router.put(
+  "/teacher/submissions/:id/versions/:version/grade",
+  authorizeRoles("teacher"),
+  assignmentController.gradeSubmission,
+);
+
 // ============= STUDENT ROUTES =============
 // Student: Get all assignments
 router.get(
@@ -114,18 +181,26 @@ router.get(
   assignmentController.getSubmissionById,
 );
 
-// Student: Update submission (before grading)
+// Student: Resubmit (adds a new attempt; earlier ones are kept)
 router.put(
   "/student/submissions/:id",
   authorizeRoles("student"),
   assignmentController.updateSubmission,
 );
 
+// Student: Get every attempt of my submission
+router.get(
+  "/student/submissions/:id/versions",
+  authorizeRoles("student"),
+  assignmentController.getSubmissionVersions,
+);
+
 // ============= ADMIN ROUTES =============
 // Admin: Create assignment (on behalf of a teacher)
 router.post(
   "/admin/assignments",
   authorizeRoles("admin"),
+  requirePermission("manageClasses"),
   assignmentController.adminCreateAssignment,
 );
 
@@ -133,6 +208,7 @@ router.post(
 router.get(
   "/admin/assignments",
   authorizeRoles("admin"),
+  requirePermission("manageClasses"),
   assignmentController.getAdminAssignments,
 );
 
@@ -140,6 +216,7 @@ router.get(
 router.get(
   "/admin/assignments/:id",
   authorizeRoles("admin"),
+  requirePermission("manageClasses"),
   assignmentController.adminGetAssignmentById,
 );
 
@@ -147,6 +224,7 @@ router.get(
 router.put(
   "/admin/assignments/:id",
   authorizeRoles("admin"),
+  requirePermission("manageClasses"),
   assignmentController.adminUpdateAssignment,
 );
 
@@ -154,6 +232,7 @@ router.put(
 router.delete(
   "/admin/assignments/:id",
   authorizeRoles("admin"),
+  requirePermission("manageClasses"),
   assignmentController.adminDeleteAssignment,
 );
 
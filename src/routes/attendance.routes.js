@@ -8,7 +8,11 @@ import {
   deleteAttendance,
   getAttendanceStats,
 } from "../controllers/attendance.controller.js";
-import { authenticate, authorize } from "../middleware/auth.middleware.js";
+import {
+  authenticate,
+  authorize,
+  requirePermission,
+} from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
@@ -17,6 +21,7 @@ router.post(
   "/mark",
   authenticate,
   authorize(["admin", "teacher"]),
+  requirePermission("manageAttendance"),
   markAttendance,
 );
 
@@ -25,17 +30,25 @@ router.put(
   "/:id",
   authenticate,
   authorize(["admin", "teacher"]),
+  requirePermission("manageAttendance"),
   updateAttendance,
 );
 
 // Delete attendance (Admin only)
-router.delete("/:id", authenticate, authorize(["admin"]), deleteAttendance);
+router.delete(
+  "/:id",
+  authenticate,
+  authorize(["admin"]),
+  requirePermission("manageAttendance"),
+  deleteAttendance,
+);
 
 // Get attendance by class and date (Admin, Teacher)
 router.get(
   "/class",
   authenticate,
   authorize(["admin", "teacher"]),
+  requirePermission("manageAttendance"),
   getAttendanceByClassAndDate,
 );
 
@@ -44,6 +57,7 @@ router.get(
   "/stats",
   authenticate,
   authorize(["admin", "teacher"]),
+  requirePermission("manageAttendance"),
   getAttendanceStats,
 );
 
@@ -51,6 +65,11 @@ router.get(
 router.get("/my", authenticate, authorize(["student"]), getMyAttendance);
 
 // Get attendance for student (Admin, Teacher, Student-own, Parent-children)
-router.get("/student", authenticate, getAttendanceByStudent);
+router.get(
+  "/student",
+  authenticate,
+  requirePermission("manageAttendance"),
+  getAttendanceByStudent,
+);
 
 export default router;
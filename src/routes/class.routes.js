@@ -1,6 +1,10 @@
 import express from "express";
 import classController from "../controllers/class.controller.js";
-import { authenticate, authorizeRoles } from "../middleware/auth.middleware.js";
+import {
+  authenticate,
+  authorizeRoles,
+  requirePermission,
+} from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
@@ -14,19 +18,36 @@ router.get("/", classController.getAllClasses);
 router.get("/:id", classController.getClassById);
 
 // Admin-only routes
-router.post("/", authorizeRoles("admin"), classController.createClass);
-router.put("/:id", authorizeRoles("admin"), classController.updateClass);
-router.delete("/:id", authorizeRoles("admin"), classController.deleteClass);
+router.post(
+  "/",
+  authorizeRoles("admin"),
+  requirePermission("manageClasses"),
+  classController.createClass
+);
+router.put(
+  "/:id",
+  authorizeRoles("admin"),
+  requirePermission("manageClasses"),
+  classController.updateClass
+);
+router.delete(
+  "/:id",
+  authorizeRoles("admin"),
+  requirePermission("manageClasses"),
+  classController.deleteClass
+);
 
 // Assign/remove subjects - admin only
 router.post(
   "/:id/subjects",
   authorizeRoles("admin"),
+  requirePermission("manageClasses"),
   classController.assignSubjects
 );
 router.delete(
   "/:id/subjects/:subjectId",
   authorizeRoles("admin"),
+  requirePermission("manageClasses"),
   classController.removeSubject
 );
 
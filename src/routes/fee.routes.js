@@ -9,13 +9,54 @@ import {
   updateFee,
   deleteFee,
   getFeeStats,
+  getFeeStructures,
+  getFeeStructureById,
+  getFeeStructureSchedule,
+  createFeeStructure,
+  updateFeeStructure,
+  deleteFeeStructure,
+  generateFeesFromStructure,
+  getPayments,
+  backfillLedger,
+  getFeePayments,
+  voidPayment,
+  refundPayment,
+  getFineRules,
+  createFineRule,
+  updateFineRule,
+  deleteFineRule,
+  applyLateFines,
+  getConcessionRules,
+  createConcessionRule,
+  updateConcessionRule,
+  deleteConcessionRule,
+  getConcessions,
+  getConcessionReport,
+  requestConcession,
+  syncSiblingConcessions,
+  approveConcession,
+  rejectConcession,
+  revokeConcession,
+  downloadReceipt,
+  downloadStatement,
+  getAgingReport,
+  getDefaulters,
+  getReminderSettings,
+  updateReminderSettings,
+  sendDueReminders,
+  sendFeeReminder,
 } from "../controllers/fee.controller.js";
-import { authenticate, authorize } from "../middleware/auth.middleware.js";
+import {
+  authenticate,
+  authorize,
+  requirePermission,
+} from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
-// Protect all routes
+// Protect all routes; admins additionally need the manageFees permission
 router.use(authenticate);
+router.use(requirePermission("manageFees"));
 
 // Create a fee (Admin only)
 router.post("/", authorize(["admin"]), createFee);
@@ -29,12 +70,84 @@ router.get("/", authorize(["admin"]), getAllFees);
 // Get fee statistics (Admin only)
 router.get("/stats/summary", authorize(["admin"]), getFeeStats);
 
+// Fee structures and invoice generation (Admin only)
+router.get("/structures", authorize(["admin"]), getFeeStructures);
+router.post("/structures", authorize(["admin"]), createFeeStructure);
+router.get("/structures/:id", authorize(["admin"]), getFeeStructureById);
+router.get(
+  "/structures/:id/schedule",
+  authorize(["admin"]),
+  getFeeStructureSchedule,
+);
+router.put("/structures/:id", authorize(["admin"]), updateFeeStructure);
+router.delete("/structures/:id", authorize(["admin"]), deleteFeeStructure);
+router.post(
+  "/structures/:id/generate",
+  authorize(["admin"]),
+  generateFeesFromStructure,
+);
+
+// Late fine rules and the overdue job (Admin only)
+router.get("/fine-rules", authorize(["admin"]), getFineRules);
+router.post("/fine-rules", authorize(["admin"]), createFineRule);
+router.put("/fine-rules/:id", authorize(["admin"]), updateFineRule);
+router.delete("/fine-rules/:id", authorize(["admin"]), deleteFineRule);
+router.post("/fines/apply", authorize(["admin"]), applyLateFines);
+
+// Concession rules, grants and approvals (Admin only)
+router.get("/concession-rules", authorize(["admin"]), getConcessionRules);
+router.post("/concession-rules", authorize(["admin"]), createConcessionRule);
+router.put("/concession-rules/:id", authorize(["admin"]), updateConcessionRule);
+router.delete(
+  "/concession-rules/:id",
+  authorize(["admin"]),
+  deleteConcessionRule,
+);
+router.get("/concessions", authorize(["admin"]), getConcessions);
+router.get("/concessions/report", authorize(["admin"]), getConcessionReport);
+router.post("/concessions", authorize(["admin"]), requestConcession);
+router.post(
+  "/concessions/sync-siblings",
+  authorize(["admin"]),
+  syncSiblingConcessions,
+);
+router.post(
+  "/concessions/:id/approve",
+  authorize(["admin"]),
+  approveConcession,
+);
+router.post("/concessions/:id/reject", authorize(["admin"]), rejectConcession);
+router.post("/concessions/:id/revoke", authorize(["admin"]), revokeConcession);
+
+// Aging and defaulter reports, reminder schedule (Admin only)
+router.get("/reports/aging", authorize(["admin"]), getAgingReport);
+router.get("/reports/defaulters", authorize(["admin"]), getDefaulters);
+router.get("/reminders/settings", authorize(["admin"]), getReminderSettings);
+router.put("/reminders/settings", authorize(["admin"]), updateReminderSettings);
+router.post("/reminders/send", authorize(["admin"]), sendDueReminders);
+
+// Payment ledger: list, backfill, void and refund (Admin only)
+router.get("/payments", authorize(["admin"]), getPayments);
+router.post("/payments/backfill-ledger", authorize(["admin"]), backfillLedger);
+router.post("/payments/:paymentId/void", authorize(["admin"]), voidPayment);
+router.post("/payments/:paymentId/refund", authorize(["admin"]), refundPayment);
+
+// Receipt and statement PDFs (Admin, Student-own, Parent-children)
+router.get("/payments/:paymentId/receipt", downloadReceipt);
+router.get("/statement/:studentId/pdf", downloadStatement);
+
 // Get my fees (Student only)
 router.get("/my", authorize(["student"]), getMyFees);
 
 // Get fees by student (Admin, Student-own, Parent-children)
 router.get("/student/:studentId", getFeesByStudent);
 
+// Get the payment ledger of a fee (Admin, Student-own, Parent-children)
+router.get("/:id/payments", getFeePayments);
+
+// Send a payment reminder for a fee now (Admin only)
+router.post("/:id/remind", authorize(["admin"]), sendFeeReminder);
+
 // Record payment (Admin only)
 router.post("/:id/pay", authorize(["admin"]), recordPayment);
 
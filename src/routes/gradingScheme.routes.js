@@ -0,0 +1,55 @@
+import express from "express";
+import gradingSchemeController from "../controllers/gradingScheme.controller.js";
+import {
+  authenticate,
+  authorizeRoles,
+  requirePermission,
+} from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Get all grading schemes - accessible by all authenticated users
+router.get("/", gradingSchemeController.getAllSchemes);
+
+// Scheme that applies to a class/year - accessible by all authenticated users
+router.get("/applicable", gradingSchemeController.getApplicableScheme);
+
+// Get grading scheme by ID - accessible by all authenticated users
+router.get("/:id", gradingSchemeController.getSchemeById);
+
+// Admin-only routes
+router.post(
+  "/",
+  authorizeRoles("admin"),
+  requirePermission("manageResults"),
+  gradingSchemeController.createScheme,
+);
+router.post(
+  "/regrade",
+  authorizeRoles("admin"),
+  requirePermission("manageResults"),
+  gradingSchemeController.regradeResults,
+);
+router.put(
+  "/:id",
+  authorizeRoles("admin"),
+  requirePermission("manageResults"),
+  gradingSchemeController.updateScheme,
+);
+router.delete(
+  "/:id",
+  authorizeRoles("admin"),
+  requirePermission("manageResults"),
+  gradingSchemeController.deleteScheme,
+);
+router.post(
+  "/:id/regrade",
+  authorizeRoles("admin"),
+  requirePermission("manageResults"),
+  gradingSchemeController.regradeScheme,
+);
+
+export default router;
@@ -10,4 +10,9 @@ router.use(authorize(["parent"]));
 
 router.get("/me/children", parentController.getMyChildren);
 
+// Fee portal across all linked children
+router.get("/me/fees", parentController.getMyFees);
+router.post("/me/fees/pay-all", parentController.payAllOutstanding);
+router.get("/me/fees/:studentId/statement", parentController.downloadStatement);
+
 export default router;
@@ -0,0 +1,51 @@
+import express from "express";
+import paymentGatewayController from "../controllers/paymentGateway.controller.js";
+import {
+  authenticate,
+  authorizeRoles,
+  requirePermission,
+} from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// Provider webhooks (public, verified by signature)
+router.post("/webhook/:provider", paymentGatewayController.handleWebhook);
+
+// All other routes require authentication
+router.use(authenticate);
+
+// Online payment orders (Parent: own; Admin: all)
+router.post(
+  "/orders",
+  authorizeRoles("parent"),
+  paymentGatewayController.createOrder,
+);
+router.get(
+  "/orders",
+  authorizeRoles("parent", "admin"),
+  requirePermission("manageFees"),
+  paymentGatewayController.getOrders,
+);
+router.get(
+  "/orders/:id",
+  authorizeRoles("parent", "admin"),
+  requirePermission("manageFees"),
+  paymentGatewayController.getOrderById,
+);
+
+// Complete a mock checkout (development only)
+router.post(
+  "/orders/:id/simulate",
+  authorizeRoles("parent", "admin"),
+  paymentGatewayController.simulateMockPayment,
+);
+
+// Settlement reconciliation (Admin only)
+router.post(
+  "/reconcile",
+  authorizeRoles("admin"),
+  requirePermission("manageFees"),
+  paymentGatewayController.reconcile,
+);
+
+export default router;
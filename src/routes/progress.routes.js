@@ -0,0 +1,49 @@
+import express from "express";
+import studentProgressController from "../controllers/studentProgress.controller.js";
+import {
+  authenticate,
+  authorizeRoles,
+  requirePermission,
+} from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// At-risk thresholds (read: Admin, Teacher; update: Admin)
+router.get(
+  "/settings",
+  authorizeRoles("admin", "teacher"),
+  studentProgressController.getSettings,
+);
+router.put(
+  "/settings",
+  authorizeRoles("admin"),
+  requirePermission("viewReports"),
+  studentProgressController.updateSettings,
+);
+
+// At-risk lists for the logged-in class teacher's classes
+router.get(
+  "/at-risk/my-classes",
+  authorizeRoles("teacher"),
+  studentProgressController.getMyAtRisk,
+);
+
+// At-risk list for a class (Admin, class Teacher)
+router.get(
+  "/class/:classId/at-risk",
+  authorizeRoles("admin", "teacher"),
+  requirePermission("viewReports"),
+  studentProgressController.getClassAtRisk,
+);
+
+// Student progress (Admin, Teacher, Student-own, Parent-children)
+router.get(
+  "/student/:studentId",
+  requirePermission("viewReports"),
+  studentProgressController.getStudentProgress,
+);
+
+export default router;
@@ -4,17 +4,45 @@ import {
   createBulkResults,
   getResultsByClass,
   getResultsByStudent,
+  getReportCard,
+  downloadReportCard,
+  downloadTranscript,
+  downloadClassReportCards,
+  verifyDocument,
   getMyResults,
   updateResult,
   publishResults,
+  getResultBatches,
+  getResultBatchById,
+  submitResultBatch,
+  approveResultBatch,
+  returnResultBatch,
+  publishResultBatch,
+  reopenResultBatch,
+  unpublishResults,
+  unpublishResultBatch,
+  schedulePublish,
+  getPublishJobs,
+  cancelPublishJob,
+  getClassAnalytics,
+  compareSections,
+  compareYears,
   deleteResult,
 } from "../controllers/result.controller.js";
-import { authenticate, authorize } from "../middleware/auth.middleware.js";
+import {
+  authenticate,
+  authorize,
+  requirePermission,
+} from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
-// Protect all routes
+// Verify a printed report card or transcript (Public)
+router.get("/verify/:code", verifyDocument);
+
+// Protect all routes; admins additionally need the manageResults permission
 router.use(authenticate);
+router.use(requirePermission("manageResults"));
 
 // Create a result (Admin, Teacher)
 router.post("/", authorize(["admin", "teacher"]), createResult);
@@ -29,18 +57,93 @@ router.get(
   getResultsByClass,
 );
 
+// Class analytics and comparisons (Admin, Teacher)
+router.get(
+  "/analytics/class/:classId",
+  authorize(["admin", "teacher"]),
+  getClassAnalytics,
+);
+router.get(
+  "/analytics/class/:classId/sections",
+  authorize(["admin", "teacher"]),
+  compareSections,
+);
+router.get(
+  "/analytics/class/:classId/years",
+  authorize(["admin", "teacher"]),
+  compareYears,
+);
+
 // Get my results (Student only)
 router.get("/my", authorize(["student"]), getMyResults);
 
 // Get results by student (Admin, Teacher, Student-own, Parent-children)
 router.get("/student/:studentId", getResultsByStudent);
 
+// Weighted report card (Admin, Teacher, Student-own, Parent-children)
+router.get("/report-card/:studentId", getReportCard);
+
+// Report cards for a class as a zip of PDFs (Admin only)
+router.get(
+  "/report-card/class/:classId/zip",
+  authorize(["admin"]),
+  downloadClassReportCards,
+);
+
+// Report card PDF (Admin, Teacher, Student-own, Parent-children)
+router.get("/report-card/:studentId/pdf", downloadReportCard);
+
+// Transcript PDF across all years (Admin, Teacher, Student-own, Parent-children)
+router.get("/transcript/:studentId/pdf", downloadTranscript);
+
+// Moderation: list batches and view history (Admin, Teacher)
+router.get("/batches", authorize(["admin", "teacher"]), getResultBatches);
+router.get("/batches/:id", authorize(["admin", "teacher"]), getResultBatchById);
+
+// Submit a batch for review (Admin, subject or class Teacher)
+router.post(
+  "/batches/submit",
+  authorize(["admin", "teacher"]),
+  submitResultBatch,
+);
+
+// Approve or return a batch (Admin, class Teacher)
+router.post(
+  "/batches/:id/approve",
+  authorize(["admin", "teacher"]),
+  approveResultBatch,
+);
+router.post(
+  "/batches/:id/return",
+  authorize(["admin", "teacher"]),
+  returnResultBatch,
+);
+
+// Publish or re-open a batch (Admin only)
+router.post("/batches/:id/publish", authorize(["admin"]), publishResultBatch);
+router.post("/batches/:id/reopen", authorize(["admin"]), reopenResultBatch);
+
+// Withdraw a batch published by mistake (Admin only)
+router.post(
+  "/batches/:id/unpublish",
+  authorize(["admin"]),
+  unpublishResultBatch,
+);
+
+// Scheduled publication (Admin only)
+router.get("/publish-jobs", authorize(["admin"]), getPublishJobs);
+router.post("/publish-jobs", authorize(["admin"]), schedulePublish);
+router.post("/publish-jobs/:id/cancel", authorize(["admin"]), cancelPublishJob);
+
 // Update a result (Admin, Teacher)
 router.put("/:id", authorize(["admin", "teacher"]), updateResult);
 
-// Publish results (Admin only)
+// Publish approved batches matching a filter (Admin only)
 router.post("/publish", authorize(["admin"]), publishResults);
 
+// Unpublish batches matching a filter (Admin only)
+router.post("/unpublish", authorize(["admin"]), unpublishResults);
+
 // Delete a result (Admin only)
 router.delete("/:id", authorize(["admin"]), deleteResult);
 
@@ -1,6 +1,10 @@
 import express from "express";
 import * as scheduleController from "../controllers/schedule.controller.js";
-import { authenticate, authorize } from "../middleware/auth.middleware.js";
+import {
+  authenticate,
+  authorize,
+  requirePermission,
+} from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
@@ -10,7 +14,12 @@ router.use(authenticate);
 // Specific routes MUST come before parameterized routes like /:id
 
 // Role-based UI-ready schedule endpoints
-router.get("/admin", authorize("admin"), scheduleController.getAdminSchedules);
+router.get(
+  "/admin",
+  authorize("admin"),
+  requirePermission("manageSchedules"),
+  scheduleController.getAdminSchedules,
+);
 
 router.get(
   "/teacher",
@@ -47,15 +56,31 @@ router.get(
 router.get(
   "/teacher/:teacherId",
   authorize(["admin", "teacher"]),
+  requirePermission("manageSchedules"),
   scheduleController.getWeeklyScheduleForTeacher,
 );
 
 // Admin only routes
-router.post("/", authorize("admin"), scheduleController.createSchedule);
+router.post(
+  "/",
+  authorize("admin"),
+  requirePermission("manageSchedules"),
+  scheduleController.createSchedule,
+);
 
-router.put("/:id", authorize("admin"), scheduleController.updateSchedule);
+router.put(
+  "/:id",
+  authorize("admin"),
+  requirePermission("manageSchedules"),
+  scheduleController.updateSchedule,
+);
 
-router.delete("/:id", authorize("admin"), scheduleController.deleteSchedule);
+router.delete(
+  "/:id",
+  authorize("admin"),
+  requirePermission("manageSchedules"),
+  scheduleController.deleteSchedule,
+);
 
 // Routes accessible to all authenticated users
 router.get("/", scheduleController.getSchedules);
@@ -1,6 +1,10 @@
 import express from "express";
 import subjectController from "../controllers/subject.controller.js";
-import { authenticate, authorizeRoles } from "../middleware/auth.middleware.js";
+import {
+  authenticate,
+  authorizeRoles,
+  requirePermission,
+} from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
@@ -14,14 +18,30 @@ router.get("/", subjectController.getAllSubjects);
 router.get("/:id", subjectController.getSubjectById);
 
 // Admin-only routes
-router.post("/", authorizeRoles("admin"), subjectController.createSubject);
-router.put("/:id", authorizeRoles("admin"), subjectController.updateSubject);
-router.delete("/:id", authorizeRoles("admin"), subjectController.deleteSubject);
+router.post(
+  "/",
+  authorizeRoles("admin"),
+  requirePermission("manageSubjects"),
+  subjectController.createSubject
+);
+router.put(
+  "/:id",
+  authorizeRoles("admin"),
+  requirePermission("manageSubjects"),
+  subjectController.updateSubject
+);
+router.delete(
+  "/:id",
+  authorizeRoles("admin"),
+  requirePermission("manageSubjects"),
+  subjectController.deleteSubject
+);
 
 // Assign teacher to subject - admin only
 router.post(
   "/:id/assign-teacher",
   authorizeRoles("admin"),
+  requirePermission("manageSubjects"),
   subjectController.assignTeacher
 );
 
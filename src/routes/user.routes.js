@@ -3,6 +3,14 @@ import {
   login,
   getUsersByRole,
   getCurrentUser,
+  refreshToken,
+  logout,
+  logoutAll,
+  getMySessions,
+  revokeMySession,
+  changePassword,
+  forgotPassword,
+  resetPassword,
 } from "../controllers/user.controller.js";
 import { authenticate } from "../middleware/auth.middleware.js";
 
@@ -11,12 +19,21 @@ const router = express.Router();
 // Authentication routes (LOGIN ONLY - signup removed)
 router.post("/login", login);
 
-router.post("/logout", authenticate, (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: "Logged out successfully",
-  });
-});
+// Exchange a refresh token for a new access/refresh token pair
+router.post("/refresh", refreshToken);
+
+// Revoke the current session / every session of the current user
+router.post("/logout", authenticate, logout);
+router.post("/logout-all", authenticate, logoutAll);
+
+// Active sessions (one per device) for the current user
+router.get("/sessions", authenticate, getMySessions);
+router.delete("/sessions/:sessionId", authenticate, revokeMySession);
+
+// Password management
+router.post("/change-password", authenticate, changePassword);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
 
 // Get current authenticated user
 router.get("/me", authenticate, getCurrentUser);
@@ -0,0 +1,217 @@
+import mongoose from "mongoose";
+import AcademicYear from "../models/academicYear.model.js";
+
+// Known year names are cached briefly so validating every write stays cheap
+const CACHE_TTL_MS = 30 * 1000;
+
+// Collections whose documents carry an academicYear string
+const YEAR_SCOPED_MODELS = [
+  "Student",
+  "Class",
+  "Subject",
+  "Schedule",
+  "Result",
+  "Fee",
+  "FeeStructure",
+  "Concession",
+];
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class AcademicYearService {
+  constructor() {
+    this.cache = null;
+  }
+
+  async loadCache() {
+    if (this.cache && Date.now() - this.cache.loadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const years = await AcademicYear.find().select("name isCurrent").lean();
+    this.cache = {
+      names: new Set(years.map((year) => year.name)),
+      current: years.find((year) => year.isCurrent)?.name || null,
+      loadedAt: Date.now(),
+    };
+    return this.cache;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+  }
+
+  // Name of the current session, or null if none is set
+  async getCurrentYearName() {
+    const { current } = await this.loadCache();
+    return current;
+  }
+
+  // Throw 400 unless the name is a registered academic year
+  async assertKnownYear(name) {
+    const { names } = await this.loadCache();
+    if (!names.has(name)) {
+      throw requestError(
+        `Unknown academic year "${name}". Use one of: ${[...names].join(", ") || "(none registered)"}`,
+      );
+    }
+    return name;
+  }
+
+  /**
+   * Validate a requested year, falling back to the current session
+   */
+  async resolveAcademicYear(name) {
+    if (name) return this.assertKnownYear(name);
+
+    const current = await this.getCurrentYearName();
+    if (!current) {
+      throw requestError(
+        "No academic year given and no current academic year is set",
+      );
+    }
+    return current;
+  }
+
+  // Get all academic years, newest first
+  async getAllAcademicYears() {
+    return await AcademicYear.find().sort({ startDate: -1 });
+  }
+
+  // Get academic year by ID
+  async getAcademicYearById(id) {
+    const academicYear = await AcademicYear.findById(id);
+    if (!academicYear) {
+      throw requestError("Academic year not found", 404);
+    }
+    return academicYear;
+  }
+
+  // Get the current session and the term running today
+  async getCurrentAcademicYear() {
+    const academicYear = await AcademicYear.findOne({ isCurrent: true });
+    if (!academicYear) {
+      throw requestError("No current academic year is set", 404);
+    }
+
+    const now = new Date();
+    const currentTerm =
+      academicYear.terms.find(
+        (term) => term.startDate <= now && term.endDate >= now,
+      ) || null;
+
+    return { academicYear, currentTerm };
+  }
+
+  // Create a new academic year
+  async createAcademicYear(data) {
+    const existing = await AcademicYear.findOne({ name: data.name });
+    if (existing) {
+      throw requestError("Academic year already exists", 409);
+    }
+
+    const { isCurrent, ...fields } = data;
+    const academicYear = await AcademicYear.create(fields);
+    this.invalidateCache();
+
+    if (isCurrent === true || isCurrent === "true") {
+      return await this.setCurrentAcademicYear(academicYear._id);
+    }
+    return academicYear;
+  }
+
+  // Update dates and terms (the name is fixed once data refers to it)
+  async updateAcademicYear(id, data) {
+    const academicYear = await this.getAcademicYearById(id);
+
+    if (data.name && data.name !== academicYear.name) {
+      if (await this.isInUse(academicYear.name)) {
+        throw requestError(
+          "Academic year name cannot be changed once records use it",
+        );
+      }
+      academicYear.name = data.name;
+    }
+    if (data.startDate !== undefined) academicYear.startDate = data.startDate;
+    if (data.endDate !== undefined) academicYear.endDate = data.endDate;
+    if (data.terms !== undefined) academicYear.terms = data.terms;
+
+    await academicYear.save();
+    this.invalidateCache();
+    return academicYear;
+  }
+
+  // Make this the current session (clears the flag on every other year)
+  async setCurrentAcademicYear(id) {
+    const academicYear = await this.getAcademicYearById(id);
+
+    await AcademicYear.updateMany(
+      { isCurrent: true, _id: { $ne: academicYear._id } },
+      { $set: { isCurrent: false } },
+    );
+    academicYear.isCurrent = true;
+    await academicYear.save();
+
+    this.invalidateCache();
+    return academicYear;
+  }
+
+  // Delete an academic year nothing refers to
+  async deleteAcademicYear(id) {
+    const academicYear = await this.getAcademicYearById(id);
+
+    if (academicYear.isCurrent) {
+      throw requestError("The current academic year cannot be deleted");
+    }
+    if (await this.isInUse(academicYear.name)) {
+      throw requestError(
+        "Academic year is in use by existing records and cannot be deleted",
+      );
+    }
+
+    await academicYear.deleteOne();
+    this.invalidateCache();
+    return academicYear;
+  }
+
+  async isInUse(name) {
+    for (const modelName of YEAR_SCOPED_MODELS) {
+      if (await mongoose.model(modelName).exists({ academicYear: name })) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Year strings stored on records that are not registered (e.g. typos
+   * like "2025-26"), with document counts per collection
+   */
+  async getUnregisteredYears() {
+    const { names } = await this.loadCache();
+    const unregistered = new Map();
+
+    for (const modelName of YEAR_SCOPED_MODELS) {
+      const counts = await mongoose
+        .model(modelName)
+        .aggregate([
+          { $match: { academicYear: { $nin: [...names] } } },
+          { $group: { _id: "$academicYear", count: { $sum: 1 } } },
+        ]);
+
+      for (const { _id: value, count } of counts) {
+        const entry = unregistered.get(value) || { value, collections: {} };
+        entry.collections[modelName] = count;
+        unregistered.set(value, entry);
+      }
+    }
+
+    return [...unregistered.values()];
+  }
+}
+
+export default new AcademicYearService();
@@ -257,7 +257,8 @@ class AssignmentService {
       const assignment = await Assignment.findById(assignmentId)
         .populate("teacher", "name email")
         .populate("subject", "name code")
-        .populate("class", "name section academicYear");
+        .populate("class", "name section academicYear")
+        .populate("rubric", "title description criteria");
 
       if (!assignment) {
         throw new Error("Assignment not found");
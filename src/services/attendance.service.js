@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import Attendance from "../models/attendance.model.js";
+
+class AttendanceService {
+  /**
+   * Attendance counts for a student, optionally within a date range.
+   * Late counts as attended, matching the attendance endpoints.
+   */
+  async getStudentSummary(studentId, { startDate, endDate } = {}) {
+    const match = { studentId: new mongoose.Types.ObjectId(String(studentId)) };
+    if (startDate || endDate) {
+      match.date = {};
+      if (startDate) match.date.$gte = new Date(startDate);
+      if (endDate) match.date.$lte = new Date(endDate);
+    }
+
+    const counts = await Attendance.aggregate([
+      { $match: match },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    const byStatus = Object.fromEntries(
+      counts.map(({ _id, count }) => [_id, count]),
+    );
+    const present = byStatus.present || 0;
+    const absent = byStatus.absent || 0;
+    const late = byStatus.late || 0;
+    const excused = byStatus.excused || 0;
+    const totalClasses = present + absent + late + excused;
+
+    return {
+      totalClasses,
+      present,
+      absent,
+      late,
+      excused,
+      attendancePercentage:
+        totalClasses > 0
+          ? parseFloat((((present + late) / totalClasses) * 100).toFixed(2))
+          : 0,
+    };
+  }
+}
+
+export default new AttendanceService();
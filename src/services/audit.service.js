@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+import AuditLog from "../models/auditLog.model.js";
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class AuditService {
+  // Get audit log entries with filters and pagination
+  async getAuditLogs(filters = {}) {
+    const query = {};
+
+    if (filters.actor) {
+      if (!mongoose.Types.ObjectId.isValid(filters.actor)) {
+        throw badRequest("actor must be a valid ObjectId");
+      }
+      query.actor = filters.actor;
+    }
+    if (filters.actorRole) query.actorRole = filters.actorRole;
+    if (filters.action) query.action = filters.action;
+    if (filters.entityType) query.entityType = filters.entityType;
+    if (filters.entityId) {
+      if (!mongoose.Types.ObjectId.isValid(filters.entityId)) {
+        throw badRequest("entityId must be a valid ObjectId");
+      }
+      query.entityId = filters.entityId;
+    }
+    if (filters.field) query.changedFields = filters.field;
+
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) query.createdAt.$lte = new Date(filters.to);
+    }
+
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate("actor", "name email role")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(query),
+    ]);
+
+    return {
+      logs,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  // Get the full change history of one entity, oldest first
+  async getEntityHistory(entityType, entityId) {
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      throw badRequest("entityId must be a valid ObjectId");
+    }
+
+    return AuditLog.find({ entityType, entityId })
+      .populate("actor", "name email role")
+      .sort({ createdAt: 1 });
+  }
+}
+
+export default new AuditService();
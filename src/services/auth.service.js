@@ -0,0 +1,335 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/session.model.js";
+import User from "../models/user.model.js";
+import PasswordReset from "../models/passwordReset.model.js";
+import notificationService from "./notification.service.js";
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const PASSWORD_RESET_TTL_MINUTES =
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const MIN_PASSWORD_LENGTH = 6;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const refreshExpiryDate = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const authError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class AuthService {
+  /**
+   * Sign a short-lived access token bound to a session
+   */
+  issueAccessToken(user, session) {
+    if (!process.env.JWT_SECRET) {
+      throw new Error("JWT_SECRET is not defined");
+    }
+
+    return jwt.sign(
+      {
+        id: user._id,
+        role: user.role,
+        profileId: user.profileId,
+        sid: session._id,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL },
+    );
+  }
+
+  /**
+   * Start a new session for a device and return the token pair.
+   * An existing active session on the same device is replaced.
+   */
+  async createSession(user, { deviceId, userAgent, ipAddress } = {}) {
+    const resolvedDeviceId = deviceId || crypto.randomUUID();
+
+    await Session.updateMany(
+      { userId: user._id, deviceId: resolvedDeviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "replaced" } },
+    );
+
+    const refreshToken = generateRefreshToken();
+    const session = await Session.create({
+      userId: user._id,
+      deviceId: resolvedDeviceId,
+      userAgent: userAgent || null,
+      ipAddress: ipAddress || null,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: refreshExpiryDate(),
+    });
+
+    return {
+      accessToken: this.issueAccessToken(user, session),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      deviceId: resolvedDeviceId,
+      sessionId: session._id,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (rotation).
+   * Replaying an already-rotated token revokes the session.
+   */
+  async rotateRefreshToken(refreshToken, { ipAddress } = {}) {
+    if (!refreshToken) {
+      throw authError("Refresh token is required", 400);
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      const replayed = await Session.findOne({ previousTokenHash: tokenHash });
+      if (replayed && !replayed.revokedAt) {
+        replayed.revokedAt = new Date();
+        replayed.revokedReason = "reuse-detected";
+        await replayed.save();
+      }
+      throw authError("Invalid refresh token");
+    }
+
+    if (session.revokedAt) {
+      throw authError("Session has been revoked");
+    }
+
+    if (session.expiresAt <= new Date()) {
+      throw authError("Refresh token expired");
+    }
+
+    const user = await User.findById(session.userId).select("-password");
+    if (!user) {
+      throw authError("User not found");
+    }
+
+    const nextRefreshToken = generateRefreshToken();
+    session.previousTokenHash = tokenHash;
+    session.refreshTokenHash = hashToken(nextRefreshToken);
+    session.expiresAt = refreshExpiryDate();
+    session.lastUsedAt = new Date();
+    if (ipAddress) session.ipAddress = ipAddress;
+    await session.save();
+
+    return {
+      accessToken: this.issueAccessToken(user, session),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      deviceId: session.deviceId,
+      sessionId: session._id,
+    };
+  }
+
+  /**
+   * Look up the session an access token was issued for.
+   * Returns null when the session is missing, revoked or expired.
+   */
+  async getActiveSession(sessionId, userId) {
+    if (!sessionId) return null;
+
+    const session = await Session.findById(sessionId);
+    if (
+      !session ||
+      session.revokedAt ||
+      session.expiresAt <= new Date() ||
+      session.userId.toString() !== userId.toString()
+    ) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Revoke a single session owned by a user
+   */
+  async revokeSession(sessionId, userId, reason = "logout") {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      throw authError("Invalid session ID", 400);
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true },
+    );
+
+    if (!session) {
+      throw authError("Session not found", 404);
+    }
+
+    return session;
+  }
+
+  /**
+   * Revoke every active session for a user (logout everywhere, password reset)
+   */
+  async revokeAllUserSessions(userId, reason = "logout-all") {
+    const result = await Session.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * List active sessions (devices) for a user
+   */
+  async getActiveSessions(userId) {
+    return Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("deviceId userAgent ipAddress lastUsedAt createdAt expiresAt")
+      .sort({ lastUsedAt: -1 });
+  }
+
+  // ============ PASSWORD MANAGEMENT ============
+
+  /**
+   * Change password for a logged-in user after verifying the current one.
+   * Every other session of the user is revoked; the current one stays.
+   */
+  async changePassword(userId, { currentPassword, newPassword }, sessionId) {
+    if (!currentPassword || !newPassword) {
+      throw authError("Current password and new password are required", 400);
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      throw authError(
+        `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        400,
+      );
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw authError("User not found", 404);
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      throw authError("Current password is incorrect", 400);
+    }
+
+    if (await bcrypt.compare(newPassword, user.password)) {
+      throw authError(
+        "New password must be different from the current password",
+        400,
+      );
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    await Session.updateMany(
+      { userId: user._id, revokedAt: null, _id: { $ne: sessionId } },
+      { $set: { revokedAt: new Date(), revokedReason: "password-change" } },
+    );
+  }
+
+  /**
+   * Start the forgot-password flow.
+   * Silently does nothing for unknown emails so accounts cannot be enumerated.
+   */
+  async requestPasswordReset(email, { ipAddress } = {}) {
+    if (!email || typeof email !== "string") {
+      throw authError("Email is required", 400);
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) return;
+
+    // Only the most recent link should work
+    await PasswordReset.updateMany(
+      { userId: user._id, usedAt: null },
+      { $set: { usedAt: new Date() } },
+    );
+
+    const token = crypto.randomBytes(32).toString("hex");
+    await PasswordReset.create({
+      userId: user._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+      requestedIp: ipAddress || null,
+    });
+
+    const baseUrl = process.env.CLIENT_URL || "http://localhost:3000";
+    const resetLink = `${baseUrl}/reset-password?token=${token}`;
+
+    // Not awaited: the response must not reveal whether (or how slowly)
+    // a message was sent, so delivery failures are only logged
+    notificationService
+      .send({
+        to: user.email,
+        subject: "Reset your password",
+        message:
+          `Hello ${user.name},\n\n` +
+          `Use the link below to reset your password. ` +
+          `It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.\n\n` +
+          `${resetLink}\n\n` +
+          `If you did not request this, you can ignore this message.`,
+        meta: { type: "password-reset", userId: user._id, resetLink },
+      })
+      .catch((error) =>
+        console.error("Password reset notification failed:", error.message),
+      );
+  }
+
+  /**
+   * Complete the forgot-password flow with a single-use token.
+   * All sessions are revoked so the user must log in with the new password.
+   */
+  async resetPassword(token, newPassword) {
+    if (!token || !newPassword) {
+      throw authError("Token and new password are required", 400);
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      throw authError(
+        `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        400,
+      );
+    }
+
+    // Claim the token atomically so it cannot be used twice
+    const resetRecord = await PasswordReset.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { $set: { usedAt: new Date() } },
+      { new: true },
+    );
+
+    if (!resetRecord) {
+      throw authError("Reset token is invalid or has expired", 400);
+    }
+
+    const user = await User.findById(resetRecord.userId);
+    if (!user) {
+      throw authError("User not found", 404);
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    await this.revokeAllUserSessions(user._id, "password-reset");
+  }
+}
+
+export default new AuthService();
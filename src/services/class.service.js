@@ -1,5 +1,6 @@
 import Class from "../models/class.model.js";
 import Teacher from "../models/teacher.model.js";
+import academicYearService from "./academicYear.service.js";
 import {
   normalizeOptionalObjectId,
   resolveTeacherProfile,
@@ -15,6 +16,11 @@ class ClassService {
         delete data.classTeacher;
       }
 
+      // Registered academic year (current session by default)
+      data.academicYear = await academicYearService.resolveAcademicYear(
+        data.academicYear,
+      );
+
       // Check if class already exists
       const existingClass = await Class.findOne({
         name: data.name,
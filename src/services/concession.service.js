@@ -0,0 +1,485 @@
+import mongoose from "mongoose";
+import Concession from "../models/concession.model.js";
+import ConcessionRule from "../models/concessionRule.model.js";
+import Fee from "../models/fee.model.js";
+import Parent from "../models/parent.model.js";
+import Student from "../models/student.model.js";
+import academicYearService from "./academicYear.service.js";
+
+const RULE_FIELDS = [
+  "name",
+  "valueType",
+  "value",
+  "feeTypes",
+  "siblingRank",
+  "requiresApproval",
+  "isActive",
+];
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const appliesTo = (concession, feeType) =>
+  concession.feeTypes.length === 0 || concession.feeTypes.includes(feeType);
+
+// Oldest admission first; the first child pays in full
+const bySeniority = (a, b) =>
+  (a.admissionDate || a.createdAt) - (b.admissionDate || b.createdAt) ||
+  String(a._id).localeCompare(String(b._id));
+
+class ConcessionService {
+  // ============ RULES ============
+
+  async getAllRules(filters = {}) {
+    const query = {};
+    if (filters.category) query.category = filters.category;
+    if (filters.isActive !== undefined) {
+      query.isActive = filters.isActive === true || filters.isActive === "true";
+    }
+    return await ConcessionRule.find(query).sort({ category: 1, name: 1 });
+  }
+
+  async createRule(data, user) {
+    return await ConcessionRule.create({
+      name: data.name,
+      category: data.category,
+      valueType: data.valueType,
+      value: data.value,
+      feeTypes: data.feeTypes,
+      siblingRank: data.siblingRank,
+      requiresApproval: data.requiresApproval,
+      isActive: data.isActive,
+      createdBy: user?._id || null,
+    });
+  }
+
+  // Update a rule; concessions already granted keep their terms
+  async updateRule(id, data) {
+    const rule = await ConcessionRule.findById(id);
+    if (!rule) {
+      throw requestError("Concession rule not found", 404);
+    }
+    if (data.category !== undefined && data.category !== rule.category) {
+      throw requestError("The category of a concession rule cannot be changed");
+    }
+
+    for (const field of RULE_FIELDS) {
+      if (data[field] !== undefined) rule[field] = data[field];
+    }
+    return await rule.save();
+  }
+
+  async deleteRule(id) {
+    const rule = await ConcessionRule.findById(id);
+    if (!rule) {
+      throw requestError("Concession rule not found", 404);
+    }
+    if (await Concession.exists({ ruleId: rule._id })) {
+      throw requestError(
+        "This rule has been granted to students. Deactivate it instead",
+        409,
+      );
+    }
+
+    await rule.deleteOne();
+    return rule;
+  }
+
+  // ============ CONCESSIONS ============
+
+  async getConcessions(filters = {}) {
+    const query = {};
+    for (const field of [
+      "studentId",
+      "academicYear",
+      "category",
+      "status",
+      "ruleId",
+    ]) {
+      if (filters[field]) query[field] = filters[field];
+    }
+
+    return await Concession.find(query)
+      .populate("ruleId", "name")
+      .populate({
+        path: "studentId",
+        select: "admissionNumber classId userId",
+        populate: [
+          { path: "userId", select: "name" },
+          { path: "classId", select: "name section" },
+        ],
+      })
+      .populate("requestedBy", "name email")
+      .populate("reviewedBy", "name email")
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Request a concession for a student. A rejected or revoked request
+   * for the same rule and year is reopened instead of duplicated.
+   */
+  async requestConcession(data, user) {
+    const rule = await ConcessionRule.findById(data.ruleId);
+    if (!rule || !rule.isActive) {
+      throw requestError("Concession rule not found or inactive", 404);
+    }
+    const student = await Student.findById(data.studentId).select(
+      "academicYear",
+    );
+    if (!student) {
+      throw requestError("Student not found", 404);
+    }
+    const academicYear = data.academicYear || student.academicYear;
+
+    const terms = {
+      category: rule.category,
+      valueType: rule.valueType,
+      value: rule.value,
+      feeTypes: rule.feeTypes,
+      status: "pending",
+      reason: data.reason,
+      requestedBy: user?._id || null,
+      reviewedBy: null,
+      reviewedAt: null,
+      reviewComment: null,
+    };
+
+    const existing = await Concession.findOne({
+      studentId: student._id,
+      academicYear,
+      ruleId: rule._id,
+    });
+    if (existing) {
+      if (["pending", "approved"].includes(existing.status)) {
+        throw requestError(
+          `This concession is already ${existing.status} for the student`,
+          409,
+        );
+      }
+      existing.set(terms);
+      return await existing.save();
+    }
+
+    return await Concession.create({
+      studentId: student._id,
+      academicYear,
+      ruleId: rule._id,
+      ...terms,
+    });
+  }
+
+  // Record a decision; `from` lists the statuses it may be taken from
+  async decide(id, { from, to, comment, commentRequired }, user) {
+    if (commentRequired && !comment?.trim()) {
+      throw requestError("A comment is required");
+    }
+    if (!mongoose.isValidObjectId(id)) {
+      throw requestError("Invalid concession ID");
+    }
+
+    const concession = await Concession.findOneAndUpdate(
+      { _id: id, status: { $in: from } },
+      {
+        status: to,
+        reviewedBy: user?._id || null,
+        reviewedAt: new Date(),
+        reviewComment: comment || null,
+      },
+      { new: true },
+    );
+    if (!concession) {
+      const current = await Concession.findById(id).select("status");
+      if (!current) {
+        throw requestError("Concession not found", 404);
+      }
+      throw requestError(`Concession is ${current.status}`, 409);
+    }
+    return concession;
+  }
+
+  async approveConcession(id, comment, user) {
+    return this.decide(
+      id,
+      { from: ["pending"], to: "approved", comment },
+      user,
+    );
+  }
+
+  async rejectConcession(id, comment, user) {
+    return this.decide(
+      id,
+      { from: ["pending"], to: "rejected", comment, commentRequired: true },
+      user,
+    );
+  }
+
+  // Revoke an approved concession (fees already generated keep theirs)
+  async revokeConcession(id, comment, user) {
+    return this.decide(
+      id,
+      { from: ["approved"], to: "revoked", comment, commentRequired: true },
+      user,
+    );
+  }
+
+  /**
+   * Match sibling rules from the Parent `children` links. Siblings are
+   * the active students sharing a parent, ranked by admission date; each
+   * student gets the rule with the highest sibling rank they reach.
+   * Students that already have a sibling concession for the year are
+   * left alone, so the decision on it stands. `studentIds` limits the
+   * run to those students.
+   */
+  async syncSiblingConcessions({ academicYear, studentIds } = {}) {
+    if (
+      studentIds !== undefined &&
+      studentIds !== null &&
+      (!Array.isArray(studentIds) ||
+        !studentIds.every(mongoose.isValidObjectId))
+    ) {
+      throw requestError("studentIds must be an array of valid IDs");
+    }
+
+    const year = await academicYearService.resolveAcademicYear(academicYear);
+    const summary = { academicYear: year, created: 0, pending: 0, skipped: 0 };
+
+    const rules = await ConcessionRule.find({
+      category: "sibling",
+      isActive: true,
+    }).sort({ siblingRank: -1 });
+    if (rules.length === 0) return summary;
+
+    const parents = await Parent.find(
+      studentIds
+        ? { children: { $in: studentIds } }
+        : { "children.1": { $exists: true } },
+    ).select("children");
+
+    const students = await Student.find({
+      _id: { $in: parents.flatMap((p) => p.children) },
+      enrollmentStatus: "active",
+    }).select("admissionDate createdAt");
+    const activeById = new Map(students.map((s) => [String(s._id), s]));
+
+    // Siblings of each student across all of their parents
+    const siblingsOf = new Map();
+    for (const parent of parents) {
+      const children = parent.children.map(String);
+      for (const child of children) {
+        if (!siblingsOf.has(child)) siblingsOf.set(child, new Set());
+        children.forEach((id) => siblingsOf.get(child).add(id));
+      }
+    }
+
+    const targets = studentIds
+      ? studentIds.map(String)
+      : [...siblingsOf.keys()];
+    for (const studentId of targets) {
+      if (!activeById.has(studentId) || !siblingsOf.has(studentId)) continue;
+
+      const siblings = [...siblingsOf.get(studentId)]
+        .map((id) => activeById.get(id))
+        .filter(Boolean)
+        .sort(bySeniority);
+      const rank = siblings.findIndex((s) => String(s._id) === studentId) + 1;
+      const rule = rules.find((r) => r.siblingRank <= rank);
+      if (!rule) continue;
+
+      if (
+        await Concession.exists({
+          studentId,
+          academicYear: year,
+          category: "sibling",
+        })
+      ) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        await Concession.create({
+          studentId,
+          academicYear: year,
+          ruleId: rule._id,
+          category: rule.category,
+          valueType: rule.valueType,
+          value: rule.value,
+          feeTypes: rule.feeTypes,
+          status: rule.requiresApproval ? "pending" : "approved",
+          reason: `Sibling ${rank} of ${siblings.length}`,
+          reviewedAt: rule.requiresApproval ? null : new Date(),
+          reviewComment: rule.requiresApproval
+            ? null
+            : "Approved automatically by rule",
+        });
+        summary.created++;
+        if (rule.requiresApproval) summary.pending++;
+      } catch (error) {
+        // Created by an overlapping run
+        if (error.code !== 11000) throw error;
+        summary.skipped++;
+      }
+    }
+
+    return summary;
+  }
+
+  // Approved concessions of the given students, keyed by student ID
+  async approvedFor(studentIds, academicYear) {
+    const concessions = await Concession.find({
+      studentId: { $in: studentIds },
+      academicYear,
+      status: "approved",
+    }).sort({ createdAt: 1 });
+
+    const byStudent = new Map();
+    for (const concession of concessions) {
+      const key = String(concession.studentId);
+      if (!byStudent.has(key)) byStudent.set(key, []);
+      byStudent.get(key).push(concession);
+    }
+    return byStudent;
+  }
+
+  /**
+   * Concessions applied to one fee: each matching concession in the
+   * order granted, never taking the fee below zero.
+   */
+  applyTo(concessions = [], feeType, amount) {
+    const applied = [];
+    let remaining = amount;
+
+    for (const concession of concessions) {
+      if (remaining <= 0) break;
+      if (!appliesTo(concession, feeType)) continue;
+
+      const value =
+        concession.valueType === "percentage"
+          ? (amount * concession.value) / 100
+          : concession.value;
+      const applies = roundMoney(Math.min(value, remaining));
+      if (applies <= 0) continue;
+
+      applied.push({
+        concessionId: concession._id,
+        category: concession.category,
+        amount: applies,
+      });
+      remaining = roundMoney(remaining - applies);
+    }
+
+    return {
+      concessions: applied,
+      discount: roundMoney(amount - remaining),
+    };
+  }
+
+  /**
+   * Concessions granted in a year: amounts applied to fees by category
+   * and rule, and concession records by status
+   */
+  async getReport(academicYear) {
+    const year = await academicYearService.resolveAcademicYear(academicYear);
+
+    const [byCategory, byRule, records] = await Promise.all([
+      Fee.aggregate([
+        { $match: { academicYear: year } },
+        { $unwind: "$concessions" },
+        {
+          $group: {
+            _id: "$concessions.category",
+            totalAmount: { $sum: "$concessions.amount" },
+            fees: { $sum: 1 },
+            students: { $addToSet: "$studentId" },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            category: "$_id",
+            totalAmount: 1,
+            fees: 1,
+            students: { $size: "$students" },
+          },
+        },
+        { $sort: { totalAmount: -1 } },
+      ]),
+      Fee.aggregate([
+        { $match: { academicYear: year } },
+        { $unwind: "$concessions" },
+        {
+          $lookup: {
+            from: "concessions",
+            localField: "concessions.concessionId",
+            foreignField: "_id",
+            as: "concession",
+          },
+        },
+        { $unwind: "$concession" },
+        {
+          $group: {
+            _id: "$concession.ruleId",
+            totalAmount: { $sum: "$concessions.amount" },
+            students: { $addToSet: "$studentId" },
+          },
+        },
+        {
+          $lookup: {
+            from: "concessionrules",
+            localField: "_id",
+            foreignField: "_id",
+            as: "rule",
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            ruleId: "$_id",
+            name: { $first: "$rule.name" },
+            category: { $first: "$rule.category" },
+            totalAmount: 1,
+            students: { $size: "$students" },
+          },
+        },
+        { $sort: { totalAmount: -1 } },
+      ]),
+      Concession.aggregate([
+        { $match: { academicYear: year } },
+        {
+          $group: {
+            _id: { category: "$category", status: "$status" },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+    ]);
+
+    const statuses = {};
+    for (const { _id, count } of records) {
+      statuses[_id.category] ??= {
+        pending: 0,
+        approved: 0,
+        rejected: 0,
+        revoked: 0,
+      };
+      statuses[_id.category][_id.status] = count;
+    }
+
+    return {
+      academicYear: year,
+      totalGranted: roundMoney(
+        byCategory.reduce((sum, row) => sum + row.totalAmount, 0),
+      ),
+      byCategory,
+      byRule,
+      records: statuses,
+    };
+  }
+}
+
+export default new ConcessionService();
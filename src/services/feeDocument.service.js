@@ -0,0 +1,259 @@
+import Payment from "../models/payment.model.js";
+import Fee from "../models/fee.model.js";
+import Student from "../models/student.model.js";
+import paymentService from "./payment.service.js";
+import {
+  renderPdf,
+  drawHeader,
+  drawHeading,
+  drawDetails,
+  drawTable,
+  drawText,
+  drawFooter,
+} from "../utils/pdfLayout.js";
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-GB", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      })
+    : "-";
+
+const safeFileName = (value) =>
+  String(value)
+    .replace(/[^a-zA-Z0-9._-]+/g, "-")
+    .replace(/-+/g, "-");
+
+const feeLabel = (fee) =>
+  [fee.feeType, fee.period].filter(Boolean).join(" ") || "-";
+
+const className = (classDoc) =>
+  classDoc
+    ? `${classDoc.name}${classDoc.section ? ` ${classDoc.section}` : ""}`
+    : "-";
+
+const feeColumns = [
+  { label: "Fee", width: 0.16 },
+  { label: "Due", width: 0.12 },
+  { label: "Amount", width: 0.1, align: "right" },
+  { label: "Discount", width: 0.1, align: "right" },
+  { label: "Fines", width: 0.1, align: "right" },
+  { label: "Total", width: 0.1, align: "right" },
+  { label: "Paid", width: 0.1, align: "right" },
+  { label: "Balance", width: 0.1, align: "right" },
+  { label: "Status", width: 0.12 },
+];
+
+const paymentColumns = [
+  { label: "Date", width: 0.13 },
+  { label: "Receipt", width: 0.25 },
+  { label: "Fee", width: 0.17 },
+  { label: "Method", width: 0.13 },
+  { label: "Amount", width: 0.14, align: "right" },
+  { label: "Status", width: 0.18 },
+];
+
+class FeeDocumentService {
+  async getStudent(studentId) {
+    const student = await Student.findById(studentId)
+      .populate("userId", "name email")
+      .populate("classId", "name section");
+    if (!student) {
+      throw requestError("Student not found", 404);
+    }
+    return student;
+  }
+
+  /**
+   * Receipt PDF of one payment or refund. Voided transactions are
+   * printed with a VOID notice so reprints match the ledger.
+   */
+  async generateReceipt(paymentId) {
+    const payment = await paymentService.loadPayment(paymentId);
+    await payment.populate([
+      { path: "feeId" },
+      { path: "collectedBy", select: "name" },
+      { path: "refundOf", select: "receiptNumber" },
+    ]);
+    const fee = payment.feeId;
+    if (!fee) {
+      throw requestError("Fee of this payment no longer exists", 404);
+    }
+    const student = await this.getStudent(payment.studentId);
+    const isRefund = payment.kind === "refund";
+
+    const buffer = await renderPdf((doc) => {
+      drawHeader(
+        doc,
+        isRefund ? "Refund Receipt" : "Fee Receipt",
+        payment.receiptNumber,
+      );
+      if (payment.status === "voided") {
+        drawText(
+          doc,
+          `VOID - cancelled on ${formatDate(payment.voidedAt)}: ${payment.voidReason}`,
+          { bold: true, fontSize: 11 },
+        );
+        doc.moveDown(0.5);
+      }
+
+      drawDetails(doc, [
+        ["Receipt No.", payment.receiptNumber],
+        ["Date", formatDate(payment.paidAt)],
+        ["Student", student.userId?.name || "-"],
+        ["Admission No.", student.admissionNumber],
+        ["Class", className(student.classId)],
+        ["Academic Year", payment.academicYear],
+      ]);
+
+      drawHeading(doc, isRefund ? "Refund" : "Payment");
+      drawDetails(doc, [
+        ["Fee", fee.description || feeLabel(fee)],
+        ["Period", fee.period || "-"],
+        [
+          isRefund ? "Amount Refunded" : "Amount Received",
+          formatAmount(payment.amount),
+        ],
+        ["Method", payment.method],
+        ["Reference", payment.reference],
+        ["Refund Of", payment.refundOf?.receiptNumber || null],
+        ["Collected By", payment.collectedBy?.name || null],
+        ["Remarks", payment.remarks],
+      ]);
+
+      drawHeading(doc, "Fee Account (current)");
+      drawDetails(doc, [
+        ["Fee Amount", formatAmount(fee.amount)],
+        ["Discount", formatAmount(fee.discount)],
+        ["Fines", formatAmount(fee.fine + (fee.lateFine || 0))],
+        ["Total", formatAmount(fee.totalAmount)],
+        ["Paid to Date", formatAmount(fee.amountPaid)],
+        ["Balance Due", formatAmount(fee.balanceDue)],
+      ]);
+
+      drawFooter(
+        doc,
+        `Receipt ${payment.receiptNumber} - Printed ${formatDate(new Date())}`,
+      );
+    });
+
+    return {
+      buffer,
+      filename: safeFileName(`receipt-${payment.receiptNumber}.pdf`),
+    };
+  }
+
+  /**
+   * Account statement of a student for an academic year: every fee with
+   * its discount, fines and balance, and every ledger transaction
+   */
+  async generateStatement(studentId, options = {}) {
+    const student = await this.getStudent(studentId);
+    const academicYear = options.academicYear || student.academicYear;
+
+    const fees = await Fee.find({ studentId: student._id, academicYear }).sort({
+      dueDate: 1,
+    });
+    if (fees.length === 0) {
+      throw requestError(`No fees recorded for ${academicYear}`, 404);
+    }
+    const feeById = new Map(fees.map((fee) => [String(fee._id), fee]));
+    const payments = await Payment.find({
+      feeId: { $in: fees.map((fee) => fee._id) },
+    }).sort({ paidAt: 1, createdAt: 1 });
+
+    const sum = (field) =>
+      fees.reduce((total, fee) => total + (fee[field] || 0), 0);
+    const totals = {
+      amount: sum("amount"),
+      discount: sum("discount"),
+      fines: sum("fine") + sum("lateFine"),
+      total: sum("totalAmount"),
+      paid: sum("amountPaid"),
+      balance: sum("balanceDue"),
+    };
+
+    const buffer = await renderPdf((doc) => {
+      drawHeader(doc, "Fee Statement", `Academic Year ${academicYear}`);
+      drawDetails(doc, [
+        ["Student", student.userId?.name || "-"],
+        ["Admission No.", student.admissionNumber],
+        ["Class", className(student.classId)],
+        ["Statement Date", formatDate(new Date())],
+      ]);
+
+      drawHeading(doc, "Fees");
+      drawTable(
+        doc,
+        feeColumns,
+        fees.map((fee) => [
+          feeLabel(fee),
+          formatDate(fee.dueDate),
+          formatAmount(fee.amount),
+          formatAmount(fee.discount),
+          formatAmount(fee.fine + (fee.lateFine || 0)),
+          formatAmount(fee.totalAmount),
+          formatAmount(fee.amountPaid),
+          formatAmount(fee.balanceDue),
+          fee.paymentStatus,
+        ]),
+      );
+
+      drawHeading(doc, "Payments and Refunds");
+      if (payments.length === 0) {
+        drawText(doc, "No payments recorded.");
+      } else {
+        drawTable(
+          doc,
+          paymentColumns,
+          payments.map((payment) => [
+            formatDate(payment.paidAt),
+            payment.receiptNumber,
+            feeLabel(feeById.get(String(payment.feeId))),
+            payment.method,
+            `${payment.kind === "refund" ? "-" : ""}${formatAmount(payment.amount)}`,
+            payment.status === "voided"
+              ? "voided"
+              : payment.kind === "refund"
+                ? "refund"
+                : "received",
+          ]),
+        );
+      }
+
+      drawHeading(doc, "Summary");
+      drawDetails(doc, [
+        ["Fees", formatAmount(totals.amount)],
+        ["Discounts", formatAmount(totals.discount)],
+        ["Fines", formatAmount(totals.fines)],
+        ["Total Payable", formatAmount(totals.total)],
+        ["Paid", formatAmount(totals.paid)],
+        ["Balance Due", formatAmount(totals.balance)],
+      ]);
+
+      drawFooter(
+        doc,
+        `Fee statement ${student.admissionNumber} ${academicYear} - Printed ${formatDate(new Date())}`,
+      );
+    });
+
+    return {
+      buffer,
+      filename: safeFileName(
+        `fee-statement-${student.admissionNumber}-${academicYear}.pdf`,
+      ),
+    };
+  }
+}
+
+export default new FeeDocumentService();
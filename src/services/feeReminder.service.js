@@ -0,0 +1,255 @@
+import ReminderSettings from "../models/reminderSettings.model.js";
+import Fee from "../models/fee.model.js";
+import Parent from "../models/parent.model.js";
+import Student from "../models/student.model.js";
+import notificationService from "./notification.service.js";
+import getSchoolProfile from "../config/school.js";
+
+const SETTING_FIELDS = ["isEnabled", "channel", "steps"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Days relative to the due date: negative before it, positive after
+const stepOffset = (step) =>
+  step.stage === "before-due"
+    ? -step.days
+    : step.stage === "after-due"
+      ? step.days
+      : 0;
+
+const stepKey = (step) => `${step.stage}:${Math.abs(stepOffset(step))}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+
+const reminderText = (fee, studentName, stage) => {
+  const what = `${fee.feeType} fee${fee.period ? ` (${fee.period})` : ""} for ${studentName}`;
+  const subject =
+    stage === "after-due"
+      ? `Overdue: ${what}`
+      : stage === "on-due"
+        ? `Due today: ${what}`
+        : `Upcoming: ${what}`;
+
+  const lines = [
+    `Dear parent,`,
+    "",
+    stage === "after-due"
+      ? `The ${what} was due on ${formatDate(fee.dueDate)} and is still unpaid.`
+      : `The ${what} is due on ${formatDate(fee.dueDate)}.`,
+    `Balance due: ${fee.balanceDue.toFixed(2)}`,
+  ];
+  const fines = fee.fine + (fee.lateFine || 0);
+  if (fines > 0) lines.push(`Includes fines of ${fines.toFixed(2)}.`);
+  lines.push("", getSchoolProfile().name);
+
+  return { subject, message: lines.join("\n") };
+};
+
+class FeeReminderService {
+  // Current schedule (defaults when never saved)
+  async getSettings() {
+    return (
+      (await ReminderSettings.findOne({ key: "default" })) ||
+      new ReminderSettings()
+    );
+  }
+
+  async updateSettings(data) {
+    const update = {};
+    for (const field of SETTING_FIELDS) {
+      if (data[field] !== undefined) update[field] = data[field];
+    }
+    if (Object.keys(update).length === 0) {
+      throw requestError("No settings to update");
+    }
+
+    // Save through the document so the step checks run
+    const settings = await this.getSettings();
+    settings.set(update);
+    return await settings.save();
+  }
+
+  /**
+   * Latest schedule step a fee has reached, or null. Only that step is
+   * sent, so a fee joining the schedule late gets one reminder, not a
+   * burst of the ones it missed.
+   */
+  dueStep(fee, steps, now) {
+    const daysFromDue = Math.floor((now - fee.dueDate) / DAY_MS);
+    const reached = steps
+      .filter((step) => stepOffset(step) <= daysFromDue)
+      .sort((a, b) => stepOffset(b) - stepOffset(a));
+    return reached[0] || null;
+  }
+
+  // Parent contacts of each student (falls back to the student's own)
+  async recipientsFor(studentIds) {
+    const parents = await Parent.find({ children: { $in: studentIds } })
+      .select("children userId")
+      .populate("userId", "email phone");
+    const students = await Student.find({ _id: { $in: studentIds } })
+      .select("userId")
+      .populate("userId", "name email phone");
+
+    const byStudent = new Map();
+    for (const student of students) {
+      const contacts = parents
+        .filter((p) => p.children.some((c) => c.equals(student._id)))
+        .map((p) => p.userId?.email || p.userId?.phone)
+        .filter(Boolean);
+      if (contacts.length === 0) {
+        const own = student.userId?.email || student.userId?.phone;
+        if (own) contacts.push(own);
+      }
+      byStudent.set(String(student._id), {
+        name: student.userId?.name || "your child",
+        contacts: [...new Set(contacts)],
+      });
+    }
+    return byStudent;
+  }
+
+  /**
+   * Send one reminder for a fee and record it on the fee. The record is
+   * claimed before sending, so the same step is never sent twice even
+   * when runs overlap.
+   */
+  async deliver(fee, step, recipient, channel) {
+    const key = step ? stepKey(step) : "manual";
+    const sentAt = new Date();
+
+    const claim = await Fee.updateOne(
+      step
+        ? { _id: fee._id, "reminders.step": { $ne: key } }
+        : { _id: fee._id },
+      {
+        $push: {
+          reminders: {
+            step: key,
+            channel: channel || notificationService.getDefaultChannel(),
+            recipients: recipient.contacts,
+            status: "sending",
+            sentAt,
+          },
+        },
+      },
+    );
+    if (claim.modifiedCount === 0) return null;
+
+    const { subject, message } = reminderText(
+      fee,
+      recipient.name,
+      step?.stage || (fee.dueDate < sentAt ? "after-due" : "before-due"),
+    );
+    let status = "sent";
+    let error = null;
+    for (const to of recipient.contacts) {
+      try {
+        await notificationService.send({
+          channel: channel || undefined,
+          to,
+          subject,
+          message,
+          meta: { feeId: fee._id, step: key },
+        });
+      } catch (sendError) {
+        status = "failed";
+        error = sendError.message;
+      }
+    }
+
+    await Fee.updateOne(
+      { _id: fee._id },
+      {
+        $set: {
+          "reminders.$[r].status": status,
+          "reminders.$[r].error": error,
+        },
+      },
+      { arrayFilters: [{ "r.step": key, "r.sentAt": sentAt }] },
+    );
+    return { step: key, status, error, recipients: recipient.contacts };
+  }
+
+  /**
+   * Scheduled run: send the due step of every fee with a balance. Fees
+   * whose student has no contact are counted but not claimed, so they
+   * are picked up once a contact is added.
+   */
+  async sendDueReminders({ now = new Date() } = {}) {
+    const settings = await this.getSettings();
+    const summary = { checked: 0, sent: 0, failed: 0, noContact: 0 };
+    if (!settings.isEnabled || settings.steps.length === 0) return summary;
+
+    // Earliest due date any step can reach today
+    const lookahead = Math.max(
+      0,
+      ...settings.steps.map((step) => -stepOffset(step)),
+    );
+    const fees = await Fee.find({
+      balanceDue: { $gt: 0 },
+      dueDate: { $lte: new Date(now.getTime() + lookahead * DAY_MS) },
+    });
+    const recipients = await this.recipientsFor([
+      ...new Set(fees.map((fee) => String(fee.studentId))),
+    ]);
+
+    for (const fee of fees) {
+      const step = this.dueStep(fee, settings.steps, now);
+      if (!step) continue;
+      if (fee.reminders.some((r) => r.step === stepKey(step))) continue;
+      summary.checked++;
+
+      const recipient = recipients.get(String(fee.studentId));
+      if (!recipient?.contacts.length) {
+        summary.noContact++;
+        continue;
+      }
+
+      const outcome = await this.deliver(
+        fee,
+        step,
+        recipient,
+        settings.channel,
+      );
+      if (outcome?.status === "sent") summary.sent++;
+      if (outcome?.status === "failed") summary.failed++;
+    }
+
+    return summary;
+  }
+
+  // Send a reminder for one fee now, outside the schedule
+  async sendReminderNow(feeId) {
+    const fee = await Fee.findById(feeId);
+    if (!fee) {
+      throw requestError("Fee not found", 404);
+    }
+    if (!(fee.balanceDue > 0)) {
+      throw requestError("This fee has nothing left to pay", 409);
+    }
+
+    const settings = await this.getSettings();
+    const recipient = (await this.recipientsFor([fee.studentId])).get(
+      String(fee.studentId),
+    );
+    if (!recipient?.contacts.length) {
+      throw requestError("No parent or student contact on record", 409);
+    }
+
+    return await this.deliver(fee, null, recipient, settings.channel);
+  }
+}
+
+export default new FeeReminderService();
@@ -0,0 +1,238 @@
+import mongoose from "mongoose";
+import Fee from "../models/fee.model.js";
+import Parent from "../models/parent.model.js";
+
+const AGING_BUCKETS = ["0-30", "31-60", "61-90", "90+"];
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const emptyBuckets = () =>
+  Object.fromEntries(
+    AGING_BUCKETS.map((bucket) => [bucket, { amount: 0, count: 0 }]),
+  );
+
+// Overdue fees with a balance, joined to the student's class
+const overdueStages = (filters, now) => {
+  if (filters.classId && !mongoose.isValidObjectId(filters.classId)) {
+    throw requestError("Invalid class ID");
+  }
+
+  const match = { balanceDue: { $gt: 0 }, dueDate: { $lt: now } };
+  if (filters.academicYear) match.academicYear = filters.academicYear;
+  if (filters.feeType) match.feeType = filters.feeType;
+
+  return [
+    { $match: match },
+    {
+      $lookup: {
+        from: "students",
+        localField: "studentId",
+        foreignField: "_id",
+        as: "student",
+      },
+    },
+    { $unwind: "$student" },
+    ...(filters.classId
+      ? [
+          {
+            $match: {
+              "student.classId": new mongoose.Types.ObjectId(
+                String(filters.classId),
+              ),
+            },
+          },
+        ]
+      : []),
+    {
+      $addFields: {
+        daysOverdue: {
+          $dateDiff: { startDate: "$dueDate", endDate: now, unit: "day" },
+        },
+      },
+    },
+  ];
+};
+
+class FeeReportService {
+  /**
+   * Overdue balances in aging buckets (0-30, 31-60, 61-90, 90+ days
+   * past due) per class and fee type, with bucket totals
+   */
+  async getAgingReport(filters = {}) {
+    const now = new Date();
+
+    const groups = await Fee.aggregate([
+      ...overdueStages(filters, now),
+      {
+        $addFields: {
+          bucket: {
+            $switch: {
+              branches: [
+                { case: { $lte: ["$daysOverdue", 30] }, then: "0-30" },
+                { case: { $lte: ["$daysOverdue", 60] }, then: "31-60" },
+                { case: { $lte: ["$daysOverdue", 90] }, then: "61-90" },
+              ],
+              default: "90+",
+            },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            classId: "$student.classId",
+            feeType: "$feeType",
+            bucket: "$bucket",
+          },
+          amount: { $sum: "$balanceDue" },
+          count: { $sum: 1 },
+        },
+      },
+      {
+        $lookup: {
+          from: "classes",
+          localField: "_id.classId",
+          foreignField: "_id",
+          as: "class",
+        },
+      },
+    ]);
+
+    const rows = new Map();
+    const totals = emptyBuckets();
+    for (const group of groups) {
+      const { classId, feeType, bucket } = group._id;
+      const key = `${classId}|${feeType}`;
+      if (!rows.has(key)) {
+        const classDoc = group.class[0];
+        rows.set(key, {
+          classId,
+          className: classDoc
+            ? `${classDoc.name}${classDoc.section ? ` ${classDoc.section}` : ""}`
+            : null,
+          feeType,
+          buckets: emptyBuckets(),
+          total: 0,
+        });
+      }
+      const row = rows.get(key);
+      row.buckets[bucket] = {
+        amount: roundMoney(group.amount),
+        count: group.count,
+      };
+      row.total = roundMoney(row.total + group.amount);
+      totals[bucket].amount = roundMoney(totals[bucket].amount + group.amount);
+      totals[bucket].count += group.count;
+    }
+
+    return {
+      asOf: now,
+      buckets: AGING_BUCKETS,
+      rows: [...rows.values()].sort(
+        (a, b) =>
+          String(a.className).localeCompare(String(b.className)) ||
+          a.feeType.localeCompare(b.feeType),
+      ),
+      totals,
+      totalOverdue: roundMoney(
+        Object.values(totals).reduce((sum, bucket) => sum + bucket.amount, 0),
+      ),
+    };
+  }
+
+  /**
+   * Students with overdue balances, largest first, with their parents'
+   * contact details and the last reminder sent.
+   *
+   * Filters: academicYear, classId, feeType, minDaysOverdue, minAmount
+   */
+  async getDefaulters(filters = {}) {
+    const now = new Date();
+    const minDays = Number(filters.minDaysOverdue) || 0;
+    const minAmount = Number(filters.minAmount) || 0;
+
+    const defaulters = await Fee.aggregate([
+      ...overdueStages(filters, now),
+      { $match: { daysOverdue: { $gte: minDays } } },
+      {
+        $group: {
+          _id: "$studentId",
+          student: { $first: "$student" },
+          overdueAmount: { $sum: "$balanceDue" },
+          fines: { $sum: { $add: ["$fine", { $ifNull: ["$lateFine", 0] }] } },
+          overdueFees: { $sum: 1 },
+          oldestDueDate: { $min: "$dueDate" },
+          maxDaysOverdue: { $max: "$daysOverdue" },
+          lastReminderAt: { $max: { $max: "$reminders.sentAt" } },
+        },
+      },
+      { $match: { overdueAmount: { $gte: minAmount } } },
+      { $sort: { overdueAmount: -1 } },
+      {
+        $lookup: {
+          from: "users",
+          localField: "student.userId",
+          foreignField: "_id",
+          as: "user",
+        },
+      },
+      {
+        $lookup: {
+          from: "classes",
+          localField: "student.classId",
+          foreignField: "_id",
+          as: "class",
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          studentId: "$_id",
+          name: { $first: "$user.name" },
+          admissionNumber: "$student.admissionNumber",
+          rollNumber: "$student.rollNumber",
+          class: {
+            _id: { $first: "$class._id" },
+            name: { $first: "$class.name" },
+            section: { $first: "$class.section" },
+          },
+          overdueAmount: 1,
+          fines: 1,
+          overdueFees: 1,
+          oldestDueDate: 1,
+          maxDaysOverdue: 1,
+          lastReminderAt: 1,
+        },
+      },
+    ]);
+
+    const parents = await Parent.find({
+      children: { $in: defaulters.map((d) => d.studentId) },
+    })
+      .select("children relationshipType alternatePhone userId")
+      .populate("userId", "name email phone");
+
+    return defaulters.map((defaulter) => ({
+      ...defaulter,
+      overdueAmount: roundMoney(defaulter.overdueAmount),
+      fines: roundMoney(defaulter.fines),
+      parents: parents
+        .filter((p) => p.children.some((c) => c.equals(defaulter.studentId)))
+        .map((p) => ({
+          name: p.userId?.name || null,
+          relationship: p.relationshipType,
+          email: p.userId?.email || null,
+          phone: p.userId?.phone || null,
+          alternatePhone: p.alternatePhone,
+        })),
+    }));
+  }
+}
+
+export default new FeeReportService();
@@ -0,0 +1,377 @@
+import FeeStructure from "../models/feeStructure.model.js";
+import Fee from "../models/fee.model.js";
+import Class from "../models/class.model.js";
+import Student from "../models/student.model.js";
+import AcademicYear from "../models/academicYear.model.js";
+import academicYearService from "./academicYear.service.js";
+import concessionService from "./concession.service.js";
+
+const UPDATABLE_FIELDS = ["name", "heads", "isActive"];
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const pad2 = (value) => String(value).padStart(2, "0");
+
+// Start of the month `offset` months after (year, month), in UTC
+const monthStart = (year, month, offset = 0) =>
+  new Date(Date.UTC(year, month + offset, 1));
+
+/**
+ * Billing periods of a head within an academic year. Months are counted
+ * from the month the year starts in; dates are UTC.
+ */
+const buildPeriods = (head, { startDate, endDate }) => {
+  const firstYear = startDate.getUTCFullYear();
+  const firstMonth = startDate.getUTCMonth();
+
+  const months = [];
+  for (
+    let offset = 0;
+    monthStart(firstYear, firstMonth, offset) <= endDate;
+    offset++
+  ) {
+    months.push(monthStart(firstYear, firstMonth, offset));
+  }
+
+  const size = { monthly: 1, quarterly: 3, annual: months.length }[
+    head.frequency
+  ];
+  const periods = [];
+  for (let i = 0; i < months.length; i += size) {
+    const first = months[i];
+    const last = months[Math.min(i + size, months.length) - 1];
+    const periodStart = new Date(Math.max(first, startDate));
+    const periodEnd = new Date(
+      Math.min(
+        monthStart(last.getUTCFullYear(), last.getUTCMonth(), 1) - 1,
+        endDate,
+      ),
+    );
+    const due = new Date(
+      Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), head.dueDay || 10),
+    );
+
+    periods.push({
+      period:
+        head.frequency === "monthly"
+          ? `${first.getUTCFullYear()}-${pad2(first.getUTCMonth() + 1)}`
+          : head.frequency === "quarterly"
+            ? `Q${i / 3 + 1}`
+            : "Annual",
+      periodStart,
+      periodEnd,
+      dueDate: new Date(Math.max(due, periodStart)),
+    });
+  }
+  return periods;
+};
+
+class FeeStructureService {
+  // Get all fee structures
+  async getAllStructures(filters = {}) {
+    const query = {};
+    if (filters.classId) query.classId = filters.classId;
+    if (filters.academicYear) query.academicYear = filters.academicYear;
+    if (filters.isActive !== undefined) {
+      query.isActive = filters.isActive === true || filters.isActive === "true";
+    }
+
+    return await FeeStructure.find(query)
+      .populate("classId", "name section academicYear")
+      .sort({ academicYear: -1, createdAt: -1 });
+  }
+
+  // Get fee structure by ID
+  async getStructureById(id) {
+    const structure = await FeeStructure.findById(id).populate(
+      "classId",
+      "name section academicYear",
+    );
+    if (!structure) {
+      throw requestError("Fee structure not found", 404);
+    }
+    return structure;
+  }
+
+  // Create a fee structure (academic year defaults to the class's)
+  async createStructure(data, user) {
+    const classDoc = await Class.findById(data.classId).select("academicYear");
+    if (!classDoc) {
+      throw requestError("Class not found", 404);
+    }
+
+    const academicYear = data.academicYear || classDoc.academicYear;
+    if (await FeeStructure.exists({ classId: classDoc._id, academicYear })) {
+      throw requestError(
+        "A fee structure already exists for this class and academic year",
+        409,
+      );
+    }
+
+    return await FeeStructure.create({
+      name: data.name,
+      classId: classDoc._id,
+      academicYear,
+      heads: data.heads,
+      isActive: data.isActive,
+      createdBy: user?._id || null,
+    });
+  }
+
+  /**
+   * Update name, heads or status. Changes apply to invoices generated
+   * from now on; fees already generated are left as they are.
+   */
+  async updateStructure(id, data) {
+    const structure = await FeeStructure.findById(id);
+    if (!structure) {
+      throw requestError("Fee structure not found", 404);
+    }
+
+    for (const field of ["classId", "academicYear"]) {
+      if (
+        data[field] !== undefined &&
+        String(data[field]) !== String(structure[field])
+      ) {
+        throw requestError(
+          "Class and academic year of a fee structure cannot be changed",
+        );
+      }
+    }
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (data[field] !== undefined) structure[field] = data[field];
+    }
+    return await structure.save();
+  }
+
+  // Delete a fee structure that has not generated any fees
+  async deleteStructure(id) {
+    const structure = await FeeStructure.findById(id);
+    if (!structure) {
+      throw requestError("Fee structure not found", 404);
+    }
+
+    if (await Fee.exists({ feeStructureId: structure._id })) {
+      throw requestError(
+        "Fees were generated from this structure. Deactivate it instead",
+        409,
+      );
+    }
+
+    await structure.deleteOne();
+    return structure;
+  }
+
+  async loadYear(name) {
+    const yearDoc = await AcademicYear.findOne({ name });
+    if (!yearDoc) {
+      throw requestError(`Academic year "${name}" is not registered`, 404);
+    }
+    return yearDoc;
+  }
+
+  // Billing schedule of a structure: every head's periods and due dates
+  async getSchedule(id) {
+    const structure = await this.getStructureById(id);
+    const yearDoc = await this.loadYear(structure.academicYear);
+
+    const heads = structure.heads.map((head) => {
+      const periods = buildPeriods(head, yearDoc);
+      return {
+        feeType: head.feeType,
+        description: head.description,
+        frequency: head.frequency,
+        amount: head.amount,
+        periods,
+        yearlyTotal: head.amount * periods.length,
+      };
+    });
+
+    return {
+      structure,
+      heads,
+      yearlyTotal: heads.reduce((sum, head) => sum + head.yearlyTotal, 0),
+    };
+  }
+
+  /**
+   * Create Fee records for every active student of the class. Safe to
+   * run repeatedly: fees that already exist for a student, fee type and
+   * period are skipped, so re-running picks up students added later.
+   *
+   * Options:
+   * - period: only this period label (e.g. "2025-04", "Q2", "Annual")
+   * - dueBefore: only periods due on or before this date
+   * - dryRun: count what would be created without writing
+   *
+   * Sibling concessions are matched first; approved concessions of each
+   * student are applied as the discount of their new fees.
+   */
+  async generateInvoices(id, options = {}) {
+    const structure = await FeeStructure.findById(id);
+    if (!structure) {
+      throw requestError("Fee structure not found", 404);
+    }
+    if (!structure.isActive) {
+      throw requestError("Fee structure is inactive", 409);
+    }
+
+    const yearDoc = await this.loadYear(structure.academicYear);
+    const dueBefore = options.dueBefore ? new Date(options.dueBefore) : null;
+    if (dueBefore && Number.isNaN(dueBefore.getTime())) {
+      throw requestError("dueBefore must be a valid date");
+    }
+
+    const items = structure.heads.flatMap((head) =>
+      buildPeriods(head, yearDoc)
+        .filter((p) => !options.period || p.period === options.period)
+        .filter((p) => !dueBefore || p.dueDate <= dueBefore)
+        .map((p) => ({ head, ...p })),
+    );
+    if (options.period && items.length === 0) {
+      throw requestError(`No fee head has a period "${options.period}"`);
+    }
+
+    const students = await Student.find({
+      classId: structure.classId,
+      enrollmentStatus: "active",
+    }).select("admissionNumber admissionDate");
+
+    // Approved concessions become the discount of each new fee
+    if (!options.dryRun) {
+      await concessionService.syncSiblingConcessions({
+        academicYear: structure.academicYear,
+        studentIds: students.map((s) => s._id),
+      });
+    }
+    const concessions = await concessionService.approvedFor(
+      students.map((s) => s._id),
+      structure.academicYear,
+    );
+
+    // Existing fees (generated or entered by hand) for the same keys
+    const existing = await Fee.find({
+      studentId: { $in: students.map((s) => s._id) },
+      academicYear: structure.academicYear,
+      feeType: { $in: structure.heads.map((h) => h.feeType) },
+      period: { $in: [...new Set(items.map((i) => i.period))] },
+    }).select("studentId feeType period");
+    const existingKeys = new Set(
+      existing.map((f) => `${f.studentId}|${f.feeType}|${f.period}`),
+    );
+
+    const summary = {
+      structureId: structure._id,
+      academicYear: structure.academicYear,
+      students: students.length,
+      periods: items.length,
+      created: 0,
+      skipped: 0,
+      beforeAdmission: 0,
+      errors: [],
+      dryRun: Boolean(options.dryRun),
+    };
+
+    for (const student of students) {
+      for (const item of items) {
+        if (
+          existingKeys.has(`${student._id}|${item.head.feeType}|${item.period}`)
+        ) {
+          summary.skipped++;
+          continue;
+        }
+        // No charges for periods that ended before the student joined
+        if (student.admissionDate && item.periodEnd < student.admissionDate) {
+          summary.beforeAdmission++;
+          continue;
+        }
+        if (options.dryRun) {
+          summary.created++;
+          continue;
+        }
+
+        try {
+          const applied = concessionService.applyTo(
+            concessions.get(String(student._id)),
+            item.head.feeType,
+            item.head.amount,
+          );
+          await Fee.create({
+            studentId: student._id,
+            feeType: item.head.feeType,
+            description:
+              item.head.description || `${structure.name} (${item.period})`,
+            amount: item.head.amount,
+            discount: applied.discount,
+            concessions: applied.concessions,
+            dueDate: item.dueDate,
+            academicYear: structure.academicYear,
+            period: item.period,
+            feeStructureId: structure._id,
+          });
+          summary.created++;
+        } catch (error) {
+          // Created by an overlapping run
+          if (error.code === 11000) {
+            summary.skipped++;
+          } else {
+            summary.errors.push({
+              studentId: student._id,
+              admissionNumber: student.admissionNumber,
+              feeType: item.head.feeType,
+              period: item.period,
+              message: error.message,
+            });
+          }
+        }
+      }
+    }
+
+    if (!options.dryRun) {
+      structure.lastGeneratedAt = new Date();
+      await structure.save();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Scheduled run: generate upcoming invoices for every active structure
+   * of the current academic year. A structure that fails is reported in
+   * the summaries and the run goes on with the next one.
+   */
+  async generateUpcomingInvoices({ leadDays = 30 } = {}) {
+    const academicYear = await academicYearService.getCurrentYearName();
+    if (!academicYear) return [];
+
+    const dueBefore = new Date(Date.now() + leadDays * 24 * 60 * 60 * 1000);
+    const structures = await FeeStructure.find({
+      academicYear,
+      isActive: true,
+    }).select("_id");
+
+    const summaries = [];
+    for (const structure of structures) {
+      try {
+        summaries.push(
+          await this.generateInvoices(structure._id, { dueBefore }),
+        );
+      } catch (error) {
+        summaries.push({
+          structureId: structure._id,
+          academicYear,
+          failed: true,
+          errors: [{ message: error.message }],
+        });
+      }
+    }
+    return summaries;
+  }
+}
+
+export default new FeeStructureService();
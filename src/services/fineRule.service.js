@@ -0,0 +1,157 @@
+import FineRule from "../models/fineRule.model.js";
+import Fee from "../models/fee.model.js";
+
+const UPDATABLE_FIELDS = [
+  "mode",
+  "amount",
+  "maxAmount",
+  "graceDays",
+  "isActive",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Whole days a fee has been overdue after the rule's grace period
+const chargeableDays = (dueDate, graceDays, now) =>
+  Math.max(Math.floor((now - dueDate) / DAY_MS) - (graceDays || 0), 0);
+
+/**
+ * Late fine of an overdue fee under a rule. Depends only on the rule and
+ * the date, so recomputing it on every run never double-charges.
+ */
+const computeLateFine = (rule, dueDate, now) => {
+  const days = chargeableDays(dueDate, rule.graceDays, now);
+  if (days === 0) return 0;
+
+  if (rule.mode === "flat") return roundMoney(rule.amount);
+  const accrued = roundMoney(rule.amount * days);
+  return rule.mode === "capped" ? Math.min(accrued, rule.maxAmount) : accrued;
+};
+
+class FineRuleService {
+  // Get all fine rules
+  async getAllRules() {
+    return await FineRule.find().sort({ feeType: 1 });
+  }
+
+  // Create the fine rule of a fee type
+  async createRule(data, user) {
+    if (data.feeType && (await FineRule.exists({ feeType: data.feeType }))) {
+      throw requestError(
+        `A fine rule already exists for fee type "${data.feeType}"`,
+        409,
+      );
+    }
+
+    return await FineRule.create({
+      feeType: data.feeType,
+      mode: data.mode,
+      amount: data.amount,
+      maxAmount: data.maxAmount,
+      graceDays: data.graceDays,
+      isActive: data.isActive,
+      createdBy: user?._id || null,
+    });
+  }
+
+  // Update a fine rule (the fee type cannot change)
+  async updateRule(id, data) {
+    const rule = await FineRule.findById(id);
+    if (!rule) {
+      throw requestError("Fine rule not found", 404);
+    }
+    if (data.feeType !== undefined && data.feeType !== rule.feeType) {
+      throw requestError("The fee type of a fine rule cannot be changed");
+    }
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (data[field] !== undefined) rule[field] = data[field];
+    }
+    return await rule.save();
+  }
+
+  // Delete a fine rule (fines already accrued are kept)
+  async deleteRule(id) {
+    const rule = await FineRule.findByIdAndDelete(id);
+    if (!rule) {
+      throw requestError("Fine rule not found", 404);
+    }
+    return rule;
+  }
+
+  /**
+   * Overdue job: mark unpaid fees past their due date overdue and
+   * recompute late fines from the active rules. Fees without an active
+   * rule keep the fine they already have. Totals, balance and status are
+   * recomputed by the Fee pre-save hook.
+   */
+  async applyOverdueFines({ now = new Date(), dryRun = false } = {}) {
+    const rules = new Map(
+      (await FineRule.find({ isActive: true })).map((rule) => [
+        rule.feeType,
+        rule,
+      ]),
+    );
+
+    const summary = {
+      dryRun,
+      checked: 0,
+      markedOverdue: 0,
+      finesUpdated: 0,
+      lateFineChange: 0,
+      skipped: 0,
+    };
+
+    const cursor = Fee.find({
+      dueDate: { $lt: now },
+      balanceDue: { $gt: 0 },
+    }).cursor();
+
+    for await (const fee of cursor) {
+      summary.checked++;
+
+      const rule = rules.get(fee.feeType);
+      const lateFine = rule
+        ? computeLateFine(rule, fee.dueDate, now)
+        : fee.lateFine || 0;
+      const fineChanged = lateFine !== (fee.lateFine || 0);
+      const becomesOverdue = fee.paymentStatus === "unpaid";
+      if (!fineChanged && !becomesOverdue) continue;
+
+      if (becomesOverdue) summary.markedOverdue++;
+      if (fineChanged) {
+        summary.finesUpdated++;
+        summary.lateFineChange = roundMoney(
+          summary.lateFineChange + lateFine - (fee.lateFine || 0),
+        );
+      }
+      if (dryRun) continue;
+
+      if (fineChanged) {
+        fee.lateFine = lateFine;
+        fee.lateFineUpdatedAt = now;
+      }
+      // Only save over the state we read; a payment recorded meanwhile
+      // wins and the fee is picked up again on the next run
+      fee.$where = { balanceDue: fee.balanceDue, amountPaid: fee.amountPaid };
+      try {
+        await fee.save();
+      } catch (error) {
+        if (error.name !== "DocumentNotFoundError") throw error;
+        summary.skipped++;
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default new FineRuleService();
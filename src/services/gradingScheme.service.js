@@ -0,0 +1,319 @@
+import mongoose from "mongoose";
+import GradingScheme from "../models/gradingScheme.model.js";
+import Class from "../models/class.model.js";
+import academicYearService from "./academicYear.service.js";
+import resultModerationService from "./resultModeration.service.js";
+
+// Built-in scale used when no grading scheme applies
+export const DEFAULT_GRADE_BANDS = [
+  { grade: "A+", minPercentage: 90, gradePoint: 10, isPassing: true },
+  { grade: "A", minPercentage: 80, gradePoint: 9, isPassing: true },
+  { grade: "B+", minPercentage: 70, gradePoint: 8, isPassing: true },
+  { grade: "B", minPercentage: 60, gradePoint: 7, isPassing: true },
+  { grade: "C+", minPercentage: 50, gradePoint: 6, isPassing: true },
+  { grade: "C", minPercentage: 40, gradePoint: 5, isPassing: true },
+  { grade: "D", minPercentage: 33, gradePoint: 4, isPassing: true },
+  { grade: "F", minPercentage: 0, gradePoint: 0, isPassing: false },
+];
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class GradingSchemeService {
+  /**
+   * Find the scheme that applies to a class in an academic year:
+   * class scheme (year-specific first) → academic-year scheme → default.
+   * Returns null when only the built-in scale applies.
+   */
+  async resolveScheme({ classId, academicYear }) {
+    if (classId) {
+      const classScheme = await GradingScheme.findOne({
+        isActive: true,
+        classIds: classId,
+        academicYear: { $in: [academicYear, null] },
+      }).sort({ academicYear: -1 });
+      if (classScheme) return classScheme;
+    }
+
+    if (academicYear) {
+      const yearScheme = await GradingScheme.findOne({
+        isActive: true,
+        classIds: { $size: 0 },
+        academicYear,
+      });
+      if (yearScheme) return yearScheme;
+    }
+
+    return await GradingScheme.findOne({ isActive: true, isDefault: true });
+  }
+
+  // Grade a percentage with a scheme (or the built-in scale)
+  gradeFor(percentage, scheme = null) {
+    const bands = this.bandsFor(scheme);
+    const band =
+      bands.find((b) => percentage >= b.minPercentage) ||
+      bands[bands.length - 1];
+
+    return {
+      grade: band.grade,
+      gradePoint: band.gradePoint ?? null,
+      isPassing: band.isPassing !== false,
+      gradingScheme: scheme?._id || null,
+    };
+  }
+
+  // Bands of a scheme (or the built-in scale), highest cutoff first
+  bandsFor(scheme = null) {
+    return scheme
+      ? [...scheme.bands].sort((a, b) => b.minPercentage - a.minPercentage)
+      : DEFAULT_GRADE_BANDS;
+  }
+
+  // Lowest percentage that earns a passing grade
+  passMarkFor(scheme = null) {
+    const passing = this.bandsFor(scheme).filter((b) => b.isPassing !== false);
+    return passing.length > 0
+      ? Math.min(...passing.map((b) => b.minPercentage))
+      : 100;
+  }
+
+  // Get all grading schemes
+  async getAllSchemes(filters = {}) {
+    const query = {};
+    if (filters.isActive !== undefined) {
+      query.isActive = filters.isActive === true || filters.isActive === "true";
+    }
+    if (filters.type) query.type = filters.type;
+    if (filters.academicYear) query.academicYear = filters.academicYear;
+    if (filters.classId) query.classIds = filters.classId;
+
+    return await GradingScheme.find(query)
+      .populate("classIds", "name section academicYear")
+      .sort({ isDefault: -1, name: 1 });
+  }
+
+  // Get grading scheme by ID
+  async getSchemeById(id) {
+    const scheme = await GradingScheme.findById(id).populate(
+      "classIds",
+      "name section academicYear",
+    );
+    if (!scheme) {
+      throw requestError("Grading scheme not found", 404);
+    }
+    return scheme;
+  }
+
+  // The scheme that currently applies to a class (for the UI)
+  async getApplicableScheme({ classId, academicYear }) {
+    const year = await academicYearService.resolveAcademicYear(academicYear);
+    const scheme = await this.resolveScheme({ classId, academicYear: year });
+    return {
+      academicYear: year,
+      scheme,
+      bands: scheme ? scheme.bands : DEFAULT_GRADE_BANDS,
+      isBuiltIn: !scheme,
+    };
+  }
+
+  async validateScope(data) {
+    if (data.examWeights) {
+      const examTypes = mongoose
+        .model("Result")
+        .schema.path("examType").enumValues;
+      const unknown = Object.keys(data.examWeights).filter(
+        (examType) => !examTypes.includes(examType),
+      );
+      if (unknown.length > 0) {
+        throw requestError(`Unknown exam type(s): ${unknown.join(", ")}`);
+      }
+    }
+
+    if (data.academicYear) {
+      await academicYearService.assertKnownYear(data.academicYear);
+    }
+
+    if (Array.isArray(data.classIds) && data.classIds.length > 0) {
+      const found = await Class.countDocuments({
+        _id: { $in: data.classIds },
+      });
+      if (found !== new Set(data.classIds.map(String)).size) {
+        throw requestError("One or more classes were not found", 404);
+      }
+    }
+  }
+
+  // Create a grading scheme
+  async createScheme(data) {
+    await this.validateScope(data);
+
+    if (data.isDefault) {
+      await GradingScheme.updateMany(
+        { isDefault: true },
+        { $set: { isDefault: false } },
+      );
+    }
+
+    return await GradingScheme.create({
+      name: data.name,
+      type: data.type,
+      bands: data.bands,
+      examWeights: data.examWeights,
+      classIds: data.classIds || [],
+      academicYear: data.academicYear || null,
+      isDefault: Boolean(data.isDefault),
+      isActive: data.isActive !== false,
+    });
+  }
+
+  // Update a grading scheme (run a regrade afterwards to apply it)
+  async updateScheme(id, data) {
+    const scheme = await GradingScheme.findById(id);
+    if (!scheme) {
+      throw requestError("Grading scheme not found", 404);
+    }
+
+    await this.validateScope(data);
+
+    if (data.isDefault && !scheme.isDefault) {
+      await GradingScheme.updateMany(
+        { isDefault: true, _id: { $ne: scheme._id } },
+        { $set: { isDefault: false } },
+      );
+    }
+
+    const fields = [
+      "name",
+      "type",
+      "bands",
+      "examWeights",
+      "classIds",
+      "academicYear",
+      "isDefault",
+      "isActive",
+    ];
+    for (const field of fields) {
+      if (data[field] !== undefined) scheme[field] = data[field];
+    }
+
+    await scheme.save();
+    return scheme;
+  }
+
+  // Delete a grading scheme (results keep their grades until regraded)
+  async deleteScheme(id) {
+    const scheme = await GradingScheme.findByIdAndDelete(id);
+    if (!scheme) {
+      throw requestError("Grading scheme not found", 404);
+    }
+    return scheme;
+  }
+
+  /**
+   * Re-grade stored results with the scheme that applies to each of them.
+   * Scope: the classes/year of a scheme (schemeId), or academicYear
+   * (current by default) optionally narrowed to one class. Only results
+   * of draft batches are changed; submitted, approved and published
+   * batches are skipped and listed in `lockedBatches`.
+   */
+  async regradeResults({ schemeId, academicYear, classId } = {}) {
+    const Result = mongoose.model("Result");
+    const query = {};
+
+    if (schemeId) {
+      const scheme = await this.getSchemeById(schemeId);
+      if (scheme.classIds.length > 0) {
+        query.classId = { $in: scheme.classIds.map((c) => c._id) };
+      }
+      if (scheme.academicYear) {
+        query.academicYear = scheme.academicYear;
+      } else if (scheme.classIds.length === 0) {
+        // Default scheme: limit to one session
+        query.academicYear =
+          await academicYearService.resolveAcademicYear(academicYear);
+      }
+    } else {
+      query.academicYear =
+        await academicYearService.resolveAcademicYear(academicYear);
+      if (classId) query.classId = classId;
+    }
+
+    const results = await Result.find(query).select(
+      "classId subjectId examType academicYear marksObtained maxMarks percentage grade gradePoint gradingScheme",
+    );
+
+    const schemes = new Map();
+    const batches = new Map();
+    const lockedBatches = [];
+    let regraded = 0;
+    let skipped = 0;
+
+    for (const result of results) {
+      const batchKey = [
+        result.classId,
+        result.subjectId,
+        result.examType,
+        result.academicYear,
+      ].join("|");
+      if (!batches.has(batchKey)) {
+        const status = await resultModerationService.getBatchStatus(result);
+        batches.set(batchKey, status);
+        if (status !== "draft") {
+          lockedBatches.push({
+            classId: result.classId,
+            subjectId: result.subjectId,
+            examType: result.examType,
+            academicYear: result.academicYear,
+            status,
+          });
+        }
+      }
+      if (batches.get(batchKey) !== "draft") {
+        skipped += 1;
+        continue;
+      }
+
+      const key = `${result.classId}|${result.academicYear}`;
+      if (!schemes.has(key)) {
+        schemes.set(
+          key,
+          await this.resolveScheme({
+            classId: result.classId,
+            academicYear: result.academicYear,
+          }),
+        );
+      }
+
+      const percentage = (result.marksObtained / result.maxMarks) * 100;
+      const { grade, gradePoint, gradingScheme } = this.gradeFor(
+        percentage,
+        schemes.get(key),
+      );
+
+      const unchanged =
+        result.grade === grade &&
+        result.gradePoint === gradePoint &&
+        String(result.gradingScheme) === String(gradingScheme);
+      if (unchanged) continue;
+
+      await Result.updateOne(
+        { _id: result._id },
+        { $set: { percentage, grade, gradePoint, gradingScheme } },
+      );
+      regraded += 1;
+    }
+
+    return {
+      scanned: results.length,
+      regraded,
+      unchanged: results.length - regraded - skipped,
+      skipped,
+      lockedBatches,
+    };
+  }
+}
+
+export default new GradingSchemeService();
@@ -0,0 +1,175 @@
+import LoginAttempt from "../models/loginAttempt.model.js";
+
+const MAX_ACCOUNT_FAILURES =
+  Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5;
+const MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const FAILURE_WINDOW_MINUTES =
+  Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+
+// Progressive delay: free attempts, then 1s, 2s, 4s, ... capped
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_SECONDS = 30;
+
+const normalizeEmail = (email) =>
+  String(email || "")
+    .toLowerCase()
+    .trim();
+
+const throttleError = (message, retryAfterSeconds) => {
+  const error = new Error(message);
+  error.statusCode = 429;
+  error.retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  return error;
+};
+
+const delaySecondsFor = (failedCount) => {
+  if (failedCount <= FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failedCount - FREE_ATTEMPTS - 1), MAX_DELAY_SECONDS);
+};
+
+// A tracker whose window has lapsed without new failures starts over
+const isWindowExpired = (tracker, now) =>
+  !tracker.lastFailedAt ||
+  now - tracker.lastFailedAt > FAILURE_WINDOW_MINUTES * 60 * 1000;
+
+const registerFailure = async (scope, key, maxFailures, extra = {}) => {
+  const now = new Date();
+  const tracker =
+    (await LoginAttempt.findOne({ scope, key })) ||
+    new LoginAttempt({ scope, key });
+
+  if (isWindowExpired(tracker, now)) {
+    tracker.failedCount = 0;
+    tracker.firstFailedAt = now;
+  }
+
+  tracker.failedCount += 1;
+  tracker.lastFailedAt = now;
+  if (extra.userId) tracker.userId = extra.userId;
+  if (extra.lastIp) tracker.lastIp = extra.lastIp;
+
+  if (tracker.failedCount >= maxFailures) {
+    tracker.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+    tracker.lockCount += 1;
+    tracker.failedCount = 0;
+  }
+
+  try {
+    await tracker.save();
+  } catch (error) {
+    // Two concurrent first failures raced to create the tracker; count again
+    if (error.code === 11000 && tracker.isNew) {
+      return registerFailure(scope, key, maxFailures, extra);
+    }
+    throw error;
+  }
+};
+
+class LoginAttemptService {
+  /**
+   * Throw a 429 error if the account or IP is locked or still inside
+   * its progressive delay. Call before checking credentials.
+   */
+  async assertLoginAllowed({ email, ipAddress }) {
+    const now = new Date();
+    const trackers = await LoginAttempt.find({
+      $or: [
+        { scope: "account", key: normalizeEmail(email) },
+        ...(ipAddress ? [{ scope: "ip", key: ipAddress }] : []),
+      ],
+    });
+
+    for (const tracker of trackers) {
+      if (tracker.lockedUntil && tracker.lockedUntil > now) {
+        throw throttleError(
+          tracker.scope === "account"
+            ? "Account temporarily locked due to too many failed login attempts"
+            : "Too many failed login attempts from this network",
+          (tracker.lockedUntil - now) / 1000,
+        );
+      }
+
+      if (isWindowExpired(tracker, now)) continue;
+
+      const delay = delaySecondsFor(tracker.failedCount);
+      const nextAllowedAt = new Date(
+        tracker.lastFailedAt.getTime() + delay * 1000,
+      );
+      if (nextAllowedAt > now) {
+        throw throttleError(
+          "Too many failed login attempts. Please wait before trying again",
+          (nextAllowedAt - now) / 1000,
+        );
+      }
+    }
+  }
+
+  /**
+   * Record a failed attempt against the account and the IP.
+   * Locks a key once it reaches its failure limit.
+   */
+  async recordFailure({ email, ipAddress, userId = null }) {
+    await registerFailure(
+      "account",
+      normalizeEmail(email),
+      MAX_ACCOUNT_FAILURES,
+      { userId, lastIp: ipAddress || null },
+    );
+
+    if (ipAddress) {
+      await registerFailure("ip", ipAddress, MAX_IP_FAILURES);
+    }
+  }
+
+  /**
+   * Clear the account tracker after a successful login.
+   * The IP tracker is left to expire so one valid login cannot reset it.
+   */
+  async recordSuccess({ email }) {
+    await LoginAttempt.deleteOne({
+      scope: "account",
+      key: normalizeEmail(email),
+    });
+  }
+
+  /**
+   * List currently locked accounts / IPs
+   */
+  async getLockedEntries(scope) {
+    const query = { lockedUntil: { $gt: new Date() } };
+    if (scope) query.scope = scope;
+
+    return LoginAttempt.find(query)
+      .populate("userId", "name email role")
+      .sort({ lockedUntil: -1 });
+  }
+
+  /**
+   * Unlock an account or IP and reset its failure counter
+   */
+  async unlock(attemptId) {
+    const tracker = await LoginAttempt.findByIdAndUpdate(
+      attemptId,
+      {
+        $set: {
+          lockedUntil: null,
+          failedCount: 0,
+          firstFailedAt: null,
+          lastFailedAt: null,
+        },
+      },
+      { new: true },
+    );
+
+    if (!tracker) {
+      const error = new Error("Lock record not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return tracker;
+  }
+}
+
+export default new LoginAttemptService();
@@ -0,0 +1,59 @@
+/**
+ * Notification Service
+ * Delivers messages (password resets, reminders, ...) through pluggable channels.
+ *
+ * A channel is an async function `({ to, subject, message, meta }) => info`.
+ * The "console" channel is always available and is the default, so the app
+ * works without any mail/SMS provider configured. It logs only the
+ * recipient and subject: message bodies can carry secrets such as
+ * password-reset links. Providers register their own channel at startup:
+ *
+ *   notificationService.registerChannel("email", sendViaSmtp);
+ *
+ * NOTIFICATION_CHANNEL selects the default channel.
+ */
+const consoleChannel = async ({ to, subject }) => {
+  console.log(`[notification] to=${to} subject="${subject}"`);
+  return { delivered: true };
+};
+
+class NotificationService {
+  constructor() {
+    this.channels = new Map([["console", consoleChannel]]);
+  }
+
+  // Register (or replace) a delivery channel
+  registerChannel(name, handler) {
+    if (typeof handler !== "function") {
+      throw new Error("Notification channel handler must be a function");
+    }
+    this.channels.set(name, handler);
+  }
+
+  // Name of the channel used when a caller does not pick one
+  getDefaultChannel() {
+    const configured = process.env.NOTIFICATION_CHANNEL;
+    return configured && this.channels.has(configured) ? configured : "console";
+  }
+
+  // Send a notification through the given (or default) channel
+  async send({ channel, to, subject, message, meta = {} }) {
+    const channelName = channel || this.getDefaultChannel();
+    const handler = this.channels.get(channelName);
+
+    if (!handler) {
+      const error = new Error(`Unknown notification channel: ${channelName}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!to) {
+      throw new Error("Notification recipient is required");
+    }
+
+    const info = await handler({ to, subject, message, meta });
+    return { channel: channelName, ...info };
+  }
+}
+
+export default new NotificationService();
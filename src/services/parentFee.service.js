@@ -0,0 +1,109 @@
+import Parent from "../models/parent.model.js";
+import Fee from "../models/fee.model.js";
+import Payment from "../models/payment.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const summarize = (fees) => {
+  const sum = (pick) =>
+    roundMoney(fees.reduce((total, f) => total + pick(f), 0));
+  return {
+    totalAmount: sum((f) => f.totalAmount),
+    totalDiscount: sum((f) => f.discount),
+    // Fines are shown apart from the fee amounts
+    totalFine: sum((f) => f.fine + (f.lateFine || 0)),
+    totalPaid: sum((f) => f.amountPaid),
+    totalBalance: sum((f) => f.balanceDue),
+    overdueCount: fees.filter((f) => f.paymentStatus === "overdue").length,
+  };
+};
+
+class ParentFeeService {
+  // Linked children of the logged-in parent
+  async getChildren(user) {
+    const parent = await Parent.findById(user.profileId).populate({
+      path: "children",
+      select: "admissionNumber rollNumber classId userId academicYear",
+      populate: [
+        { path: "userId", select: "name" },
+        { path: "classId", select: "name section" },
+      ],
+    });
+    if (!parent) {
+      throw requestError("Parent profile not found", 404);
+    }
+    return parent.children;
+  }
+
+  async assertChild(user, studentId) {
+    const children = await this.getChildren(user);
+    if (!children.some((child) => child._id.toString() === studentId)) {
+      throw requestError("You can only view your children's fees", 403);
+    }
+  }
+
+  /**
+   * Fee overview across all linked children: outstanding and overdue
+   * dues, instalments falling due in the next `upcomingDays`, and the
+   * payments made with links to their receipts.
+   */
+  async getFeeOverview(user, options = {}) {
+    const children = await this.getChildren(user);
+    const upcomingDays = Number(options.upcomingDays) || 30;
+    const now = new Date();
+    const upcomingUntil = new Date(now.getTime() + upcomingDays * DAY_MS);
+
+    const query = { studentId: { $in: children.map((c) => c._id) } };
+    if (options.academicYear) query.academicYear = options.academicYear;
+    const fees = await Fee.find(query).sort({ dueDate: 1 });
+
+    const payments = await Payment.find({
+      feeId: { $in: fees.map((f) => f._id) },
+    })
+      .populate("feeId", "feeType period description")
+      .sort({ paidAt: -1 });
+
+    const overview = children.map((child) => {
+      const childId = child._id.toString();
+      const childFees = fees.filter((f) => f.studentId.toString() === childId);
+      const outstanding = childFees.filter((f) => f.balanceDue > 0);
+
+      return {
+        student: child,
+        summary: summarize(childFees),
+        outstanding,
+        overdue: outstanding.filter((f) => f.dueDate < now),
+        upcoming: outstanding.filter(
+          (f) => f.dueDate >= now && f.dueDate <= upcomingUntil,
+        ),
+        payments: payments
+          .filter((p) => p.studentId.toString() === childId)
+          .map((p) => ({
+            ...p.toObject(),
+            receiptUrl: `/api/fees/payments/${p._id}/receipt`,
+          })),
+        statementUrl: `/api/parents/me/fees/${childId}/statement${
+          options.academicYear
+            ? `?academicYear=${encodeURIComponent(options.academicYear)}`
+            : ""
+        }`,
+      };
+    });
+
+    return {
+      upcomingDays,
+      summary: summarize(fees),
+      children: overview,
+    };
+  }
+}
+
+export default new ParentFeeService();
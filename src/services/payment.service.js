@@ -0,0 +1,380 @@
+import mongoose from "mongoose";
+import Payment from "../models/payment.model.js";
+import Fee from "../models/fee.model.js";
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Concurrent inserts racing for the same number retry with the next one
+const MAX_RECEIPT_ATTEMPTS = 10;
+
+// Recalculations racing with a payment's hold re-read the fee and retry
+const MAX_RECALCULATE_ATTEMPTS = 10;
+
+// "RCP/2025-2026/000042"
+const formatReceiptNumber = (series, academicYear, seq) =>
+  `${series}/${academicYear}/${String(seq).padStart(6, "0")}`;
+
+const LEDGER_POPULATE = [
+  { path: "collectedBy", select: "name email" },
+  { path: "voidedBy", select: "name email" },
+  { path: "refundOf", select: "receiptNumber amount paidAt" },
+];
+
+class PaymentService {
+  /**
+   * Insert a ledger row with the next receipt number of its series
+   * (RCP payments, RFD refunds) for the academic year. The number is
+   * the highest one taken plus one and only exists once the insert
+   * succeeds, so failed payments leave no gaps; the unique index turns
+   * a concurrent insert of the same number into a retry.
+   */
+  async createTransaction(data) {
+    const receiptSeries = data.kind === "refund" ? "RFD" : "RCP";
+
+    for (let attempt = 0; attempt < MAX_RECEIPT_ATTEMPTS; attempt++) {
+      const last = await Payment.findOne({
+        receiptSeries,
+        academicYear: data.academicYear,
+        receiptSeq: { $ne: null },
+      })
+        .sort({ receiptSeq: -1 })
+        .select("receiptSeq");
+      const receiptSeq = (last?.receiptSeq || 0) + 1;
+
+      try {
+        return await Payment.create({
+          ...data,
+          receiptSeries,
+          receiptSeq,
+          receiptNumber: formatReceiptNumber(
+            receiptSeries,
+            data.academicYear,
+            receiptSeq,
+          ),
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    throw requestError(
+      "Could not allocate a receipt number, please try again",
+      503,
+    );
+  }
+
+  /**
+   * Fees paid before the ledger existed only have amountPaid. Record
+   * that amount as one opening payment so the ledger explains it. Done
+   * before a fee's next payment, or for all fees by `backfillLedger`;
+   * read-only views never write it.
+   */
+  async ensureLedger(fee) {
+    if (!(fee.amountPaid > 0)) return;
+    if (await Payment.exists({ feeId: fee._id })) return;
+
+    const opening = {
+      feeId: fee._id,
+      studentId: fee.studentId,
+      academicYear: fee.academicYear,
+      amount: fee.amountPaid,
+      method: fee.paymentMethod || "cash",
+      reference: fee.transactionRef,
+      paidAt: fee.paidDate || fee.updatedAt,
+      collectedBy: fee.collectedBy,
+      remarks: "Recorded before the payment ledger",
+    };
+
+    // Keep a receipt number that was already issued for the fee
+    if (fee.receiptNumber) {
+      await Payment.create({ ...opening, receiptNumber: fee.receiptNumber });
+    } else {
+      await this.createTransaction(opening);
+    }
+  }
+
+  // One-off admin action: record the opening payment of every paid fee
+  // that has no ledger rows yet
+  async backfillLedger() {
+    const summary = { checked: 0, created: 0 };
+    const cursor = Fee.find({ amountPaid: { $gt: 0 } }).cursor();
+
+    for await (const fee of cursor) {
+      summary.checked++;
+      if (await Payment.exists({ feeId: fee._id })) continue;
+      await this.ensureLedger(fee);
+      summary.created++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Derive amountPaid, paidDate and the latest method / reference of a
+   * fee from its ledger. Status and balance follow in the Fee pre-save
+   * hook, which keeps the amounts reserved by payments in flight held.
+   * The fee is only saved over the balance and holds it was read with,
+   * so a hold taken meanwhile is never overwritten.
+   */
+  async recalculateFee(feeId) {
+    for (let attempt = 0; attempt < MAX_RECALCULATE_ATTEMPTS; attempt++) {
+      const fee = await Fee.findById(feeId);
+      if (!fee) {
+        throw requestError("Fee not found", 404);
+      }
+
+      const rows = await Payment.find({ feeId, status: "completed" }).sort({
+        paidAt: 1,
+      });
+      const payments = rows.filter((row) => row.kind === "payment");
+      const refunded = rows
+        .filter((row) => row.kind === "refund")
+        .reduce((sum, row) => sum + row.amount, 0);
+      const paid = payments.reduce((sum, row) => sum + row.amount, 0);
+      const latest = payments.at(-1) || null;
+
+      fee.amountPaid = roundMoney(Math.max(paid - refunded, 0));
+      fee.paidDate = latest?.paidAt || null;
+      fee.paymentMethod = latest?.method || null;
+      fee.transactionRef = latest?.reference || null;
+      fee.collectedBy = latest?.collectedBy || null;
+
+      fee.$where = {
+        balanceDue: fee.balanceDue,
+        reservedAmount: fee.reservedAmount,
+      };
+      try {
+        return await fee.save();
+      } catch (error) {
+        if (error.name !== "DocumentNotFoundError") throw error;
+      }
+    }
+
+    throw requestError("The fee is being updated, please try again", 503);
+  }
+
+  /**
+   * Record a payment against a fee. The amount is held off the balance
+   * (reservedAmount) with a conditional update first, so two cashiers
+   * cannot overpay a fee; the hold is released once the payment is in
+   * the ledger or has failed.
+   */
+  async recordPayment(feeId, data, user) {
+    const amount = roundMoney(Number(data.amount));
+    if (!(amount > 0)) {
+      throw requestError("Payment amount must be greater than 0");
+    }
+
+    const fee = await Fee.findById(feeId);
+    if (!fee) {
+      throw requestError("Fee not found", 404);
+    }
+    await this.ensureLedger(fee);
+
+    const reserved = await Fee.findOneAndUpdate(
+      { _id: fee._id, balanceDue: { $gte: amount } },
+      { $inc: { balanceDue: -amount, reservedAmount: amount } },
+      { new: true },
+    );
+    if (!reserved) {
+      const current = await Fee.findById(fee._id).select("balanceDue");
+      throw requestError(
+        `Payment amount cannot exceed balance due (${current?.balanceDue ?? 0})`,
+      );
+    }
+
+    let payment;
+    let failure = null;
+    try {
+      payment = await this.createTransaction({
+        feeId: fee._id,
+        studentId: fee.studentId,
+        academicYear: fee.academicYear,
+        amount,
+        method: data.method || "cash",
+        reference: data.reference,
+        paidAt: data.paidAt || new Date(),
+        collectedBy: user?._id || null,
+        remarks: data.remarks,
+      });
+    } catch (error) {
+      failure = error;
+    }
+
+    // Release the hold; the ledger is the source of truth, also when
+    // the insert failed
+    try {
+      await Fee.updateOne(
+        { _id: fee._id },
+        { $inc: { reservedAmount: -amount } },
+      );
+      await this.recalculateFee(fee._id);
+    } catch (error) {
+      if (!failure) throw error;
+      console.error("Could not release payment hold:", error.message);
+    }
+    if (failure) throw failure;
+
+    return {
+      payment,
+      fee: await Fee.findById(fee._id),
+    };
+  }
+
+  // Ledger of one fee, oldest first
+  async getFeePayments(feeId) {
+    const fee = await Fee.findById(feeId);
+    if (!fee) {
+      throw requestError("Fee not found", 404);
+    }
+
+    const payments = await Payment.find({ feeId })
+      .populate(LEDGER_POPULATE)
+      .sort({ paidAt: 1, createdAt: 1 });
+    return { fee, payments };
+  }
+
+  // List ledger rows with filters, newest first
+  async getPayments(filters = {}) {
+    const query = {};
+    for (const field of [
+      "studentId",
+      "feeId",
+      "academicYear",
+      "kind",
+      "status",
+      "method",
+      "collectedBy",
+    ]) {
+      if (filters[field]) query[field] = filters[field];
+    }
+    if (filters.from || filters.to) {
+      query.paidAt = {};
+      if (filters.from) query.paidAt.$gte = new Date(filters.from);
+      if (filters.to) query.paidAt.$lte = new Date(filters.to);
+    }
+
+    const payments = await Payment.find(query)
+      .populate(LEDGER_POPULATE)
+      .populate({
+        path: "studentId",
+        select: "admissionNumber userId",
+        populate: { path: "userId", select: "name" },
+      })
+      .populate("feeId", "feeType period academicYear")
+      .sort({ paidAt: -1 });
+
+    const completed = payments.filter((p) => p.status === "completed");
+    const sum = (kind) =>
+      roundMoney(
+        completed
+          .filter((p) => p.kind === kind)
+          .reduce((total, p) => total + p.amount, 0),
+      );
+    return {
+      payments,
+      totals: {
+        received: sum("payment"),
+        refunded: sum("refund"),
+        net: roundMoney(sum("payment") - sum("refund")),
+      },
+    };
+  }
+
+  async loadPayment(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw requestError("Invalid payment ID");
+    }
+    const payment = await Payment.findById(id);
+    if (!payment) {
+      throw requestError("Payment not found", 404);
+    }
+    return payment;
+  }
+
+  /**
+   * Void a transaction entered by mistake. It stays in the ledger but no
+   * longer counts. A payment with active refunds cannot be voided.
+   */
+  async voidPayment(id, reason, user) {
+    if (!reason?.trim()) {
+      throw requestError("A reason is required to void a payment");
+    }
+
+    const payment = await this.loadPayment(id);
+    if (
+      payment.kind === "payment" &&
+      (await Payment.exists({ refundOf: payment._id, status: "completed" }))
+    ) {
+      throw requestError("Void the refunds of this payment first", 409);
+    }
+
+    const voided = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "completed" },
+      {
+        status: "voided",
+        voidedAt: new Date(),
+        voidedBy: user?._id || null,
+        voidReason: reason,
+      },
+      { new: true },
+    );
+    if (!voided) {
+      throw requestError("Payment is already voided", 409);
+    }
+
+    const fee = await this.recalculateFee(payment.feeId);
+    return { payment: voided, fee };
+  }
+
+  // Refund part or all of a completed payment
+  async refundPayment(id, data, user) {
+    if (!data.reason?.trim()) {
+      throw requestError("A reason is required for a refund");
+    }
+
+    const payment = await this.loadPayment(id);
+    if (payment.kind !== "payment" || payment.status !== "completed") {
+      throw requestError("Only completed payments can be refunded", 409);
+    }
+
+    const refunds = await Payment.find({
+      refundOf: payment._id,
+      status: "completed",
+    });
+    const refundable = roundMoney(
+      payment.amount - refunds.reduce((sum, r) => sum + r.amount, 0),
+    );
+    const amount =
+      data.amount === undefined ? refundable : roundMoney(Number(data.amount));
+    if (!(amount > 0) || amount > refundable) {
+      throw requestError(
+        `Refund amount must be greater than 0 and at most ${refundable}`,
+      );
+    }
+
+    const refund = await this.createTransaction({
+      feeId: payment.feeId,
+      studentId: payment.studentId,
+      academicYear: payment.academicYear,
+      kind: "refund",
+      amount,
+      method: data.method || payment.method,
+      reference: data.reference,
+      collectedBy: user?._id || null,
+      refundOf: payment._id,
+      remarks: data.reason,
+    });
+
+    const fee = await this.recalculateFee(payment.feeId);
+    return { refund, fee };
+  }
+}
+
+export default new PaymentService();
@@ -0,0 +1,491 @@
+import mongoose from "mongoose";
+import PaymentOrder from "../models/paymentOrder.model.js";
+import WebhookEvent from "../models/webhookEvent.model.js";
+import Payment from "../models/payment.model.js";
+import Fee from "../models/fee.model.js";
+import Parent from "../models/parent.model.js";
+import paymentService from "./payment.service.js";
+import mockPaymentProvider from "./providers/mockPayment.provider.js";
+
+// The mock provider is for development only and is not registered in
+// production
+const providers = () =>
+  process.env.NODE_ENV === "production" ? {} : { mock: mockPaymentProvider };
+
+// Checkout links stay valid this long
+const ORDER_TTL_MS = 30 * 60 * 1000;
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Optional list of IDs from a request body (null when not given)
+const idList = (value, label) => {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || !value.every(mongoose.isValidObjectId)) {
+    throw requestError(`${label} must be an array of valid IDs`);
+  }
+  return value.length > 0 ? value.map(String) : null;
+};
+
+class PaymentGatewayService {
+  // Provider by name, defaulting to PAYMENT_PROVIDER (mock outside
+  // production)
+  getProvider(name = process.env.PAYMENT_PROVIDER) {
+    const available = providers();
+    if (!name && process.env.NODE_ENV !== "production") name = "mock";
+    if (!name) {
+      throw requestError("No payment provider is configured", 503);
+    }
+    const provider = Object.hasOwn(available, name) ? available[name] : null;
+    if (!provider) {
+      throw requestError(`Unknown payment provider "${name}"`, 404);
+    }
+    return provider;
+  }
+
+  // Parents pay for the children linked to their profile
+  async assertCanPay(user, studentId) {
+    if (user.role !== "parent") {
+      throw requestError("Only parents can pay fees online", 403);
+    }
+    const parent = await Parent.findById(user.profileId).select("children");
+    if (!parent?.children.some((c) => c.toString() === String(studentId))) {
+      throw requestError("You can only pay your children's fees", 403);
+    }
+  }
+
+  /**
+   * Start an online payment of a fee. The amount defaults to the
+   * balance due.
+   */
+  async createOrder(feeId, data, user) {
+    const fee = await Fee.findById(feeId);
+    if (!fee) {
+      throw requestError("Fee not found", 404);
+    }
+    await this.assertCanPay(user, fee.studentId);
+
+    if (!(fee.balanceDue > 0)) {
+      throw requestError("This fee has nothing left to pay", 409);
+    }
+    const amount =
+      data.amount === undefined
+        ? fee.balanceDue
+        : roundMoney(Number(data.amount));
+    if (!(amount > 0) || amount > fee.balanceDue) {
+      throw requestError(
+        `Amount must be greater than 0 and at most ${fee.balanceDue}`,
+      );
+    }
+
+    return this.openOrder(
+      {
+        feeId: fee._id,
+        studentId: fee.studentId,
+        academicYear: fee.academicYear,
+        allocations: [{ feeId: fee._id, studentId: fee.studentId, amount }],
+      },
+      user,
+    );
+  }
+
+  /**
+   * One order paying the full balance of several fees ("pay all
+   * outstanding"). Defaults to every outstanding fee of the parent's
+   * children; feeIds, studentIds and academicYear narrow it down.
+   */
+  async createCombinedOrder(user, filters = {}) {
+    if (user.role !== "parent") {
+      throw requestError("Only parents can pay fees online", 403);
+    }
+    const parent = await Parent.findById(user.profileId).select("children");
+    const children = (parent?.children || []).map(String);
+
+    const feeIds = idList(filters.feeIds, "feeIds");
+    const studentIds = idList(filters.studentIds, "studentIds") || children;
+    if (studentIds.some((id) => !children.includes(id))) {
+      throw requestError("You can only pay your children's fees", 403);
+    }
+
+    const query = { studentId: { $in: studentIds }, balanceDue: { $gt: 0 } };
+    if (feeIds) query._id = { $in: feeIds };
+    if (filters.academicYear) query.academicYear = filters.academicYear;
+    const fees = await Fee.find(query).sort({ dueDate: 1 });
+    if (fees.length === 0) {
+      throw requestError("There is nothing outstanding to pay", 409);
+    }
+
+    const years = new Set(fees.map((fee) => fee.academicYear));
+    return this.openOrder(
+      {
+        academicYear: years.size === 1 ? [...years][0] : null,
+        allocations: fees.map((fee) => ({
+          feeId: fee._id,
+          studentId: fee.studentId,
+          amount: fee.balanceDue,
+        })),
+      },
+      user,
+    );
+  }
+
+  // Record the order, then create it at the provider
+  async openOrder(details, user) {
+    const provider = this.getProvider();
+    const amount = roundMoney(
+      details.allocations.reduce((sum, a) => sum + a.amount, 0),
+    );
+
+    const order = await PaymentOrder.create({
+      ...details,
+      provider: provider.name,
+      amount,
+      currency: process.env.PAYMENT_CURRENCY || "INR",
+      createdBy: user._id,
+      expiresAt: new Date(Date.now() + ORDER_TTL_MS),
+    });
+
+    try {
+      const created = await provider.createOrder({
+        amount,
+        currency: order.currency,
+        receipt: String(order._id),
+      });
+      order.providerOrderId = created.orderId;
+      order.checkoutUrl = created.checkoutUrl;
+    } catch (error) {
+      order.status = "failed";
+      order.failureReason = error.message;
+      await order.save();
+      throw requestError(
+        "The payment provider could not create the order",
+        502,
+      );
+    }
+
+    return await order.save();
+  }
+
+  // Orders of a parent, or every order for admins
+  async getOrders(user, filters = {}) {
+    const query = {};
+    if (user.role !== "admin") query.createdBy = user._id;
+    for (const field of ["status", "provider"]) {
+      if (filters[field]) query[field] = filters[field];
+    }
+    if (filters.feeId) query["allocations.feeId"] = filters.feeId;
+    if (filters.studentId) query["allocations.studentId"] = filters.studentId;
+    if (filters.needsReview !== undefined) {
+      query.needsReview =
+        filters.needsReview === true || filters.needsReview === "true";
+    }
+
+    return await PaymentOrder.find(query)
+      .populate("feeId", "feeType period totalAmount balanceDue paymentStatus")
+      .populate("paymentId", "receiptNumber amount status")
+      .sort({ createdAt: -1 });
+  }
+
+  async getOrderById(id, user) {
+    const order = await PaymentOrder.findById(id)
+      .populate("feeId", "feeType period totalAmount balanceDue paymentStatus")
+      .populate("paymentId", "receiptNumber amount status");
+    if (!order) {
+      throw requestError("Payment order not found", 404);
+    }
+    if (user.role !== "admin" && String(order.createdBy) !== String(user._id)) {
+      throw requestError("You can only view your own payment orders", 403);
+    }
+    return order;
+  }
+
+  /**
+   * Apply a capture to its order: the order is claimed atomically, so a
+   * capture reported twice (webhook retry, reconciliation) is recorded
+   * once. Each allocation becomes a ledger payment on its fee. A capture
+   * that no longer fits a fee (paid at the counter in the meantime) is
+   * kept on the order and flagged for review.
+   */
+  async applyCapture(order, capture) {
+    const amount = roundMoney(Number(capture.amount ?? order.amount));
+    const claimed = await PaymentOrder.findOneAndUpdate(
+      { _id: order._id, status: { $ne: "paid" } },
+      {
+        status: "paid",
+        providerPaymentId: capture.paymentId,
+        paidAmount: amount,
+        paidAt: capture.paidAt || new Date(),
+        failureReason: null,
+      },
+      { new: true },
+    );
+    if (!claimed) return "already-paid";
+
+    // A single fee takes what was captured; a split needs the exact amount
+    const { allocations } = claimed;
+    if (allocations.length > 1 && amount !== roundMoney(claimed.amount)) {
+      claimed.needsReview = true;
+      claimed.failureReason = `Captured ${amount} for an order of ${claimed.amount}`;
+      await claimed.save();
+      return "needs-review";
+    }
+
+    const problems = [];
+    for (const allocation of allocations) {
+      if (allocation.paymentId) continue;
+      try {
+        const { payment } = await paymentService.recordPayment(
+          allocation.feeId,
+          {
+            amount: allocations.length === 1 ? amount : allocation.amount,
+            method: "online",
+            reference: capture.paymentId,
+            paidAt: claimed.paidAt,
+            remarks: `Online payment, ${claimed.provider} order ${claimed.providerOrderId}`,
+          },
+          null,
+        );
+        allocation.paymentId = payment._id;
+        claimed.paymentId ??= payment._id;
+      } catch (error) {
+        if (!error.statusCode || error.statusCode >= 500) {
+          // Let a retry claim the order again; recorded fees are skipped
+          claimed.status = order.status;
+          await claimed.save();
+          throw error;
+        }
+        problems.push(`Fee ${allocation.feeId}: ${error.message}`);
+      }
+    }
+
+    if (problems.length > 0) {
+      claimed.needsReview = true;
+      claimed.failureReason = problems.join("; ");
+    }
+    await claimed.save();
+    return problems.length > 0 ? "needs-review" : "recorded";
+  }
+
+  /**
+   * Verify and process a provider webhook. Each event is stored first;
+   * a redelivered event hits the unique key and is acknowledged without
+   * being processed again.
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = this.getProvider(providerName);
+    if (!provider.verifyWebhook(rawBody, headers)) {
+      throw requestError("Invalid webhook signature", 401);
+    }
+
+    let event;
+    try {
+      event = provider.parseWebhook(rawBody);
+    } catch {
+      throw requestError("Malformed webhook payload");
+    }
+    if (!event.eventId || !event.type) {
+      throw requestError("Malformed webhook payload");
+    }
+
+    let record;
+    try {
+      record = await WebhookEvent.create({
+        provider: provider.name,
+        eventId: event.eventId,
+        type: event.type,
+        providerOrderId: event.orderId,
+        payload: event,
+      });
+    } catch (error) {
+      if (error.code === 11000) return { duplicate: true, result: null };
+      throw error;
+    }
+
+    try {
+      const result = await this.processEvent(provider, event);
+      record.result = result;
+      record.processedAt = new Date();
+      await record.save();
+      return { duplicate: false, result };
+    } catch (error) {
+      // Forget the event so the provider's retry is processed
+      await record.deleteOne();
+      throw error;
+    }
+  }
+
+  async processEvent(provider, event) {
+    const order = await PaymentOrder.findOne({
+      provider: provider.name,
+      providerOrderId: event.orderId,
+    });
+    if (!order) return "unknown-order";
+
+    if (event.type === "payment.captured") {
+      return await this.applyCapture(order, event);
+    }
+    if (event.type === "payment.failed") {
+      const failed = await PaymentOrder.updateOne(
+        { _id: order._id, status: "created" },
+        { status: "failed", failureReason: event.reason },
+      );
+      return failed.modifiedCount > 0 ? "failed" : "ignored";
+    }
+    return "ignored";
+  }
+
+  /**
+   * Match provider settlements against orders and the fee ledger.
+   * Captures whose webhook never arrived are recorded now. Reports:
+   * - matched: settled, recorded and the amounts agree
+   * - recovered: settled but not yet recorded (missed webhook), now recorded
+   * - mismatched: amount differs, capture flagged for review, or the
+   *   ledger payment was voided
+   * - unknown: settlement for an order we do not have
+   * - unsettled: paid orders in the window without a settlement yet
+   */
+  async reconcile({ provider: providerName, from, to } = {}) {
+    const provider = this.getProvider(providerName);
+    const window = {
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+    };
+    if (
+      (window.from && Number.isNaN(window.from.getTime())) ||
+      (window.to && Number.isNaN(window.to.getTime()))
+    ) {
+      throw requestError("from and to must be valid dates");
+    }
+
+    const settlements = await provider.fetchSettlements(window);
+    const report = {
+      provider: provider.name,
+      settlements: settlements.length,
+      matched: [],
+      recovered: [],
+      mismatched: [],
+      unknown: [],
+      unsettled: [],
+    };
+    const settledOrderIds = [];
+
+    for (const settlement of settlements) {
+      let order = await PaymentOrder.findOne({
+        provider: provider.name,
+        providerOrderId: settlement.orderId,
+      });
+      if (!order) {
+        report.unknown.push(settlement);
+        continue;
+      }
+      settledOrderIds.push(order._id);
+
+      let recovered = false;
+      if (order.status !== "paid") {
+        recovered =
+          (await this.applyCapture(order, {
+            paymentId: settlement.paymentId,
+            amount: settlement.amount,
+            paidAt: settlement.settledAt,
+          })) === "recorded";
+      }
+
+      order = await PaymentOrder.findByIdAndUpdate(
+        order._id,
+        {
+          settlement: {
+            settlementId: settlement.settlementId,
+            amount: settlement.amount,
+            providerFee: settlement.providerFee ?? null,
+            settledAt: settlement.settledAt,
+          },
+          reconciledAt: new Date(),
+        },
+        { new: true },
+      );
+      const paymentIds = order.allocations
+        .map((a) => a.paymentId)
+        .filter(Boolean);
+      const payments = await Payment.find({ _id: { $in: paymentIds } }).select(
+        "amount status",
+      );
+      const recordedAmount = roundMoney(
+        payments
+          .filter((p) => p.status === "completed")
+          .reduce((sum, p) => sum + p.amount, 0),
+      );
+
+      const entry = {
+        orderId: order._id,
+        providerOrderId: order.providerOrderId,
+        fees: order.allocations.map((a) => a.feeId),
+        settledAmount: settlement.amount,
+        recordedAmount,
+      };
+      let reason = null;
+      if (order.needsReview) {
+        reason = order.failureReason;
+      } else if (payments.length === 0) {
+        reason = "No ledger payment for this order";
+      } else if (payments.some((p) => p.status !== "completed")) {
+        reason = "A ledger payment of this order was voided";
+      } else if (recordedAmount !== roundMoney(settlement.amount)) {
+        reason = "Settled amount differs from the recorded payments";
+      }
+
+      if (reason) {
+        report.mismatched.push({ ...entry, reason });
+      } else if (recovered) {
+        report.recovered.push(entry);
+      } else {
+        report.matched.push(entry);
+      }
+    }
+
+    const paidAt = {};
+    if (window.from) paidAt.$gte = window.from;
+    if (window.to) paidAt.$lte = window.to;
+    report.unsettled = await PaymentOrder.find({
+      provider: provider.name,
+      status: "paid",
+      _id: { $nin: settledOrderIds },
+      "settlement.settlementId": null,
+      ...(window.from || window.to ? { paidAt } : {}),
+    }).select("providerOrderId allocations paidAmount paidAt");
+
+    return report;
+  }
+
+  /**
+   * Development helper: complete a mock checkout and deliver its webhook
+   * through the normal signed path
+   */
+  async simulateMockPayment(orderId, { outcome, amount } = {}, user) {
+    if (process.env.NODE_ENV === "production") {
+      throw requestError("Not found", 404);
+    }
+    const order = await this.getOrderById(orderId, user);
+    if (order.provider !== "mock") {
+      throw requestError("Only mock orders can be simulated");
+    }
+
+    const delivery = mockPaymentProvider.simulatePayment(
+      order.providerOrderId,
+      { outcome, amount },
+    );
+    if (!delivery) {
+      throw requestError(
+        "The mock provider no longer knows this order (server restarted?)",
+        409,
+      );
+    }
+    return this.handleWebhook("mock", delivery.body, delivery.headers);
+  }
+}
+
+export default new PaymentGatewayService();
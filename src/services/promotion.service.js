@@ -0,0 +1,627 @@
+import Class from "../models/class.model.js";
+import Subject from "../models/subject.model.js";
+import Student from "../models/student.model.js";
+import Result from "../models/result.model.js";
+import Teacher from "../models/teacher.model.js";
+import PromotionRun from "../models/promotionRun.model.js";
+import academicYearService from "./academicYear.service.js";
+
+const YEAR_PATTERN = /^(\d{4})-(\d{4})$/;
+const DEFAULT_PASS_PERCENTAGE = 33;
+const DECISIONS = ["promote", "retain", "graduate", "review"];
+const ROLL_NUMBER_ORDERS = ["name", "rank", "previous"];
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const parseYear = (value, label) => {
+  const match = YEAR_PATTERN.exec(value || "");
+  if (!match || Number(match[2]) !== Number(match[1]) + 1) {
+    throw requestError(`${label} must look like "2025-2026"`);
+  }
+  return Number(match[1]);
+};
+
+const classKey = (name, section) => `${name.toLowerCase()}|${section}`;
+const classLabel = (name, section) => `${name} - ${section}`;
+
+// "Class 9" → 9, "Grade 10" → 10, "Nursery" → null
+const gradeNumber = (name) => {
+  const match = /(\d+)\s*$/.exec(name);
+  return match ? Number(match[1]) : null;
+};
+
+// "Class 9" → "Class 10"
+const incrementGrade = (name) =>
+  name.replace(
+    /(\d+)(\s*)$/,
+    (_, grade, space) => `${Number(grade) + 1}${space}`,
+  );
+
+// Subject codes are globally unique, so clones carry the new start year:
+// "MATH9A" → "MATH9A-2026", "MATH9A-2026" → "MATH9A-2027"
+const cloneSubjectCode = (code, toYearStart) =>
+  `${code.replace(/-\d{4}$/, "")}-${toYearStart}`;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class PromotionService {
+  /**
+   * Build the rollover plan without writing anything.
+   *
+   * Options:
+   * - fromYear, toYear: "2025-2026" → "2026-2027"
+   * - passPercentage: minimum final-exam percentage to move up (default 33)
+   * - requireAllSubjects: also require the pass mark in every subject (default true)
+   * - examType: exam whose results decide promotion (default "final")
+   * - classMapping: { "Class 10": null, "UKG": "Class 1" } — next class name
+   *   per class name; null marks a graduating class. Numbered classes move
+   *   to the next number by default and the highest grade graduates.
+   * - graduatingClasses: class names that graduate (overrides the default)
+   * - overrides: { [studentId]: "promote" | "retain" | "graduate" | "review" }
+   * - rollNumberOrder: "name" (default), "rank" or "previous"
+   * - carryOverTeachers: keep class and subject teachers on the clones
+   */
+  async buildPlan(options = {}) {
+    const { fromYear, toYear } = options;
+    const fromYearStart = parseYear(fromYear, "fromYear");
+    const toYearStart = parseYear(toYear, "toYear");
+    if (toYearStart <= fromYearStart) {
+      throw requestError("toYear must come after fromYear");
+    }
+    await academicYearService.assertKnownYear(fromYear);
+    await academicYearService.assertKnownYear(toYear);
+
+    const passPercentage =
+      options.passPercentage === undefined
+        ? DEFAULT_PASS_PERCENTAGE
+        : Number(options.passPercentage);
+    if (
+      Number.isNaN(passPercentage) ||
+      passPercentage < 0 ||
+      passPercentage > 100
+    ) {
+      throw requestError("passPercentage must be between 0 and 100");
+    }
+
+    const rollNumberOrder = options.rollNumberOrder || "name";
+    if (!ROLL_NUMBER_ORDERS.includes(rollNumberOrder)) {
+      throw requestError(
+        `rollNumberOrder must be one of: ${ROLL_NUMBER_ORDERS.join(", ")}`,
+      );
+    }
+
+    const settings = {
+      passPercentage,
+      requireAllSubjects: options.requireAllSubjects !== false,
+      examType: options.examType || "final",
+      classMapping: options.classMapping || {},
+      graduatingClasses: options.graduatingClasses || null,
+      overrides: options.overrides || {},
+      rollNumberOrder,
+      carryOverTeachers: Boolean(options.carryOverTeachers),
+    };
+
+    const errors = [];
+    const warnings = [];
+
+    // ---- Classes and subjects to clone ----
+    const sourceClasses = await Class.find({
+      academicYear: fromYear,
+      isActive: true,
+    }).populate("subjects");
+
+    if (sourceClasses.length === 0) {
+      throw requestError(
+        `No active classes found for academic year ${fromYear}`,
+        404,
+      );
+    }
+
+    const existingTargets = await Class.find({ academicYear: toYear });
+    const existingTargetByKey = new Map(
+      existingTargets.map((c) => [classKey(c.name, c.section), c]),
+    );
+
+    const existingTargetSubjects = await Subject.find({
+      academicYear: toYear,
+      classId: { $in: existingTargets.map((c) => c._id) },
+    }).select("name code classId");
+    const existingSubjectByKey = new Map(
+      existingTargetSubjects.map((s) => [
+        `${s.classId}|${s.name.toLowerCase()}`,
+        s,
+      ]),
+    );
+
+    const classPlans = [];
+    const classPlanByKey = new Map();
+    const newSubjectCodes = [];
+
+    for (const source of sourceClasses) {
+      const key = classKey(source.name, source.section);
+      const existing = existingTargetByKey.get(key) || null;
+
+      const subjects = source.subjects
+        .filter((subject) => subject && subject.isActive)
+        .map((subject) => {
+          const existingSubject = existing
+            ? existingSubjectByKey.get(
+                `${existing._id}|${subject.name.toLowerCase()}`,
+              )
+            : null;
+          const plan = {
+            sourceSubjectId: subject._id,
+            name: subject.name,
+            code: existingSubject
+              ? existingSubject.code
+              : cloneSubjectCode(subject.code, toYearStart),
+            action: existingSubject ? "exists" : "create",
+            subjectId: existingSubject?._id || null,
+            description: subject.description,
+            credits: subject.credits,
+            assignedTeacher: settings.carryOverTeachers
+              ? subject.assignedTeacher
+              : null,
+          };
+          if (!existingSubject) newSubjectCodes.push(plan.code);
+          return plan;
+        });
+
+      const plan = {
+        key,
+        sourceClassId: source._id,
+        name: source.name,
+        section: source.section,
+        action: existing ? "exists" : "create",
+        classId: existing?._id || null,
+        capacity: existing ? existing.capacity : source.capacity,
+        roomNumber: source.roomNumber,
+        classTeacher: settings.carryOverTeachers ? source.classTeacher : null,
+        subjects,
+        incomingStudents: 0,
+      };
+      classPlans.push(plan);
+      classPlanByKey.set(key, plan);
+    }
+
+    // Classes already set up in the new year without a counterpart
+    for (const [key, existing] of existingTargetByKey) {
+      if (classPlanByKey.has(key) || !existing.isActive) continue;
+      const plan = {
+        key,
+        sourceClassId: null,
+        name: existing.name,
+        section: existing.section,
+        action: "exists",
+        classId: existing._id,
+        capacity: existing.capacity,
+        subjects: [],
+        incomingStudents: 0,
+      };
+      classPlans.push(plan);
+      classPlanByKey.set(key, plan);
+    }
+
+    const takenCodes = await Subject.find({
+      code: { $in: newSubjectCodes },
+    }).select("code");
+    for (const { code } of takenCodes) {
+      errors.push(`Subject code "${code}" already exists`);
+    }
+
+    // ---- Where each class moves to ----
+    const mapping = new Map(
+      Object.entries(settings.classMapping).map(([name, next]) => [
+        name.toLowerCase(),
+        next,
+      ]),
+    );
+
+    let graduating;
+    if (Array.isArray(settings.graduatingClasses)) {
+      graduating = new Set(
+        settings.graduatingClasses.map((name) => name.toLowerCase()),
+      );
+    } else {
+      const grades = sourceClasses
+        .map((c) => gradeNumber(c.name))
+        .filter((grade) => grade !== null);
+      const highest = grades.length > 0 ? Math.max(...grades) : null;
+      graduating = new Set(
+        sourceClasses
+          .filter((c) => highest !== null && gradeNumber(c.name) === highest)
+          .map((c) => c.name.toLowerCase()),
+      );
+    }
+
+    // Returns the next class name, null when graduating, undefined if unknown
+    const nextClassName = (name) => {
+      const lower = name.toLowerCase();
+      if (mapping.has(lower)) return mapping.get(lower) || null;
+      if (graduating.has(lower)) return null;
+      if (gradeNumber(name) === null) return undefined;
+      return incrementGrade(name);
+    };
+
+    for (const source of sourceClasses) {
+      if (nextClassName(source.name) === undefined) {
+        warnings.push(
+          `No next class configured for "${source.name}"; passing students need review`,
+        );
+      }
+    }
+
+    // ---- Student decisions from final results ----
+    const sourceById = new Map(sourceClasses.map((c) => [c._id.toString(), c]));
+    const students = await Student.find({
+      academicYear: fromYear,
+      enrollmentStatus: "active",
+      classId: { $in: sourceClasses.map((c) => c._id) },
+    }).populate("userId", "name");
+
+    const results = await Result.find({
+      academicYear: fromYear,
+      examType: settings.examType,
+      studentId: { $in: students.map((s) => s._id) },
+    }).select("studentId marksObtained maxMarks");
+
+    const totals = new Map();
+    for (const result of results) {
+      const id = result.studentId.toString();
+      const total = totals.get(id) || { obtained: 0, max: 0, failed: 0 };
+      total.obtained += result.marksObtained;
+      total.max += result.maxMarks;
+      if ((result.marksObtained / result.maxMarks) * 100 < passPercentage) {
+        total.failed += 1;
+      }
+      totals.set(id, total);
+    }
+
+    const studentIds = new Set(students.map((s) => s._id.toString()));
+    for (const [studentId, decision] of Object.entries(settings.overrides)) {
+      if (!DECISIONS.includes(decision)) {
+        errors.push(
+          `Invalid override "${decision}" for student ${studentId}; use one of: ${DECISIONS.join(", ")}`,
+        );
+      } else if (!studentIds.has(studentId)) {
+        warnings.push(
+          `Override for student ${studentId} ignored: not an active student in ${fromYear}`,
+        );
+      }
+    }
+
+    const entries = students.map((student) => {
+      const id = student._id.toString();
+      const source = sourceById.get(student.classId.toString());
+      const total = totals.get(id);
+      const percentage = total
+        ? round2((total.obtained / total.max) * 100)
+        : null;
+      const next = nextClassName(source.name);
+
+      let decision;
+      let reason = null;
+      const override = settings.overrides[id];
+
+      if (DECISIONS.includes(override)) {
+        decision = override;
+        reason = "Manual override";
+      } else if (!total) {
+        decision = "review";
+        reason = `No ${settings.examType} results`;
+      } else if (percentage < passPercentage) {
+        decision = "retain";
+        reason = `Scored ${percentage}% (pass mark ${passPercentage}%)`;
+      } else if (settings.requireAllSubjects && total.failed > 0) {
+        decision = "retain";
+        reason = `Below pass mark in ${total.failed} subject(s)`;
+      } else if (next === null) {
+        decision = "graduate";
+      } else if (next === undefined) {
+        decision = "review";
+        reason = `No next class configured for "${source.name}"`;
+      } else {
+        decision = "promote";
+      }
+
+      let target = null;
+      if (decision === "promote") {
+        if (!next) {
+          decision = "review";
+          reason = `"${source.name}" has no next class to promote into`;
+        } else {
+          target = classPlanByKey.get(classKey(next, source.section)) || null;
+          if (!target) {
+            decision = "review";
+            reason = `${classLabel(next, source.section)} does not exist for ${toYear}`;
+          }
+        }
+      } else if (decision === "retain") {
+        target = classPlanByKey.get(classKey(source.name, source.section));
+      }
+
+      if (target) target.incomingStudents += 1;
+
+      return {
+        studentId: student._id,
+        name: student.userId?.name || null,
+        admissionNumber: student.admissionNumber,
+        decision,
+        reason,
+        percentage,
+        fromClassId: source._id,
+        fromClass: classLabel(source.name, source.section),
+        toClassKey: target?.key || null,
+        toClassId: target?.classId || null,
+        toClass: target ? classLabel(target.name, target.section) : null,
+        previousRollNumber: student.rollNumber,
+        rollNumber: null,
+      };
+    });
+
+    // ---- Roll numbers: continue after anyone already enrolled for toYear ----
+    const alreadyEnrolled = await Student.find({
+      academicYear: toYear,
+      classId: { $in: existingTargets.map((c) => c._id) },
+    }).select("classId rollNumber");
+
+    const enrolledByClass = new Map();
+    for (const student of alreadyEnrolled) {
+      const id = student.classId.toString();
+      const info = enrolledByClass.get(id) || { count: 0, maxRoll: 0 };
+      info.count += 1;
+      info.maxRoll = Math.max(info.maxRoll, parseInt(student.rollNumber) || 0);
+      enrolledByClass.set(id, info);
+    }
+
+    const compare = {
+      name: (a, b) => (a.name || "").localeCompare(b.name || ""),
+      rank: (a, b) =>
+        (b.percentage ?? -1) - (a.percentage ?? -1) ||
+        (a.name || "").localeCompare(b.name || ""),
+      previous: (a, b) =>
+        (parseInt(a.previousRollNumber) || Infinity) -
+          (parseInt(b.previousRollNumber) || Infinity) ||
+        (a.name || "").localeCompare(b.name || ""),
+    }[rollNumberOrder];
+
+    for (const plan of classPlans) {
+      const incoming = entries
+        .filter((entry) => entry.toClassKey === plan.key)
+        .sort(compare);
+      const enrolled = plan.classId
+        ? enrolledByClass.get(plan.classId.toString())
+        : null;
+      const start = enrolled?.maxRoll || 0;
+      incoming.forEach((entry, index) => {
+        entry.rollNumber = String(start + index + 1);
+      });
+
+      const total = (enrolled?.count || 0) + incoming.length;
+      if (total > plan.capacity) {
+        warnings.push(
+          `${classLabel(plan.name, plan.section)} will have ${total} students (capacity ${plan.capacity})`,
+        );
+      }
+    }
+
+    const summary = {
+      classesToCreate: classPlans.filter((c) => c.action === "create").length,
+      subjectsToCreate: classPlans.reduce(
+        (sum, c) =>
+          sum + c.subjects.filter((s) => s.action === "create").length,
+        0,
+      ),
+      students: entries.length,
+      promote: 0,
+      retain: 0,
+      graduate: 0,
+      review: 0,
+    };
+    for (const entry of entries) summary[entry.decision] += 1;
+
+    return {
+      fromYear,
+      toYear,
+      settings,
+      summary,
+      errors,
+      warnings,
+      classes: classPlans,
+      students: entries,
+    };
+  }
+
+  // Preview the rollover (same plan the commit would execute)
+  async previewPromotion(options) {
+    return this.buildPlan(options);
+  }
+
+  /**
+   * Execute the rollover: clone classes and subjects into toYear, move
+   * promoted/retained students with new roll numbers, mark graduates as
+   * passed. Students left for review are not touched.
+   */
+  async commitPromotion(options, executedBy = null) {
+    const plan = await this.buildPlan(options);
+
+    if (plan.errors.length > 0) {
+      const error = requestError(
+        "The promotion plan has errors; fix them and preview again",
+        409,
+      );
+      error.details = plan.errors;
+      throw error;
+    }
+
+    const running = await PromotionRun.exists({
+      fromYear: plan.fromYear,
+      toYear: plan.toYear,
+      status: "running",
+    });
+    if (running) {
+      throw requestError("A promotion for these years is already running", 409);
+    }
+
+    const run = await PromotionRun.create({
+      fromYear: plan.fromYear,
+      toYear: plan.toYear,
+      options: plan.settings,
+      executedBy,
+    });
+
+    try {
+      const summary = {
+        classesCreated: 0,
+        subjectsCreated: 0,
+        promoted: 0,
+        retained: 0,
+        graduated: 0,
+        review: 0,
+      };
+
+      // Clone classes and their subjects
+      const classIdByKey = new Map();
+      for (const classPlan of plan.classes) {
+        let classId = classPlan.classId;
+
+        if (!classId) {
+          const created = await Class.create({
+            name: classPlan.name,
+            section: classPlan.section,
+            academicYear: plan.toYear,
+            capacity: classPlan.capacity,
+            roomNumber: classPlan.roomNumber,
+            classTeacher: classPlan.classTeacher,
+          });
+          classId = created._id;
+          summary.classesCreated += 1;
+
+          if (classPlan.classTeacher) {
+            await Teacher.findByIdAndUpdate(classPlan.classTeacher, {
+              $addToSet: { assignedClasses: classId },
+            });
+          }
+        }
+        classIdByKey.set(classPlan.key, classId);
+
+        for (const subjectPlan of classPlan.subjects) {
+          if (subjectPlan.action !== "create") continue;
+
+          const subject = await Subject.create({
+            name: subjectPlan.name,
+            code: subjectPlan.code,
+            academicYear: plan.toYear,
+            classId,
+            description: subjectPlan.description,
+            credits: subjectPlan.credits,
+            assignedTeacher: subjectPlan.assignedTeacher,
+          });
+          summary.subjectsCreated += 1;
+
+          await Class.findByIdAndUpdate(classId, {
+            $addToSet: { subjects: subject._id },
+          });
+          if (subjectPlan.assignedTeacher) {
+            await Teacher.findByIdAndUpdate(subjectPlan.assignedTeacher, {
+              $addToSet: { assignedSubjects: subject._id },
+            });
+          }
+        }
+      }
+
+      // Move students
+      const outcomes = [];
+      for (const entry of plan.students) {
+        const toClassId = entry.toClassKey
+          ? classIdByKey.get(entry.toClassKey)
+          : null;
+
+        if (entry.decision === "promote" || entry.decision === "retain") {
+          const toClass = plan.classes.find((c) => c.key === entry.toClassKey);
+          await Student.updateOne(
+            { _id: entry.studentId, academicYear: plan.fromYear },
+            {
+              $set: {
+                classId: toClassId,
+                section: toClass.section,
+                rollNumber: entry.rollNumber,
+                academicYear: plan.toYear,
+              },
+            },
+          );
+          summary[entry.decision === "promote" ? "promoted" : "retained"] += 1;
+        } else if (entry.decision === "graduate") {
+          await Student.updateOne(
+            { _id: entry.studentId, academicYear: plan.fromYear },
+            { $set: { enrollmentStatus: "passed" } },
+          );
+          summary.graduated += 1;
+        } else {
+          summary.review += 1;
+        }
+
+        outcomes.push({
+          studentId: entry.studentId,
+          decision: entry.decision,
+          fromClassId: entry.fromClassId,
+          toClassId,
+          previousRollNumber: entry.previousRollNumber,
+          rollNumber: entry.rollNumber,
+          percentage: entry.percentage,
+          reason: entry.reason,
+        });
+      }
+
+      run.summary = summary;
+      run.students = outcomes;
+      run.status = "completed";
+      run.completedAt = new Date();
+      await run.save();
+
+      return run;
+    } catch (error) {
+      run.status = "failed";
+      run.error = error.message;
+      await run.save();
+      throw error;
+    }
+  }
+
+  // List past promotion runs (without per-student detail)
+  async getPromotionRuns(filters = {}) {
+    const query = {};
+    if (filters.fromYear) query.fromYear = filters.fromYear;
+    if (filters.toYear) query.toYear = filters.toYear;
+    if (filters.status) query.status = filters.status;
+
+    return await PromotionRun.find(query)
+      .select("-students")
+      .populate("executedBy", "name email")
+      .sort({ createdAt: -1 });
+  }
+
+  // Get one promotion run with per-student outcomes
+  async getPromotionRunById(runId) {
+    const run = await PromotionRun.findById(runId)
+      .populate("executedBy", "name email")
+      .populate({
+        path: "students.studentId",
+        select: "admissionNumber userId",
+        populate: { path: "userId", select: "name" },
+      })
+      .populate("students.fromClassId", "name section academicYear")
+      .populate("students.toClassId", "name section academicYear");
+
+    if (!run) {
+      throw requestError("Promotion run not found", 404);
+    }
+    return run;
+  }
+}
+
+export default new PromotionService();
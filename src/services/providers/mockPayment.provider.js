@@ -0,0 +1,126 @@
+import crypto from "crypto";
+
+/**
+ * Mock payment provider for development and tests (never available
+ * when NODE_ENV is "production"). Orders, captures and
+ * settlements live in memory; `simulatePayment` produces the signed
+ * webhook a real provider would send.
+ *
+ * Every provider implements:
+ * - createOrder({ amount, currency, receipt }) -> { orderId, checkoutUrl }
+ * - verifyWebhook(rawBody, headers) -> boolean
+ * - parseWebhook(rawBody) -> { eventId, type, orderId, paymentId, amount, paidAt, reason }
+ * - fetchSettlements({ from, to }) -> [{ settlementId, orderId, paymentId, amount, providerFee, settledAt }]
+ */
+
+const SIGNATURE_HEADER = "x-mock-signature";
+
+// Share of each capture the mock keeps as its fee
+const MOCK_FEE_RATE = 0.02;
+
+const randomId = (prefix) =>
+  `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+
+// No default secret: without one, anyone could sign a capture
+const webhookSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    const error = new Error(
+      "Payment webhooks are not configured (PAYMENT_WEBHOOK_SECRET is not set)",
+    );
+    error.statusCode = 503;
+    throw error;
+  }
+  return secret;
+};
+
+const sign = (body) =>
+  crypto.createHmac("sha256", webhookSecret()).update(body).digest("hex");
+
+class MockPaymentProvider {
+  constructor() {
+    this.name = "mock";
+    this.orders = new Map();
+    this.settlements = [];
+  }
+
+  async createOrder({ amount, currency, receipt }) {
+    const orderId = randomId("order");
+    this.orders.set(orderId, { amount, currency, receipt, status: "created" });
+    return {
+      orderId,
+      checkoutUrl: `${process.env.CLIENT_URL || "http://localhost:3000"}/pay/mock/${orderId}`,
+    };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const expected = Buffer.from(sign(rawBody || ""));
+    const signature = headers[SIGNATURE_HEADER];
+    if (!rawBody || typeof signature !== "string") return false;
+
+    const received = Buffer.from(signature);
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
+  }
+
+  parseWebhook(rawBody) {
+    const event = JSON.parse(rawBody.toString());
+    return {
+      eventId: event.id,
+      type: event.type,
+      orderId: event.data?.orderId,
+      paymentId: event.data?.paymentId || null,
+      amount: event.data?.amount ?? null,
+      paidAt: event.data?.paidAt ? new Date(event.data.paidAt) : null,
+      reason: event.data?.reason || null,
+    };
+  }
+
+  async fetchSettlements({ from, to } = {}) {
+    return this.settlements.filter(
+      (s) => (!from || s.settledAt >= from) && (!to || s.settledAt <= to),
+    );
+  }
+
+  /**
+   * Complete (or fail) a checkout the way a payer would, and return the
+   * signed webhook delivery. Captures are settled immediately.
+   */
+  simulatePayment(orderId, { outcome = "captured", amount } = {}) {
+    const order = this.orders.get(orderId);
+    if (!order) return null;
+
+    const paidAt = new Date();
+    const data = { orderId };
+    if (outcome === "captured") {
+      data.paymentId = randomId("pay");
+      data.amount = amount ?? order.amount;
+      data.paidAt = paidAt.toISOString();
+      order.status = "captured";
+      this.settlements.push({
+        settlementId: randomId("setl"),
+        orderId,
+        paymentId: data.paymentId,
+        amount: data.amount,
+        providerFee: Math.round(data.amount * MOCK_FEE_RATE * 100) / 100,
+        settledAt: paidAt,
+      });
+    } else {
+      data.reason = "Payment declined by the mock provider";
+      order.status = "failed";
+    }
+
+    const body = Buffer.from(
+      JSON.stringify({
+        id: randomId("evt"),
+        type: outcome === "captured" ? "payment.captured" : "payment.failed",
+        data,
+      }),
+    );
+    return { body, headers: { [SIGNATURE_HEADER]: sign(body) } };
+  }
+}
+
+export default new MockPaymentProvider();
@@ -0,0 +1,280 @@
+import Result from "../models/result.model.js";
+import Student from "../models/student.model.js";
+import Subject from "../models/subject.model.js";
+import Class from "../models/class.model.js";
+import gradingSchemeService from "./gradingScheme.service.js";
+import academicYearService from "./academicYear.service.js";
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round2 = (value) =>
+  value === null || value === undefined ? null : Math.round(value * 100) / 100;
+
+// Weight of an exam type; without configured weights all exams count equally
+const weightOf = (weights, examType) => {
+  if (!weights) return 1;
+  return (
+    (typeof weights.get === "function"
+      ? weights.get(examType)
+      : weights[examType]) ?? 0
+  );
+};
+
+class ReportCardService {
+  /**
+   * Combine one subject's exam rows into a weighted percentage.
+   * Weights are normalized over the exams that have been held, so a
+   * term report is not dragged down by the final that is still ahead.
+   */
+  combineExams(rows, weights) {
+    const exams = rows.map((row) => ({
+      examType: row.examType,
+      marksObtained: row.marksObtained,
+      maxMarks: row.maxMarks,
+      percentage: (row.marksObtained / row.maxMarks) * 100,
+      weight: weightOf(weights, row.examType),
+      remarks: row.remarks || null,
+    }));
+
+    const weightTotal = exams.reduce((sum, exam) => sum + exam.weight, 0);
+    const percentage =
+      weightTotal > 0
+        ? exams.reduce((sum, exam) => sum + exam.weight * exam.percentage, 0) /
+          weightTotal
+        : null;
+
+    const held = new Set(exams.map((exam) => exam.examType));
+    const missingExamTypes = weights
+      ? [...(weights.keys?.() || Object.keys(weights))].filter(
+          (examType) => weightOf(weights, examType) > 0 && !held.has(examType),
+        )
+      : [];
+
+    return {
+      exams: exams.map((exam) => ({
+        ...exam,
+        percentage: round2(exam.percentage),
+      })),
+      marksObtained: exams.reduce((sum, exam) => sum + exam.marksObtained, 0),
+      maxMarks: exams.reduce((sum, exam) => sum + exam.maxMarks, 0),
+      percentage,
+      missingExamTypes,
+    };
+  }
+
+  /**
+   * Per-subject totals plus credit-weighted overall percentage and GPA
+   * for one student's result rows
+   */
+  summarize(rows, { subjectsById, scheme, weights }) {
+    const rowsBySubject = new Map();
+    for (const row of rows) {
+      const key = row.subjectId.toString();
+      if (!rowsBySubject.has(key)) rowsBySubject.set(key, []);
+      rowsBySubject.get(key).push(row);
+    }
+
+    const subjects = [];
+    for (const [subjectId, subjectRows] of rowsBySubject) {
+      const subject = subjectsById.get(subjectId);
+      const combined = this.combineExams(subjectRows, weights);
+      const graded =
+        combined.percentage === null
+          ? { grade: null, gradePoint: null, isPassing: null }
+          : gradingSchemeService.gradeFor(combined.percentage, scheme);
+
+      subjects.push({
+        subjectId,
+        name: subject?.name || null,
+        code: subject?.code || null,
+        credits: subject?.credits ?? 1,
+        exams: combined.exams,
+        missingExamTypes: combined.missingExamTypes,
+        marksObtained: combined.marksObtained,
+        maxMarks: combined.maxMarks,
+        percentage: round2(combined.percentage),
+        grade: graded.grade,
+        gradePoint: graded.gradePoint,
+        isPassing: graded.isPassing,
+        _percentage: combined.percentage,
+      });
+    }
+
+    subjects.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+
+    // Credit-weighted overall (subjects with 0 credits are shown, not counted)
+    const counted = subjects.filter(
+      (subject) => subject._percentage !== null && subject.credits > 0,
+    );
+    const totalCredits = counted.reduce((sum, s) => sum + s.credits, 0);
+
+    let percentage = null;
+    let gpa = null;
+    if (totalCredits > 0) {
+      percentage =
+        counted.reduce((sum, s) => sum + s.credits * s._percentage, 0) /
+        totalCredits;
+      if (counted.every((s) => s.gradePoint !== null)) {
+        gpa =
+          counted.reduce((sum, s) => sum + s.credits * s.gradePoint, 0) /
+          totalCredits;
+      }
+    }
+
+    const overallGrade =
+      percentage === null
+        ? { grade: null }
+        : gradingSchemeService.gradeFor(percentage, scheme);
+
+    return {
+      subjects: subjects.map(({ _percentage, ...subject }) => subject),
+      overall: {
+        marksObtained: subjects.reduce((sum, s) => sum + s.marksObtained, 0),
+        maxMarks: subjects.reduce((sum, s) => sum + s.maxMarks, 0),
+        totalCredits,
+        percentage: round2(percentage),
+        grade: overallGrade.grade,
+        gpa: round2(gpa),
+        isPassing:
+          subjects.length > 0 && subjects.every((s) => s.isPassing !== false),
+      },
+      _percentage: percentage,
+    };
+  }
+
+  /**
+   * Build a student's report card for an academic year.
+   *
+   * Options:
+   * - academicYear: defaults to the student's year
+   * - examTypes: limit to these exam types (e.g. a term's exams)
+   * - publishedOnly: only count published results (students/parents)
+   */
+  async buildReportCard(studentId, options = {}) {
+    const student = await this.getStudent(studentId);
+
+    const academicYear = options.academicYear
+      ? await academicYearService.assertKnownYear(options.academicYear)
+      : student.academicYear;
+
+    return this.compileReportCard(student, academicYear, options);
+  }
+
+  async getStudent(studentId) {
+    const student = await Student.findById(studentId)
+      .populate("userId", "name email")
+      .populate("classId", "name section academicYear");
+    if (!student) {
+      throw requestError("Student not found", 404);
+    }
+    return student;
+  }
+
+  /**
+   * Report card for a loaded student and a year taken from stored data
+   * (no registry check, so transcripts can include legacy years)
+   */
+  async compileReportCard(student, academicYear, options = {}) {
+    const studentId = student._id;
+    const filter = { academicYear };
+    if (options.examTypes?.length > 0) {
+      filter.examType = { $in: options.examTypes };
+    }
+    if (options.publishedOnly) filter.isPublished = true;
+
+    // The class the student sat these results in (for the year requested)
+    let classId =
+      academicYear === student.academicYear && student.classId
+        ? student.classId._id
+        : null;
+    if (!classId) {
+      const anyResult = await Result.findOne({ ...filter, studentId }).select(
+        "classId",
+      );
+      classId = anyResult?.classId || null;
+    }
+
+    const rows = await Result.find(
+      classId ? { ...filter, classId } : { ...filter, studentId },
+    ).select("studentId subjectId examType marksObtained maxMarks remarks");
+
+    const scheme = await gradingSchemeService.resolveScheme({
+      classId,
+      academicYear,
+    });
+    const weights = scheme?.examWeights?.size > 0 ? scheme.examWeights : null;
+
+    const subjects = await Subject.find({
+      _id: { $in: [...new Set(rows.map((row) => row.subjectId.toString()))] },
+    }).select("name code credits");
+    const subjectsById = new Map(subjects.map((s) => [s._id.toString(), s]));
+
+    // Summarize every classmate to rank the class
+    const rowsByStudent = new Map();
+    for (const row of rows) {
+      const key = row.studentId.toString();
+      if (!rowsByStudent.has(key)) rowsByStudent.set(key, []);
+      rowsByStudent.get(key).push(row);
+    }
+
+    const context = { subjectsById, scheme, weights };
+    const summaries = new Map(
+      [...rowsByStudent].map(([id, studentRows]) => [
+        id,
+        this.summarize(studentRows, context),
+      ]),
+    );
+
+    const own =
+      summaries.get(studentId.toString()) || this.summarize([], context);
+
+    // Competition ranking ("1224") by overall percentage
+    const ranked = [...summaries.values()]
+      .map((summary) => summary._percentage)
+      .filter((percentage) => percentage !== null);
+    const rank =
+      own._percentage === null
+        ? null
+        : {
+            position:
+              ranked.filter((percentage) => percentage > own._percentage)
+                .length + 1,
+            outOf: ranked.length,
+          };
+
+    const classDoc =
+      classId && student.classId?._id.equals(classId)
+        ? student.classId
+        : await Class.findById(classId).select("name section");
+
+    return {
+      student: {
+        id: student._id,
+        name: student.userId?.name || null,
+        admissionNumber: student.admissionNumber,
+        rollNumber: student.rollNumber,
+        class: classDoc ? `${classDoc.name} - ${classDoc.section}` : null,
+      },
+      academicYear,
+      classId,
+      examTypes: [
+        ...new Set(
+          own.subjects.flatMap((s) => s.exams.map((exam) => exam.examType)),
+        ),
+      ],
+      examWeights: weights ? Object.fromEntries(weights) : null,
+      gradingScheme: scheme
+        ? { id: scheme._id, name: scheme.name, type: scheme.type }
+        : null,
+      subjects: own.subjects,
+      overall: own.overall,
+      rank,
+    };
+  }
+}
+
+export default new ReportCardService();
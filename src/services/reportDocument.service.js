@@ -0,0 +1,428 @@
+import crypto from "crypto";
+import { ZipArchive } from "archiver";
+import Result from "../models/result.model.js";
+import Student from "../models/student.model.js";
+import Class from "../models/class.model.js";
+import AcademicYear from "../models/academicYear.model.js";
+import IssuedDocument from "../models/issuedDocument.model.js";
+import reportCardService from "./reportCard.service.js";
+import attendanceService from "./attendance.service.js";
+import academicYearService from "./academicYear.service.js";
+import {
+  renderPdf,
+  drawHeader,
+  drawHeading,
+  drawDetails,
+  drawTable,
+  drawText,
+  drawFooter,
+} from "../utils/pdfLayout.js";
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatNumber = (value, suffix = "") =>
+  value === null || value === undefined ? "-" : `${value}${suffix}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+
+const safeFileName = (value) =>
+  String(value)
+    .replace(/[^a-zA-Z0-9._-]+/g, "-")
+    .replace(/-+/g, "-");
+
+const verificationUrl = (code) =>
+  `${process.env.CLIENT_URL || "http://localhost:3000"}/verify/${code}`;
+
+// "RC-7F3A-91C2-0B" style codes, checked for uniqueness by the index
+const generateVerificationCode = (prefix) => {
+  const raw = crypto.randomBytes(5).toString("hex").toUpperCase();
+  return `${prefix}-${raw.slice(0, 4)}-${raw.slice(4, 8)}-${raw.slice(8)}`;
+};
+
+// Teacher remarks per subject ("Mathematics: Excellent progress")
+const collectRemarks = (subjects) =>
+  subjects.flatMap((subject) =>
+    [...new Set(subject.exams.map((exam) => exam.remarks).filter(Boolean))].map(
+      (remark) => `${subject.name || subject.code}: ${remark}`,
+    ),
+  );
+
+const subjectColumns = [
+  { label: "Subject", width: 0.34 },
+  { label: "Credits", width: 0.1, align: "right" },
+  { label: "Marks", width: 0.18, align: "right" },
+  { label: "%", width: 0.14, align: "right" },
+  { label: "Grade", width: 0.12, align: "center" },
+  { label: "GP", width: 0.12, align: "right" },
+];
+
+const subjectRows = (subjects) =>
+  subjects.map((subject) => [
+    subject.name || subject.code,
+    subject.credits,
+    `${subject.marksObtained}/${subject.maxMarks}`,
+    formatNumber(subject.percentage),
+    subject.grade,
+    formatNumber(subject.gradePoint),
+  ]);
+
+class ReportDocumentService {
+  // Cumulative figures of a transcript, weighted by credits across years
+  cumulativeFigures(sections) {
+    const allSubjects = sections.flatMap(({ card }) =>
+      card.subjects.filter((s) => s.percentage !== null && s.credits > 0),
+    );
+    const totalCredits = allSubjects.reduce((sum, s) => sum + s.credits, 0);
+    const weighted = (pick) =>
+      Math.round(
+        (allSubjects.reduce((sum, s) => sum + s.credits * pick(s), 0) /
+          totalCredits) *
+          100,
+      ) / 100;
+
+    return {
+      totalCredits,
+      percentage: totalCredits > 0 ? weighted((s) => s.percentage) : null,
+      gpa:
+        totalCredits > 0 && allSubjects.every((s) => s.gradePoint !== null)
+          ? weighted((s) => s.gradePoint)
+          : null,
+    };
+  }
+
+  /**
+   * Work out what a report card covers: a term (its exam types and
+   * dates), a single exam type, or the whole academic year
+   */
+  async resolveScope(student, { academicYear, examType, term }) {
+    const year = academicYear
+      ? await academicYearService.assertKnownYear(academicYear)
+      : student.academicYear;
+    const yearDoc = await AcademicYear.findOne({ name: year });
+
+    if (term) {
+      const termDoc = yearDoc?.terms.find(
+        (t) => t.name.toLowerCase() === String(term).toLowerCase(),
+      );
+      if (!termDoc) {
+        throw requestError(`Term "${term}" not found in ${year}`, 404);
+      }
+      if (termDoc.examTypes.length === 0) {
+        throw requestError(`Term "${termDoc.name}" has no exam types set`);
+      }
+      return {
+        academicYear: year,
+        examTypes: termDoc.examTypes,
+        label: termDoc.name,
+        startDate: termDoc.startDate,
+        endDate: termDoc.endDate,
+      };
+    }
+
+    return {
+      academicYear: year,
+      examTypes: examType ? [examType] : [],
+      label: examType || "Annual",
+      startDate: yearDoc?.startDate || null,
+      endDate: yearDoc?.endDate || null,
+    };
+  }
+
+  async issue(data) {
+    const prefix = data.documentType === "transcript" ? "TR" : "RC";
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        return await IssuedDocument.create({
+          ...data,
+          verificationCode: generateVerificationCode(prefix),
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    throw requestError("Could not allocate a verification code", 500);
+  }
+
+  /**
+   * Report card PDF for one exam type, one term or the full year
+   */
+  async generateReportCard(studentId, options = {}) {
+    const student = await reportCardService.getStudent(studentId);
+    const scope = await this.resolveScope(student, options);
+
+    const card = await reportCardService.compileReportCard(
+      student,
+      scope.academicYear,
+      { examTypes: scope.examTypes, publishedOnly: options.publishedOnly },
+    );
+    if (card.subjects.length === 0) {
+      throw requestError("No results available for this report card", 404);
+    }
+
+    const attendance = await attendanceService.getStudentSummary(student._id, {
+      startDate: scope.startDate,
+      endDate: scope.endDate,
+    });
+
+    const issued = await this.issue({
+      documentType: "report-card",
+      studentId: student._id,
+      academicYears: [scope.academicYear],
+      scope: scope.label,
+      summary: {
+        [scope.academicYear]: {
+          ...card.overall,
+          rank: card.rank,
+          attendancePercentage: attendance.attendancePercentage,
+        },
+      },
+      issuedBy: options.issuedBy || null,
+    });
+
+    const buffer = await renderPdf((doc) => {
+      drawHeader(
+        doc,
+        "Report Card",
+        `${scope.label} - Academic Year ${scope.academicYear}`,
+      );
+      drawDetails(doc, [
+        ["Student", card.student.name],
+        ["Admission No.", card.student.admissionNumber],
+        ["Class", card.student.class],
+        ["Roll No.", card.student.rollNumber],
+      ]);
+
+      drawHeading(doc, "Subjects");
+      drawTable(doc, subjectColumns, subjectRows(card.subjects));
+
+      drawHeading(doc, "Summary");
+      drawDetails(doc, [
+        ["Total", `${card.overall.marksObtained}/${card.overall.maxMarks}`],
+        ["Percentage", formatNumber(card.overall.percentage, "%")],
+        ["Grade", card.overall.grade],
+        ["GPA", formatNumber(card.overall.gpa)],
+        [
+          "Class Rank",
+          card.rank ? `${card.rank.position} of ${card.rank.outOf}` : "-",
+        ],
+        ["Result", card.overall.isPassing ? "Pass" : "Needs improvement"],
+      ]);
+
+      drawHeading(doc, "Attendance");
+      drawDetails(doc, [
+        ["Classes Held", attendance.totalClasses],
+        ["Attended", attendance.present + attendance.late],
+        ["Absent", attendance.absent],
+        ["Attendance", `${attendance.attendancePercentage}%`],
+      ]);
+
+      const remarks = collectRemarks(card.subjects);
+      if (remarks.length > 0) {
+        drawHeading(doc, "Teacher Remarks");
+        remarks.forEach((remark) => drawText(doc, remark));
+      }
+
+      drawFooter(
+        doc,
+        `Verification code ${issued.verificationCode} - ${verificationUrl(issued.verificationCode)} - Issued ${formatDate(issued.issuedAt)}`,
+      );
+    });
+
+    return {
+      buffer,
+      verificationCode: issued.verificationCode,
+      filename: safeFileName(
+        `report-card-${student.admissionNumber}-${scope.academicYear}-${scope.label}.pdf`,
+      ),
+    };
+  }
+
+  /**
+   * Multi-year transcript PDF covering every year the student has results
+   */
+  async generateTranscript(studentId, options = {}) {
+    const student = await reportCardService.getStudent(studentId);
+
+    const resultFilter = { studentId: student._id };
+    if (options.publishedOnly) resultFilter.isPublished = true;
+    const years = (await Result.distinct("academicYear", resultFilter)).sort();
+    if (years.length === 0) {
+      throw requestError("No results available for a transcript", 404);
+    }
+
+    const yearDocs = await AcademicYear.find({ name: { $in: years } });
+    const yearDocByName = new Map(yearDocs.map((y) => [y.name, y]));
+
+    const sections = [];
+    for (const year of years) {
+      const card = await reportCardService.compileReportCard(student, year, {
+        publishedOnly: options.publishedOnly,
+      });
+      const yearDoc = yearDocByName.get(year);
+      const attendance = yearDoc
+        ? await attendanceService.getStudentSummary(student._id, {
+            startDate: yearDoc.startDate,
+            endDate: yearDoc.endDate,
+          })
+        : null;
+      sections.push({ year, card, attendance });
+    }
+
+    const cumulative = this.cumulativeFigures(sections);
+
+    const issued = await this.issue({
+      documentType: "transcript",
+      studentId: student._id,
+      academicYears: years,
+      summary: {
+        ...Object.fromEntries(
+          sections.map(({ year, card, attendance }) => [
+            year,
+            {
+              ...card.overall,
+              rank: card.rank,
+              attendancePercentage: attendance?.attendancePercentage ?? null,
+            },
+          ]),
+        ),
+        cumulative,
+      },
+      issuedBy: options.issuedBy || null,
+    });
+
+    const buffer = await renderPdf((doc) => {
+      drawHeader(doc, "Academic Transcript", `${years[0]} to ${years.at(-1)}`);
+      drawDetails(doc, [
+        ["Student", student.userId?.name],
+        ["Admission No.", student.admissionNumber],
+        [
+          "Admission Date",
+          student.admissionDate ? formatDate(student.admissionDate) : null,
+        ],
+        ["Status", student.enrollmentStatus],
+      ]);
+
+      for (const { year, card, attendance } of sections) {
+        drawHeading(doc, `Academic Year ${year} - ${card.student.class || ""}`);
+        drawTable(doc, subjectColumns, subjectRows(card.subjects));
+        drawDetails(doc, [
+          ["Percentage", formatNumber(card.overall.percentage, "%")],
+          ["GPA", formatNumber(card.overall.gpa)],
+          ["Grade", card.overall.grade],
+          [
+            "Class Rank",
+            card.rank ? `${card.rank.position} of ${card.rank.outOf}` : "-",
+          ],
+          [
+            "Attendance",
+            attendance ? `${attendance.attendancePercentage}%` : "-",
+          ],
+        ]);
+
+        const remarks = collectRemarks(card.subjects);
+        if (remarks.length > 0) {
+          drawText(doc, "Teacher remarks", { bold: true });
+          remarks.forEach((remark) => drawText(doc, remark));
+        }
+      }
+
+      drawHeading(doc, "Cumulative");
+      drawDetails(doc, [
+        ["Credits", cumulative.totalCredits],
+        ["Percentage", formatNumber(cumulative.percentage, "%")],
+        ["Cumulative GPA", formatNumber(cumulative.gpa)],
+      ]);
+
+      drawFooter(
+        doc,
+        `Verification code ${issued.verificationCode} - ${verificationUrl(issued.verificationCode)} - Issued ${formatDate(issued.issuedAt)}`,
+      );
+    });
+
+    return {
+      buffer,
+      verificationCode: issued.verificationCode,
+      filename: safeFileName(`transcript-${student.admissionNumber}.pdf`),
+    };
+  }
+
+  /**
+   * Stream a zip of report cards for every active student of a class
+   */
+  async streamClassReportCards(classId, options, output) {
+    const classDoc = await Class.findById(classId);
+    if (!classDoc) {
+      throw requestError("Class not found", 404);
+    }
+
+    const students = await Student.find({
+      classId,
+      enrollmentStatus: "active",
+    }).sort({ rollNumber: 1 });
+    if (students.length === 0) {
+      throw requestError("No active students in this class", 404);
+    }
+
+    const archive = new ZipArchive({ zlib: { level: 9 } });
+    archive.pipe(output);
+
+    const skipped = [];
+    for (const student of students) {
+      try {
+        const { buffer, filename } = await this.generateReportCard(
+          student._id,
+          options,
+        );
+        archive.append(buffer, { name: filename });
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+        skipped.push(`${student.admissionNumber}: ${error.message}`);
+      }
+    }
+
+    if (skipped.length > 0) {
+      archive.append(skipped.join("\n"), { name: "skipped.txt" });
+    }
+
+    await archive.finalize();
+  }
+
+  // Look up an issued document by its verification code
+  async verifyDocument(code) {
+    const issued = await IssuedDocument.findOne({
+      verificationCode: String(code).toUpperCase(),
+    }).populate({
+      path: "studentId",
+      select: "admissionNumber userId",
+      populate: { path: "userId", select: "name" },
+    });
+
+    if (!issued) {
+      throw requestError("No document found for this verification code", 404);
+    }
+
+    return {
+      verificationCode: issued.verificationCode,
+      documentType: issued.documentType,
+      student: {
+        name: issued.studentId?.userId?.name || null,
+        admissionNumber: issued.studentId?.admissionNumber || null,
+      },
+      academicYears: issued.academicYears,
+      scope: issued.scope,
+      summary: issued.summary,
+      issuedAt: issued.issuedAt,
+    };
+  }
+}
+
+export default new ReportDocumentService();
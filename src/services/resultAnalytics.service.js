@@ -0,0 +1,536 @@
+import mongoose from "mongoose";
+import Result from "../models/result.model.js";
+import Student from "../models/student.model.js";
+import Class from "../models/class.model.js";
+import gradingSchemeService from "./gradingScheme.service.js";
+import academicYearService from "./academicYear.service.js";
+
+const DEFAULT_TOP_N = 5;
+const MAX_TOP_N = 50;
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toObjectId = (id, label) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw requestError(`Invalid ${label}`);
+  }
+  return new mongoose.Types.ObjectId(String(id));
+};
+
+const round2 = (value) =>
+  value === null || value === undefined ? null : Math.round(value * 100) / 100;
+
+// ---- Aggregation building blocks ----
+
+// Summary statistics of `value` for a $group stage
+const statsAccumulators = (value, passExpr) => ({
+  count: { $sum: 1 },
+  mean: { $avg: value },
+  stdDev: { $stdDevPop: value },
+  min: { $min: value },
+  max: { $max: value },
+  passed: { $sum: { $cond: [passExpr, 1, 0] } },
+  values: { $push: value },
+});
+
+// Median of the pushed `values` array (mean of the middle two when even)
+const medianExpr = {
+  $let: {
+    vars: {
+      sorted: { $sortArray: { input: "$values", sortBy: 1 } },
+      half: { $toInt: { $floor: { $divide: [{ $size: "$values" }, 2] } } },
+    },
+    in: {
+      $cond: [
+        { $eq: [{ $mod: [{ $size: "$$sorted" }, 2] }, 1] },
+        { $arrayElemAt: ["$$sorted", "$$half"] },
+        {
+          $avg: [
+            { $arrayElemAt: ["$$sorted", { $subtract: ["$$half", 1] }] },
+            { $arrayElemAt: ["$$sorted", "$$half"] },
+          ],
+        },
+      ],
+    },
+  },
+};
+
+// Replace the raw `values` array with the median
+const medianStages = [
+  { $addFields: { median: medianExpr } },
+  { $project: { values: 0 } },
+];
+
+// Grade label for a percentage, as a $switch over the scheme's bands
+const gradeExpr = (value, bands) => ({
+  $switch: {
+    branches: bands.map((band) => ({
+      case: { $gte: [value, band.minPercentage] },
+      then: band.grade,
+    })),
+    default: bands[bands.length - 1].grade,
+  },
+});
+
+// Pass check where each class may have its own pass mark
+const passByClassExpr = (value, passMarkByClass) => ({
+  $gte: [
+    value,
+    {
+      $switch: {
+        branches: [...passMarkByClass].map(([classId, passMark]) => ({
+          case: { $eq: ["$_id.classId", new mongoose.Types.ObjectId(classId)] },
+          then: passMark,
+        })),
+        default: 0,
+      },
+    },
+  ],
+});
+
+// One row per student: overall percentage across the matched results
+const studentTotalsStages = (groupKey = {}) => [
+  {
+    $group: {
+      _id: { ...groupKey, studentId: "$studentId" },
+      marksObtained: { $sum: "$marksObtained" },
+      maxMarks: { $sum: "$maxMarks" },
+    },
+  },
+  {
+    $addFields: {
+      percentage: {
+        $multiply: [{ $divide: ["$marksObtained", "$maxMarks"] }, 100],
+      },
+    },
+  },
+];
+
+const formatStats = (stats) => ({
+  count: stats?.count || 0,
+  mean: round2(stats?.mean),
+  median: round2(stats?.median),
+  stdDev: round2(stats?.stdDev),
+  min: round2(stats?.min),
+  max: round2(stats?.max),
+  passed: stats?.passed || 0,
+  passRate: stats?.count ? round2((stats.passed / stats.count) * 100) : null,
+});
+
+// { "A+": 3, "A": 5, ... } in band order, including empty grades
+const formatDistribution = (rows, bands) => {
+  const counts = new Map(rows.map((row) => [row._id, row.count]));
+  const distribution = Object.fromEntries(
+    bands.map((band) => [band.grade, counts.get(band.grade) || 0]),
+  );
+  // Grades stored under an older scheme
+  for (const [grade, count] of counts) {
+    if (!(grade in distribution)) distribution[grade ?? "ungraded"] = count;
+  }
+  return distribution;
+};
+
+class ResultAnalyticsService {
+  /**
+   * Statistics for one class and exam: per subject (mean, median,
+   * standard deviation, pass rate, grade distribution, top and bottom N)
+   * and for students' overall percentage across subjects.
+   */
+  async getClassAnalytics(classId, options = {}) {
+    const classObjectId = toObjectId(classId, "class ID");
+    if (!options.examType) {
+      throw requestError("examType is required");
+    }
+
+    const classDoc = await Class.findById(classObjectId).select(
+      "name section academicYear",
+    );
+    if (!classDoc) {
+      throw requestError("Class not found", 404);
+    }
+
+    const academicYear = options.academicYear || classDoc.academicYear;
+    const topN = Math.min(
+      Math.max(parseInt(options.top, 10) || DEFAULT_TOP_N, 1),
+      MAX_TOP_N,
+    );
+
+    const scheme = await gradingSchemeService.resolveScheme({
+      classId: classObjectId,
+      academicYear,
+    });
+    const bands = gradingSchemeService.bandsFor(scheme);
+    const passMark = gradingSchemeService.passMarkFor(scheme);
+
+    const match = {
+      classId: classObjectId,
+      examType: options.examType,
+      academicYear,
+    };
+    if (options.subjectId) {
+      match.subjectId = toObjectId(options.subjectId, "subject ID");
+    }
+    if (options.publishedOnly) match.isPublished = true;
+
+    const rankedEntry = {
+      studentId: "$studentId",
+      percentage: "$percentage",
+      marksObtained: "$marksObtained",
+      maxMarks: "$maxMarks",
+    };
+    const topAndBottom = {
+      top: { $slice: ["$ranked", topN] },
+      bottom: { $reverseArray: { $slice: ["$ranked", -topN] } },
+    };
+
+    const [facets] = await Result.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          subjects: [
+            {
+              $group: {
+                _id: "$subjectId",
+                ...statsAccumulators("$percentage", {
+                  $gte: ["$percentage", passMark],
+                }),
+              },
+            },
+            ...medianStages,
+            {
+              $lookup: {
+                from: "subjects",
+                localField: "_id",
+                foreignField: "_id",
+                as: "subject",
+                pipeline: [{ $project: { name: 1, code: 1 } }],
+              },
+            },
+            { $unwind: { path: "$subject", preserveNullAndEmptyArrays: true } },
+            { $sort: { "subject.name": 1 } },
+          ],
+          grades: [
+            {
+              $group: {
+                _id: { subjectId: "$subjectId", grade: "$grade" },
+                count: { $sum: 1 },
+              },
+            },
+          ],
+          ranked: [
+            { $sort: { percentage: -1, marksObtained: -1 } },
+            { $group: { _id: "$subjectId", ranked: { $push: rankedEntry } } },
+            { $project: topAndBottom },
+          ],
+        },
+      },
+    ]);
+
+    const [overall] = await Result.aggregate([
+      { $match: match },
+      ...studentTotalsStages(),
+      {
+        $facet: {
+          stats: [
+            {
+              $group: {
+                _id: null,
+                ...statsAccumulators("$percentage", {
+                  $gte: ["$percentage", passMark],
+                }),
+              },
+            },
+            ...medianStages,
+          ],
+          grades: [
+            {
+              $group: {
+                _id: gradeExpr("$percentage", bands),
+                count: { $sum: 1 },
+              },
+            },
+          ],
+          ranked: [
+            { $sort: { percentage: -1 } },
+            {
+              $group: {
+                _id: null,
+                ranked: {
+                  $push: {
+                    studentId: "$_id.studentId",
+                    percentage: "$percentage",
+                    marksObtained: "$marksObtained",
+                    maxMarks: "$maxMarks",
+                  },
+                },
+              },
+            },
+            { $project: topAndBottom },
+          ],
+        },
+      },
+    ]);
+
+    const rankedBySubject = new Map(
+      facets.ranked.map((row) => [row._id.toString(), row]),
+    );
+
+    // Names for everyone shown in a top / bottom list
+    const listed = [
+      ...facets.ranked.flatMap((row) => [...row.top, ...row.bottom]),
+      ...(overall.ranked[0]
+        ? [...overall.ranked[0].top, ...overall.ranked[0].bottom]
+        : []),
+    ];
+    const students = await Student.find({
+      _id: { $in: [...new Set(listed.map((s) => s.studentId.toString()))] },
+    })
+      .select("admissionNumber rollNumber userId")
+      .populate("userId", "name");
+    const studentsById = new Map(students.map((s) => [s._id.toString(), s]));
+
+    const describe = (entry) => {
+      const student = studentsById.get(entry.studentId.toString());
+      return {
+        studentId: entry.studentId,
+        name: student?.userId?.name || null,
+        admissionNumber: student?.admissionNumber || null,
+        rollNumber: student?.rollNumber || null,
+        marksObtained: entry.marksObtained,
+        maxMarks: entry.maxMarks,
+        percentage: round2(entry.percentage),
+      };
+    };
+
+    const subjects = facets.subjects.map((row) => {
+      const key = row._id.toString();
+      const ranked = rankedBySubject.get(key);
+      return {
+        subjectId: row._id,
+        name: row.subject?.name || null,
+        code: row.subject?.code || null,
+        ...formatStats(row),
+        gradeDistribution: formatDistribution(
+          facets.grades
+            .filter((g) => g._id.subjectId.toString() === key)
+            .map((g) => ({ _id: g._id.grade, count: g.count })),
+          bands,
+        ),
+        top: ranked ? ranked.top.map(describe) : [],
+        bottom: ranked ? ranked.bottom.map(describe) : [],
+      };
+    });
+
+    return {
+      class: {
+        id: classDoc._id,
+        name: classDoc.name,
+        section: classDoc.section,
+      },
+      academicYear,
+      examType: options.examType,
+      passMark,
+      gradingScheme: scheme ? { id: scheme._id, name: scheme.name } : null,
+      overall: {
+        ...formatStats(overall.stats[0]),
+        gradeDistribution: formatDistribution(overall.grades, bands),
+        top: overall.ranked[0] ? overall.ranked[0].top.map(describe) : [],
+        bottom: overall.ranked[0] ? overall.ranked[0].bottom.map(describe) : [],
+      },
+      subjects,
+    };
+  }
+
+  /**
+   * Same exam compared across a set of classes: overall statistics per
+   * class plus the mean per subject (matched by subject name)
+   */
+  async compareClasses(classes, { examType, subjectName, publishedOnly }) {
+    if (!examType) {
+      throw requestError("examType is required");
+    }
+    if (classes.length === 0) {
+      throw requestError("No classes to compare", 404);
+    }
+
+    const passMarkByClass = new Map();
+    for (const classDoc of classes) {
+      const scheme = await gradingSchemeService.resolveScheme({
+        classId: classDoc._id,
+        academicYear: classDoc.academicYear,
+      });
+      passMarkByClass.set(
+        classDoc._id.toString(),
+        gradingSchemeService.passMarkFor(scheme),
+      );
+    }
+
+    // Each class is matched with its own academic year
+    const match = {
+      $or: classes.map((c) => ({
+        classId: c._id,
+        academicYear: c.academicYear,
+      })),
+      examType,
+    };
+    if (publishedOnly) match.isPublished = true;
+
+    const subjectLookup = [
+      {
+        $lookup: {
+          from: "subjects",
+          localField: "subjectId",
+          foreignField: "_id",
+          as: "subject",
+          pipeline: [{ $project: { name: 1 } }],
+        },
+      },
+      { $unwind: "$subject" },
+    ];
+
+    const [facets] = await Result.aggregate([
+      { $match: match },
+      ...subjectLookup,
+      ...(subjectName
+        ? [
+            {
+              $match: {
+                $expr: {
+                  $eq: [
+                    { $toLower: "$subject.name" },
+                    subjectName.toLowerCase(),
+                  ],
+                },
+              },
+            },
+          ]
+        : []),
+      {
+        $facet: {
+          overall: [
+            ...studentTotalsStages({ classId: "$classId" }),
+            {
+              $group: {
+                _id: { classId: "$_id.classId" },
+                ...statsAccumulators(
+                  "$percentage",
+                  passByClassExpr("$percentage", passMarkByClass),
+                ),
+              },
+            },
+            ...medianStages,
+          ],
+          subjects: [
+            {
+              $group: {
+                _id: { classId: "$classId", subject: "$subject.name" },
+                mean: { $avg: "$percentage" },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { "_id.subject": 1 } },
+          ],
+        },
+      },
+    ]);
+
+    const overallByClass = new Map(
+      facets.overall.map((row) => [row._id.classId.toString(), row]),
+    );
+
+    const rows = classes.map((classDoc) => {
+      const key = classDoc._id.toString();
+      return {
+        classId: classDoc._id,
+        name: classDoc.name,
+        section: classDoc.section,
+        academicYear: classDoc.academicYear,
+        passMark: passMarkByClass.get(key),
+        ...formatStats(overallByClass.get(key)),
+        subjects: Object.fromEntries(
+          facets.subjects
+            .filter((row) => row._id.classId.toString() === key)
+            .map((row) => [row._id.subject, round2(row.mean)]),
+        ),
+      };
+    });
+
+    const withResults = rows.filter((row) => row.count > 0);
+    const best = withResults.reduce(
+      (top, row) => (!top || row.mean > top.mean ? row : top),
+      null,
+    );
+
+    return {
+      examType,
+      comparison: rows,
+      highestMean: best
+        ? {
+            classId: best.classId,
+            section: best.section,
+            academicYear: best.academicYear,
+          }
+        : null,
+    };
+  }
+
+  // Compare an exam across every section of a class in one academic year
+  async compareSections(classId, options = {}) {
+    const classDoc = await Class.findById(toObjectId(classId, "class ID"));
+    if (!classDoc) {
+      throw requestError("Class not found", 404);
+    }
+
+    const academicYear = options.academicYear
+      ? await academicYearService.assertKnownYear(options.academicYear)
+      : classDoc.academicYear;
+    const sections = await Class.find({
+      name: classDoc.name,
+      academicYear,
+    })
+      .select("name section academicYear")
+      .sort({ section: 1 });
+
+    return {
+      className: classDoc.name,
+      academicYear,
+      ...(await this.compareClasses(sections, options)),
+    };
+  }
+
+  /**
+   * Compare an exam for the same class and section across academic years
+   * (all years with such a class, or the comma-separated `years`)
+   */
+  async compareYears(classId, options = {}) {
+    const classDoc = await Class.findById(toObjectId(classId, "class ID"));
+    if (!classDoc) {
+      throw requestError("Class not found", 404);
+    }
+
+    const query = { name: classDoc.name, section: classDoc.section };
+    if (options.years) {
+      query.academicYear = {
+        $in: String(options.years)
+          .split(",")
+          .map((year) => year.trim())
+          .filter(Boolean),
+      };
+    }
+    const classes = await Class.find(query)
+      .select("name section academicYear")
+      .sort({ academicYear: 1 });
+
+    return {
+      className: classDoc.name,
+      section: classDoc.section,
+      ...(await this.compareClasses(classes, options)),
+    };
+  }
+}
+
+export default new ResultAnalyticsService();
@@ -0,0 +1,494 @@
+import Result from "../models/result.model.js";
+import ResultBatch from "../models/resultBatch.model.js";
+import ResultPublishJob from "../models/resultPublishJob.model.js";
+import Class from "../models/class.model.js";
+import Subject from "../models/subject.model.js";
+
+// Allowed transitions: action → statuses it can start from and the result
+const TRANSITIONS = {
+  submit: { from: ["draft"], to: "submitted" },
+  approve: { from: ["submitted"], to: "approved" },
+  return: { from: ["submitted", "approved"], to: "draft" },
+  publish: { from: ["approved"], to: "published" },
+  reopen: { from: ["published"], to: "draft" },
+  unpublish: { from: ["published"], to: "approved" },
+};
+
+// Jobs left "running" this long are assumed to have died with their process
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+// The fields that identify a batch
+const batchKey = ({ classId, subjectId, examType, academicYear }) => ({
+  classId: classId?._id || classId,
+  subjectId: subjectId?._id || subjectId,
+  examType,
+  academicYear,
+});
+
+// Query for batches matching an optional class/subject/exam/year filter
+const batchFilter = (filters) => {
+  const query = {};
+  for (const field of ["classId", "subjectId", "examType", "academicYear"]) {
+    if (filters[field]) query[field] = filters[field];
+  }
+  return query;
+};
+
+class ResultModerationService {
+  /**
+   * Status of the batch a result belongs to. Without a batch record the
+   * results decide: any already published (before moderation existed)
+   * make the batch published, and its record is created so it can be
+   * re-opened; otherwise they have never been submitted and are drafts.
+   */
+  async getBatchStatus(key) {
+    const query = batchKey(key);
+    const batch = await ResultBatch.findOne(query).select("status");
+    if (batch) return batch.status;
+
+    const published = await Result.findOne({ ...query, isPublished: true })
+      .select("publishedAt")
+      .sort({ publishedAt: -1 });
+    if (!published) return "draft";
+
+    if (Object.values(query).every(Boolean)) {
+      try {
+        await ResultBatch.updateOne(
+          query,
+          {
+            $setOnInsert: {
+              status: "published",
+              publishedAt: published.publishedAt,
+            },
+          },
+          { upsert: true },
+        );
+      } catch (error) {
+        // Created at the same time by another request
+        if (error.code !== 11000) throw error;
+      }
+    }
+    return "published";
+  }
+
+  // Throw 409 unless results of this batch may be entered or changed
+  async assertEditable(key) {
+    const status = await this.getBatchStatus(key);
+    if (status === "draft") return;
+
+    throw requestError(
+      status === "published"
+        ? "These results are published. Re-open the batch before changing them"
+        : `These results are ${status} for review. Ask a reviewer to return the batch before changing them`,
+      409,
+    );
+  }
+
+  // Admins and the class teacher review a class's batches
+  async canReview(user, classId) {
+    if (user.role === "admin") return true;
+    if (user.role !== "teacher" || !user.profileId) return false;
+
+    const classDoc = await Class.findById(classId).select("classTeacher");
+    return sameId(classDoc?.classTeacher, user.profileId);
+  }
+
+  // Admins, the subject teacher and the class teacher submit a batch
+  async canSubmit(user, { classId, subjectId }) {
+    if (user.role === "admin") return true;
+    if (user.role !== "teacher" || !user.profileId) return false;
+
+    const subject = await Subject.findById(subjectId).select("assignedTeacher");
+    if (sameId(subject?.assignedTeacher, user.profileId)) return true;
+    return this.canReview(user, classId);
+  }
+
+  // Get batches, optionally filtered
+  async getBatches(filters = {}) {
+    const query = {};
+    for (const field of [
+      "classId",
+      "subjectId",
+      "examType",
+      "academicYear",
+      "status",
+    ]) {
+      if (filters[field]) query[field] = filters[field];
+    }
+
+    return await ResultBatch.find(query)
+      .select("-history")
+      .populate("classId", "name section")
+      .populate("subjectId", "name code")
+      .sort({ updatedAt: -1 });
+  }
+
+  // Get a batch with its history and result count
+  async getBatchById(id) {
+    const batch = await ResultBatch.findById(id)
+      .populate("classId", "name section classTeacher")
+      .populate("subjectId", "name code assignedTeacher")
+      .populate("history.by", "name role");
+    if (!batch) {
+      throw requestError("Result batch not found", 404);
+    }
+
+    const resultCount = await Result.countDocuments(batchKey(batch));
+    return { ...batch.toObject(), resultCount };
+  }
+
+  /**
+   * Apply a transition. The status condition on the update keeps two
+   * reviewers acting at once from both succeeding.
+   */
+  async transition(batch, action, { user, comment = null, set = {}, inc }) {
+    const { from, to } = TRANSITIONS[action];
+    if (!from.includes(batch.status)) {
+      throw requestError(
+        `Cannot ${action} a batch that is ${batch.status}`,
+        409,
+      );
+    }
+
+    const update = {
+      $set: { status: to, ...set },
+      $push: {
+        history: {
+          action,
+          fromStatus: batch.status,
+          toStatus: to,
+          comment,
+          by: user._id,
+          at: new Date(),
+        },
+      },
+    };
+    if (inc) update.$inc = inc;
+
+    const updated = await ResultBatch.findOneAndUpdate(
+      { _id: batch._id, status: batch.status },
+      update,
+      { new: true },
+    );
+    if (!updated) {
+      throw requestError(
+        "The batch was changed by someone else, try again",
+        409,
+      );
+    }
+    return updated;
+  }
+
+  async loadBatch(id) {
+    const batch = await ResultBatch.findById(id);
+    if (!batch) {
+      throw requestError("Result batch not found", 404);
+    }
+    return batch;
+  }
+
+  /**
+   * Submit a class/subject/exam batch for review (creates the batch
+   * record the first time)
+   */
+  async submitBatch(data, user) {
+    const key = batchKey(data);
+    if (!key.classId || !key.subjectId || !key.examType || !key.academicYear) {
+      throw requestError(
+        "classId, subjectId, examType and academicYear are required",
+      );
+    }
+
+    if (!(await this.canSubmit(user, key))) {
+      throw requestError(
+        "Only the subject teacher, class teacher or an admin can submit these results",
+        403,
+      );
+    }
+
+    if (!(await Result.exists(key))) {
+      throw requestError("There are no results to submit for this batch", 404);
+    }
+    // Records the batch as published if its results already are
+    await this.getBatchStatus(key);
+
+    const batch = await ResultBatch.findOneAndUpdate(
+      key,
+      { $setOnInsert: { status: "draft" } },
+      { upsert: true, new: true },
+    );
+
+    return this.transition(batch, "submit", {
+      user,
+      comment: data.comment || null,
+      set: { reviewComment: null },
+    });
+  }
+
+  // Approve a submitted batch (class teacher or admin)
+  async approveBatch(id, user, comment = null) {
+    const batch = await this.loadBatch(id);
+    if (!(await this.canReview(user, batch.classId))) {
+      throw requestError(
+        "Only the class teacher or an admin can approve these results",
+        403,
+      );
+    }
+
+    return this.transition(batch, "approve", {
+      user,
+      comment,
+      set: { reviewComment: comment },
+    });
+  }
+
+  // Send a submitted or approved batch back to draft with comments
+  async returnBatch(id, user, comment) {
+    if (!comment?.trim()) {
+      throw requestError("A comment is required when returning results");
+    }
+
+    const batch = await this.loadBatch(id);
+    if (!(await this.canReview(user, batch.classId))) {
+      throw requestError(
+        "Only the class teacher or an admin can return these results",
+        403,
+      );
+    }
+
+    return this.transition(batch, "return", {
+      user,
+      comment,
+      set: { reviewComment: comment },
+    });
+  }
+
+  // Publish an approved batch and make its results visible
+  async publishBatch(id, user) {
+    const batch = await this.loadBatch(id);
+    const publishedAt = new Date();
+
+    const updated = await this.transition(batch, "publish", {
+      user,
+      set: { publishedAt },
+    });
+    const { modifiedCount } = await Result.updateMany(batchKey(batch), {
+      isPublished: true,
+      publishedAt,
+    });
+
+    return { batch: updated, resultsPublished: modifiedCount };
+  }
+
+  /**
+   * Re-open a published batch for corrections. Its results are withdrawn
+   * until the batch goes through review and is published again.
+   */
+  async reopenBatch(id, user, reason) {
+    if (!reason?.trim()) {
+      throw requestError("A reason is required to re-open published results");
+    }
+
+    const batch = await this.loadBatch(id);
+    const updated = await this.transition(batch, "reopen", {
+      user,
+      comment: reason,
+      set: { publishedAt: null, reviewComment: null },
+      inc: { reopenCount: 1 },
+    });
+    const { modifiedCount } = await Result.updateMany(batchKey(batch), {
+      isPublished: false,
+      publishedAt: null,
+    });
+
+    return { batch: updated, resultsWithdrawn: modifiedCount };
+  }
+
+  /**
+   * Publish every approved batch matching the filter. Batches in other
+   * states are reported back rather than published.
+   */
+  async publishApproved(filters, user) {
+    const batches = await ResultBatch.find({
+      ...batchFilter(filters),
+      status: { $ne: "published" },
+    });
+
+    const published = [];
+    const skipped = [];
+    let resultsPublished = 0;
+    for (const batch of batches) {
+      if (batch.status !== "approved") {
+        skipped.push({ batchId: batch._id, status: batch.status });
+        continue;
+      }
+      try {
+        const outcome = await this.publishBatch(batch._id, user);
+        published.push(batch._id);
+        resultsPublished += outcome.resultsPublished;
+      } catch (error) {
+        if (error.statusCode !== 409) throw error;
+        skipped.push({ batchId: batch._id, status: "changed" });
+      }
+    }
+
+    return { published, skipped, resultsPublished };
+  }
+
+  /**
+   * Withdraw a batch published by mistake. It goes back to approved, so
+   * it can be published again without another review.
+   */
+  async unpublishBatch(id, user, reason) {
+    if (!reason?.trim()) {
+      throw requestError("A reason is required to unpublish results");
+    }
+
+    const batch = await this.loadBatch(id);
+    const updated = await this.transition(batch, "unpublish", {
+      user,
+      comment: reason,
+      set: { publishedAt: null },
+    });
+    const { modifiedCount } = await Result.updateMany(batchKey(batch), {
+      isPublished: false,
+      publishedAt: null,
+    });
+
+    return { batch: updated, resultsWithdrawn: modifiedCount };
+  }
+
+  // Unpublish every published batch matching the filter
+  async unpublishMatching(filters, user, reason) {
+    if (!reason?.trim()) {
+      throw requestError("A reason is required to unpublish results");
+    }
+
+    const batches = await ResultBatch.find({
+      ...batchFilter(filters),
+      status: "published",
+    });
+
+    const unpublished = [];
+    let resultsWithdrawn = 0;
+    for (const batch of batches) {
+      try {
+        const outcome = await this.unpublishBatch(batch._id, user, reason);
+        unpublished.push(batch._id);
+        resultsWithdrawn += outcome.resultsWithdrawn;
+      } catch (error) {
+        if (error.statusCode !== 409) throw error;
+      }
+    }
+
+    return { unpublished, resultsWithdrawn };
+  }
+
+  // ============ SCHEDULED PUBLICATION ============
+
+  // Schedule the approved batches matching a filter to go live at a set time
+  async schedulePublish(data, user) {
+    const publishAt = new Date(data.publishAt);
+    if (!data.publishAt || Number.isNaN(publishAt.getTime())) {
+      throw requestError("A valid publishAt date and time is required");
+    }
+    if (publishAt <= new Date()) {
+      throw requestError("publishAt must be in the future");
+    }
+
+    if (data.classId && !(await Class.exists({ _id: data.classId }))) {
+      throw requestError("Class not found", 404);
+    }
+    if (data.subjectId && !(await Subject.exists({ _id: data.subjectId }))) {
+      throw requestError("Subject not found", 404);
+    }
+
+    return await ResultPublishJob.create({
+      ...batchFilter(data),
+      publishAt,
+      createdBy: user._id,
+    });
+  }
+
+  // Get publish jobs, soonest first
+  async getPublishJobs(filters = {}) {
+    const query = batchFilter(filters);
+    if (filters.status) query.status = filters.status;
+
+    return await ResultPublishJob.find(query)
+      .populate("classId", "name section")
+      .populate("subjectId", "name code")
+      .populate("createdBy", "name")
+      .sort({ publishAt: 1 });
+  }
+
+  // Cancel a job that has not run yet
+  async cancelPublishJob(id, user) {
+    const job = await ResultPublishJob.findOneAndUpdate(
+      { _id: id, status: "pending" },
+      { status: "cancelled", cancelledBy: user._id },
+      { new: true },
+    );
+    if (job) return job;
+
+    const existing = await ResultPublishJob.findById(id).select("status");
+    if (!existing) {
+      throw requestError("Publish job not found", 404);
+    }
+    throw requestError(`Cannot cancel a job that is ${existing.status}`, 409);
+  }
+
+  /**
+   * Run every publish job that is due. Jobs are claimed atomically, so
+   * several app instances can run the scheduler side by side; a job whose
+   * process died mid-run is picked up again (publishing is idempotent).
+   */
+  async processDuePublishJobs() {
+    const processed = [];
+
+    for (;;) {
+      const now = new Date();
+      const job = await ResultPublishJob.findOneAndUpdate(
+        {
+          $or: [
+            { status: "pending", publishAt: { $lte: now } },
+            {
+              status: "running",
+              startedAt: { $lt: new Date(now - STALE_JOB_MS) },
+            },
+          ],
+        },
+        { status: "running", startedAt: now },
+        { new: true, sort: { publishAt: 1 } },
+      );
+      if (!job) break;
+
+      try {
+        const outcome = await this.publishApproved(job, {
+          _id: job.createdBy,
+        });
+        job.set({ status: "completed", outcome, completedAt: new Date() });
+      } catch (error) {
+        job.set({
+          status: "failed",
+          error: error.message,
+          completedAt: new Date(),
+        });
+      }
+      await job.save();
+      processed.push(job);
+    }
+
+    return processed;
+  }
+}
+
+export default new ResultModerationService();
@@ -0,0 +1,319 @@
+import mongoose from "mongoose";
+import Rubric from "../models/rubric.model.js";
+import Assignment from "../models/assignment.model.js";
+import Submission from "../models/submission.model.js";
+
+const RUBRIC_FIELDS = ["title", "description", "criteria", "isActive"];
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+const maxLevelPoints = (criterion) =>
+  Math.max(0, ...criterion.levels.map((level) => level.points));
+
+class RubricService {
+  // Create rubric (teacher)
+  async createRubric(rubricData, teacherId) {
+    try {
+      const data = {};
+      for (const field of RUBRIC_FIELDS) {
+        if (rubricData[field] !== undefined) data[field] = rubricData[field];
+      }
+
+      return await Rubric.create({ ...data, teacher: teacherId });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get the teacher's rubrics
+  async getTeacherRubrics(teacherId, filters = {}) {
+    try {
+      const query = { teacher: teacherId };
+      if (filters.includeInactive !== "true") {
+        query.isActive = true;
+      }
+      if (filters.search) {
+        query.title = { $regex: filters.search, $options: "i" };
+      }
+
+      return await Rubric.find(query).sort({ updatedAt: -1 });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get rubric by ID (owner only)
+  async getRubricById(rubricId, teacherId) {
+    try {
+      const rubric = await Rubric.findOne({
+        _id: rubricId,
+        teacher: teacherId,
+      });
+      if (!rubric) {
+        throw new Error("Rubric not found or unauthorized");
+      }
+
+      const assignments = await Assignment.find({
+        rubric: rubricId,
+        isActive: true,
+      }).select("title class dueDate status");
+
+      return { ...rubric.toObject(), assignments };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a rubric. Grades already given keep the criterion names and
+   * points they were scored with.
+   */
+  async updateRubric(rubricId, updateData, teacherId) {
+    try {
+      const rubric = await Rubric.findOne({
+        _id: rubricId,
+        teacher: teacherId,
+      });
+      if (!rubric) {
+        throw new Error("Rubric not found or unauthorized");
+      }
+
+      for (const field of RUBRIC_FIELDS) {
+        if (updateData[field] !== undefined) rubric[field] = updateData[field];
+      }
+
+      return await rubric.save();
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delete rubric (deactivated instead while assignments still use it)
+  async deleteRubric(rubricId, teacherId) {
+    try {
+      const rubric = await Rubric.findOne({
+        _id: rubricId,
+        teacher: teacherId,
+      });
+      if (!rubric) {
+        throw new Error("Rubric not found or unauthorized");
+      }
+
+      const inUse = await Assignment.exists({ rubric: rubricId });
+      if (inUse) {
+        rubric.isActive = false;
+        await rubric.save();
+        return {
+          message: "Rubric deactivated (used by assignments)",
+          deleted: false,
+        };
+      }
+
+      await rubric.deleteOne();
+      return { message: "Rubric deleted successfully", deleted: true };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Attach a rubric to an assignment (or detach it with null). Not
+   * allowed once submissions have been graded with the current rubric.
+   */
+  async attachRubric(assignmentId, rubricId, teacherId) {
+    try {
+      const assignment = await Assignment.findOne({
+        _id: assignmentId,
+        teacher: teacherId,
+      });
+      if (!assignment) {
+        throw new Error("Assignment not found or unauthorized");
+      }
+
+      if (rubricId) {
+        const rubric = await Rubric.findOne({
+          _id: rubricId,
+          teacher: teacherId,
+          isActive: true,
+        });
+        if (!rubric) {
+          throw new Error("Rubric not found or unauthorized");
+        }
+      }
+
+      if (String(assignment.rubric ?? "") === String(rubricId ?? "")) {
+        return assignment;
+      }
+
+      const rubricGraded = await Submission.exists({
+        assignment: assignmentId,
+        versions: { $elemMatch: { "rubricScores.0": { $exists: true } } },
+      });
+      if (rubricGraded) {
+        throw new Error(
+          "Cannot change the rubric after submissions were graded with it",
+        );
+      }
+
+      assignment.rubric = rubricId || null;
+      await assignment.save({ validateModifiedOnly: true });
+
+      return await Assignment.findById(assignmentId)
+        .populate("subject", "name code")
+        .populate("class", "name section academicYear")
+        .populate("rubric", "title description criteria");
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Score a submission against a rubric. Every criterion needs exactly
+   * one level ({ criterionId, levelId, comment }); the marks are the
+   * share of the rubric's points scaled to the assignment's totalMarks.
+   */
+  scoreSubmission(rubric, scores, totalMarks) {
+    if (!Array.isArray(scores) || scores.length === 0) {
+      throw new Error("Score every rubric criterion to grade this assignment");
+    }
+
+    const byCriterion = new Map(
+      scores.map((score) => [String(score.criterionId), score]),
+    );
+    if (byCriterion.size !== scores.length) {
+      throw new Error("Each rubric criterion can only be scored once");
+    }
+
+    const rubricScores = rubric.criteria.map((criterion) => {
+      const score = byCriterion.get(criterion._id.toString());
+      if (!score) {
+        throw new Error(`Criterion "${criterion.name}" has not been scored`);
+      }
+      byCriterion.delete(criterion._id.toString());
+
+      const level = criterion.levels.find(
+        (l) => l._id.toString() === String(score.levelId),
+      );
+      if (!level) {
+        throw new Error(`Choose one of the levels of "${criterion.name}"`);
+      }
+
+      return {
+        criterionId: criterion._id,
+        criterion: criterion.name,
+        levelId: level._id,
+        level: level.label,
+        points: level.points,
+        maxPoints: maxLevelPoints(criterion),
+        comment: score.comment,
+      };
+    });
+    if (byCriterion.size > 0) {
+      throw new Error("Scores include a criterion that is not on the rubric");
+    }
+
+    const earned = rubricScores.reduce((sum, score) => sum + score.points, 0);
+    return {
+      rubricScores,
+      marksObtained: roundTo2((earned / rubric.maxPoints) * totalMarks),
+    };
+  }
+
+  /**
+   * How a class scored on each rubric criterion, weakest first. Covers
+   * one assignment, or every assignment using a rubric (optionally in
+   * one class). Criteria averaging below `threshold` percent are
+   * flagged as struggling.
+   */
+  async getCriterionAnalytics(filters, teacherId) {
+    try {
+      const query = { teacher: teacherId };
+      if (filters.assignmentId) {
+        query._id = filters.assignmentId;
+      }
+      query.rubric = filters.rubricId ? filters.rubricId : { $ne: null };
+      if (filters.class) {
+        query.class = filters.class;
+      }
+
+      const assignments =
+        await Assignment.find(query).select("title class rubric");
+      if (filters.assignmentId && assignments.length === 0) {
+        throw new Error("Assignment not found, unauthorized or has no rubric");
+      }
+
+      const threshold = Number(filters.threshold) || 50;
+      const match = {
+        assignment: {
+          $in: assignments.map((a) => new mongoose.Types.ObjectId(a._id)),
+        },
+        status: "graded",
+        "rubricScores.0": { $exists: true },
+      };
+
+      const [gradedSubmissions, groups] = await Promise.all([
+        Submission.countDocuments(match),
+        Submission.aggregate([
+          { $match: match },
+          { $unwind: "$rubricScores" },
+          {
+            $group: {
+              _id: {
+                criterionId: "$rubricScores.criterionId",
+                level: "$rubricScores.level",
+              },
+              criterion: { $last: "$rubricScores.criterion" },
+              count: { $sum: 1 },
+              points: { $sum: "$rubricScores.points" },
+              maxPoints: { $sum: "$rubricScores.maxPoints" },
+            },
+          },
+          { $sort: { count: -1 } },
+          {
+            $group: {
+              _id: "$_id.criterionId",
+              criterion: { $last: "$criterion" },
+              scored: { $sum: "$count" },
+              points: { $sum: "$points" },
+              maxPoints: { $sum: "$maxPoints" },
+              levels: { $push: { level: "$_id.level", count: "$count" } },
+            },
+          },
+        ]),
+      ]);
+
+      const criteria = groups
+        .map((group) => {
+          const averagePercentage =
+            group.maxPoints > 0
+              ? roundTo2((group.points / group.maxPoints) * 100)
+              : 0;
+          return {
+            criterionId: group._id,
+            criterion: group.criterion,
+            scored: group.scored,
+            averagePoints: roundTo2(group.points / group.scored),
+            maxPoints: roundTo2(group.maxPoints / group.scored),
+            averagePercentage,
+            levels: group.levels,
+            struggling: averagePercentage < threshold,
+          };
+        })
+        .sort((a, b) => a.averagePercentage - b.averagePercentage);
+
+      return {
+        assignments: assignments.map((a) => ({ _id: a._id, title: a.title })),
+        gradedSubmissions,
+        threshold,
+        criteria,
+        struggling: criteria
+          .filter((c) => c.struggling)
+          .map((c) => c.criterion),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new RubricService();
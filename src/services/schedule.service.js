@@ -1,5 +1,6 @@
 import Schedule from "../models/schedule.model.js";
 import Subject from "../models/subject.model.js";
+import academicYearService from "./academicYear.service.js";
 import mongoose from "mongoose";
 
 const DAY_ORDER = [
@@ -207,6 +208,11 @@ class ScheduleService {
    * Create a new schedule
    */
   async createSchedule(scheduleData) {
+    // Conflicts are checked within the session (current one by default)
+    scheduleData.academicYear = await academicYearService.resolveAcademicYear(
+      scheduleData.academicYear,
+    );
+
     // Auto-assign teacher from subject if not provided
     if (!scheduleData.teacherId && scheduleData.subjectId) {
       const subject = await Subject.findById(scheduleData.subjectId);
@@ -0,0 +1,82 @@
+/**
+ * Scheduler Service
+ * Runs registered background jobs in-process on a fixed interval.
+ *
+ *   schedulerService.register("publish-results", {
+ *     intervalMs: 60000,
+ *     handler: () => resultModerationService.processDuePublishJobs(),
+ *   });
+ *   schedulerService.start();
+ *
+ * A job never overlaps with itself: a tick is skipped while the previous
+ * run is still going. Handlers should be safe to run on several app
+ * instances at once (claim work atomically in the database).
+ */
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  // Register (or replace) a job. Registered jobs run once start() is called
+  register(name, { intervalMs, handler }) {
+    if (typeof handler !== "function") {
+      throw new Error("Scheduled job handler must be a function");
+    }
+    if (!Number.isFinite(intervalMs) || intervalMs < 1000) {
+      throw new Error("Scheduled job interval must be at least 1000 ms");
+    }
+
+    this.unschedule(name);
+    const job = { name, intervalMs, handler, timer: null, running: false };
+    this.jobs.set(name, job);
+    if (this.started) this.schedule(job);
+  }
+
+  schedule(job) {
+    job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+    // Do not keep the process alive just for background jobs
+    job.timer.unref?.();
+  }
+
+  unschedule(name) {
+    const job = this.jobs.get(name);
+    if (job?.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  }
+
+  // Start every registered job (and run each one right away)
+  start() {
+    if (this.started) return;
+    this.started = true;
+    for (const job of this.jobs.values()) {
+      this.schedule(job);
+      this.run(job.name);
+    }
+  }
+
+  stop() {
+    for (const name of this.jobs.keys()) this.unschedule(name);
+    this.started = false;
+  }
+
+  // Run a job now unless it is already running. Errors are logged, not thrown
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job || job.running) return null;
+
+    job.running = true;
+    try {
+      return await job.handler();
+    } catch (error) {
+      console.error(`[scheduler] ${name} failed:`, error.message);
+      return null;
+    } finally {
+      job.running = false;
+    }
+  }
+}
+
+export default new SchedulerService();
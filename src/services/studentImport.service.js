@@ -0,0 +1,506 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import User from "../models/user.model.js";
+import Student from "../models/student.model.js";
+import Parent from "../models/parent.model.js";
+import Class from "../models/class.model.js";
+import { parseCsv } from "../utils/csvParser.js";
+import { generateAdmissionNumber } from "../utils/profileHelper.js";
+import academicYearService from "./academicYear.service.js";
+
+const MAX_ROWS = 2000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const RELATIONSHIP_TYPES = ["father", "mother", "guardian", "other"];
+
+// Spreadsheet header (lowercased, non-alphanumerics removed) → field name
+const HEADER_ALIASES = {
+  name: "name",
+  studentname: "name",
+  fullname: "name",
+  email: "email",
+  studentemail: "email",
+  phone: "phone",
+  mobile: "phone",
+  studentphone: "phone",
+  password: "password",
+  admissionnumber: "admissionNumber",
+  admissionno: "admissionNumber",
+  rollnumber: "rollNumber",
+  rollno: "rollNumber",
+  class: "className",
+  classname: "className",
+  classid: "classId",
+  section: "section",
+  academicyear: "academicYear",
+  session: "academicYear",
+  dateofbirth: "dateOfBirth",
+  dob: "dateOfBirth",
+  address: "address",
+  parentname: "parentName",
+  guardianname: "parentName",
+  parentemail: "parentEmail",
+  guardianemail: "parentEmail",
+  parentphone: "parentPhone",
+  guardianphone: "parentPhone",
+  parentpassword: "parentPassword",
+  relationship: "relationshipType",
+  relationshiptype: "relationshipType",
+};
+
+const normalizeHeader = (header) =>
+  HEADER_ALIASES[header.toLowerCase().replace(/[^a-z0-9]/g, "")] || null;
+
+const generateTemporaryPassword = () =>
+  crypto.randomBytes(6).toString("base64url");
+
+const clean = (value) =>
+  value === undefined || value === null ? "" : String(value).trim();
+
+const normalizeRow = (raw, defaults) => ({
+  name: clean(raw.name),
+  email: clean(raw.email).toLowerCase(),
+  phone: clean(raw.phone),
+  password: clean(raw.password),
+  admissionNumber: clean(raw.admissionNumber),
+  rollNumber: clean(raw.rollNumber),
+  classId: clean(raw.classId),
+  className: clean(raw.className),
+  section: clean(raw.section).toUpperCase(),
+  academicYear: clean(raw.academicYear) || defaults.academicYear,
+  dateOfBirth: clean(raw.dateOfBirth),
+  address: clean(raw.address),
+  parentName: clean(raw.parentName),
+  parentEmail: clean(raw.parentEmail).toLowerCase(),
+  parentPhone: clean(raw.parentPhone),
+  parentPassword: clean(raw.parentPassword),
+  relationshipType: clean(raw.relationshipType).toLowerCase() || "guardian",
+});
+
+const classKey = (name, section, academicYear) =>
+  `${name.toLowerCase()}|${section}|${academicYear}`;
+
+class StudentImportService {
+  /**
+   * Turn an uploaded CSV file (buffer) or JSON rows into raw records
+   */
+  parseInput({ fileBuffer, rows }) {
+    let records;
+
+    if (fileBuffer) {
+      records = parseCsv(fileBuffer.toString("utf8"), normalizeHeader);
+    } else if (Array.isArray(rows)) {
+      // Rows parsed client-side from XLSX: normalize their keys the same way
+      records = rows.map((row) =>
+        Object.entries(row || {}).reduce((record, [key, value]) => {
+          const field = normalizeHeader(key);
+          if (field) record[field] = value;
+          return record;
+        }, {}),
+      );
+    } else {
+      const error = new Error("Upload a CSV file or send a rows array");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (records.length === 0) {
+      const error = new Error("The import contains no rows");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (records.length > MAX_ROWS) {
+      const error = new Error(`Imports are limited to ${MAX_ROWS} rows`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return records;
+  }
+
+  /**
+   * Validate every row against the database and the rest of the file.
+   * Returns a per-row report; nothing is written.
+   */
+  async validateRows(records, options = {}) {
+    const defaults = {
+      academicYear: await academicYearService.resolveAcademicYear(
+        options.academicYear,
+      ),
+    };
+    const rows = records.map((raw) => normalizeRow(raw, defaults));
+    const knownYears = new Set();
+    for (const academicYear of new Set(rows.map((r) => r.academicYear))) {
+      try {
+        knownYears.add(await academicYearService.assertKnownYear(academicYear));
+      } catch {
+        // Reported on each row below
+      }
+    }
+
+    // ---- Preload everything the checks need in a few queries ----
+    const emails = rows.map((r) => r.email).filter(Boolean);
+    const parentEmails = rows.map((r) => r.parentEmail).filter(Boolean);
+    const admissionNumbers = rows.map((r) => r.admissionNumber).filter(Boolean);
+
+    const [existingUsers, existingAdmissions, classes] = await Promise.all([
+      User.find({ email: { $in: [...emails, ...parentEmails] } }).select(
+        "email role profileId",
+      ),
+      Student.find({ admissionNumber: { $in: admissionNumbers } }).select(
+        "admissionNumber",
+      ),
+      Class.find({
+        isActive: true,
+        academicYear: { $in: [...new Set(rows.map((r) => r.academicYear))] },
+      }).select("name section academicYear capacity"),
+    ]);
+
+    const usersByEmail = new Map(existingUsers.map((u) => [u.email, u]));
+    const takenAdmissions = new Set(
+      existingAdmissions.map((s) => s.admissionNumber),
+    );
+    const classesByKey = new Map(
+      classes.map((c) => [classKey(c.name, c.section, c.academicYear), c]),
+    );
+    const classesById = new Map(classes.map((c) => [c._id.toString(), c]));
+
+    // ---- Per-row checks ----
+    const seenEmails = new Map();
+    const seenAdmissions = new Map();
+    const seenRolls = new Map();
+    const newStudentsPerClass = new Map();
+    const report = [];
+
+    for (const [index, row] of rows.entries()) {
+      const rowNumber = index + 2; // header is line 1
+      const errors = [];
+      const warnings = [];
+
+      if (!row.name) errors.push("Name is required");
+      if (!row.phone) errors.push("Phone is required");
+      if (!knownYears.has(row.academicYear)) {
+        errors.push(`Unknown academic year "${row.academicYear}"`);
+      }
+
+      if (!row.email) {
+        errors.push("Email is required");
+      } else if (!EMAIL_PATTERN.test(row.email)) {
+        errors.push(`Invalid email "${row.email}"`);
+      } else if (usersByEmail.has(row.email)) {
+        errors.push(`Email "${row.email}" is already registered`);
+      } else if (seenEmails.has(row.email)) {
+        errors.push(
+          `Email "${row.email}" duplicates row ${seenEmails.get(row.email)}`,
+        );
+      } else {
+        seenEmails.set(row.email, rowNumber);
+      }
+
+      if (row.password && row.password.length < 6) {
+        errors.push("Password must be at least 6 characters");
+      }
+
+      if (row.admissionNumber) {
+        if (takenAdmissions.has(row.admissionNumber)) {
+          errors.push(
+            `Admission number "${row.admissionNumber}" already exists`,
+          );
+        } else if (seenAdmissions.has(row.admissionNumber)) {
+          errors.push(
+            `Admission number "${row.admissionNumber}" duplicates row ${seenAdmissions.get(row.admissionNumber)}`,
+          );
+        } else {
+          seenAdmissions.set(row.admissionNumber, rowNumber);
+        }
+      }
+
+      if (row.dateOfBirth && Number.isNaN(Date.parse(row.dateOfBirth))) {
+        errors.push(`Invalid date of birth "${row.dateOfBirth}"`);
+      }
+
+      // Class + section
+      let classDoc = null;
+      if (row.classId) {
+        classDoc = classesById.get(row.classId) || null;
+        // Classes of every year in the file are loaded; keep the row's own
+        if (classDoc && classDoc.academicYear !== row.academicYear) {
+          classDoc = null;
+        }
+        if (!classDoc) {
+          errors.push(
+            `Class ${row.classId} not found for academic year ${row.academicYear}`,
+          );
+        } else if (row.section && row.section !== classDoc.section) {
+          errors.push(
+            `Section "${row.section}" does not match class section "${classDoc.section}"`,
+          );
+        }
+      } else if (row.className) {
+        if (!row.section) {
+          errors.push("Section is required when a class is given");
+        } else {
+          classDoc =
+            classesByKey.get(
+              classKey(row.className, row.section, row.academicYear),
+            ) || null;
+          if (!classDoc) {
+            errors.push(
+              `Class "${row.className} - ${row.section}" not found for academic year ${row.academicYear}`,
+            );
+          }
+        }
+      } else if (row.rollNumber) {
+        errors.push("Roll number requires a class");
+      }
+
+      // Roll number unique per class per academic year
+      if (classDoc && row.rollNumber) {
+        const rollKey = `${classDoc._id}|${row.rollNumber}`;
+        const rollTaken = await Student.exists({
+          classId: classDoc._id,
+          rollNumber: row.rollNumber,
+          academicYear: row.academicYear,
+        });
+        if (rollTaken) {
+          errors.push(
+            `Roll number "${row.rollNumber}" already exists in ${classDoc.name} - ${classDoc.section}`,
+          );
+        } else if (seenRolls.has(rollKey)) {
+          errors.push(
+            `Roll number "${row.rollNumber}" duplicates row ${seenRolls.get(rollKey)}`,
+          );
+        } else {
+          seenRolls.set(rollKey, rowNumber);
+        }
+      }
+
+      if (classDoc) {
+        const key = classDoc._id.toString();
+        newStudentsPerClass.set(key, (newStudentsPerClass.get(key) || 0) + 1);
+      }
+
+      // Parent: link an existing parent account or create a new one
+      let parentAction = null;
+      if (row.parentEmail) {
+        const parentUser = usersByEmail.get(row.parentEmail);
+        if (!EMAIL_PATTERN.test(row.parentEmail)) {
+          errors.push(`Invalid parent email "${row.parentEmail}"`);
+        } else if (row.parentEmail === row.email) {
+          errors.push("Parent email must differ from the student email");
+        } else if (seenEmails.has(row.parentEmail)) {
+          errors.push(
+            `Parent email "${row.parentEmail}" is used as a student email in row ${seenEmails.get(row.parentEmail)}`,
+          );
+        } else if (parentUser) {
+          if (parentUser.role !== "parent" || !parentUser.profileId) {
+            errors.push(
+              `Parent email "${row.parentEmail}" belongs to a ${parentUser.role} account`,
+            );
+          } else {
+            parentAction = "link";
+          }
+        } else if (!row.parentName || !row.parentPhone) {
+          errors.push(
+            "Parent name and phone are required to create a new parent account",
+          );
+        } else {
+          parentAction = "create";
+        }
+
+        if (!RELATIONSHIP_TYPES.includes(row.relationshipType)) {
+          errors.push(`Invalid relationship type "${row.relationshipType}"`);
+        }
+      }
+
+      report.push({
+        row: rowNumber,
+        status: errors.length > 0 ? "invalid" : "valid",
+        errors,
+        warnings,
+        data: {
+          name: row.name,
+          email: row.email,
+          admissionNumber: row.admissionNumber || null,
+          rollNumber: row.rollNumber || null,
+          class: classDoc ? `${classDoc.name} - ${classDoc.section}` : null,
+          academicYear: row.academicYear,
+          parentEmail: row.parentEmail || null,
+          parentAction,
+        },
+        // Internal: resolved values used when committing
+        _row: row,
+        _classId: classDoc?._id || null,
+        _section: classDoc?.section || null,
+        _parentUser:
+          parentAction === "link" ? usersByEmail.get(row.parentEmail) : null,
+      });
+    }
+
+    // Capacity is a soft limit: warn, don't block
+    for (const [classId, incoming] of newStudentsPerClass) {
+      const classDoc = classesById.get(classId);
+      const enrolled = await Student.countDocuments({
+        classId,
+        enrollmentStatus: "active",
+      });
+      if (enrolled + incoming > classDoc.capacity) {
+        for (const entry of report) {
+          if (entry._classId?.toString() === classId) {
+            entry.warnings.push(
+              `${classDoc.name} - ${classDoc.section} will exceed its capacity of ${classDoc.capacity} (${enrolled + incoming} students)`,
+            );
+          }
+        }
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Validate and, unless dryRun, create the students (and parents).
+   * By default nothing is written if any row is invalid; with skipInvalid
+   * the valid rows are imported and invalid ones are reported.
+   */
+  async importStudents(records, options = {}) {
+    const { dryRun = true, skipInvalid = false } = options;
+    const report = await this.validateRows(records, options);
+    const invalidCount = report.filter((r) => r.status === "invalid").length;
+
+    const summary = {
+      dryRun,
+      total: report.length,
+      valid: report.length - invalidCount,
+      invalid: invalidCount,
+      created: 0,
+      parentsCreated: 0,
+      parentsLinked: 0,
+    };
+
+    if (dryRun || (invalidCount > 0 && !skipInvalid)) {
+      return {
+        committed: false,
+        summary,
+        rows: report.map(
+          ({ _row, _classId, _section, _parentUser, ...entry }) => entry,
+        ),
+      };
+    }
+
+    const createdParents = new Map();
+
+    for (const entry of report) {
+      if (entry.status !== "valid") continue;
+
+      const row = entry._row;
+      try {
+        // Resolve parent profile
+        let parentProfileId = null;
+        if (entry._parentUser) {
+          parentProfileId = entry._parentUser.profileId;
+          summary.parentsLinked += 1;
+        } else if (createdParents.has(row.parentEmail)) {
+          parentProfileId = createdParents.get(row.parentEmail);
+          summary.parentsLinked += 1;
+        } else if (entry.data.parentAction === "create") {
+          const parentPassword =
+            row.parentPassword || generateTemporaryPassword();
+          const parentUser = await User.create({
+            name: row.parentName,
+            email: row.parentEmail,
+            password: await bcrypt.hash(parentPassword, 10),
+            role: "parent",
+            phone: row.parentPhone,
+          });
+          try {
+            const parent = await Parent.create({
+              userId: parentUser._id,
+              relationshipType: row.relationshipType,
+            });
+            parentUser.profileId = parent._id;
+            parentUser.profileModel = "Parent";
+            await parentUser.save();
+            parentProfileId = parent._id;
+          } catch (profileError) {
+            await User.findByIdAndDelete(parentUser._id);
+            throw profileError;
+          }
+          createdParents.set(row.parentEmail, parentProfileId);
+          summary.parentsCreated += 1;
+          if (!row.parentPassword) {
+            entry.parentTemporaryPassword = parentPassword;
+          }
+        }
+
+        // Admission number: provided, or next free generated one. The
+        // count already includes students created earlier in the import,
+        // so the offset only skips numbers that are taken
+        let admissionNumber = row.admissionNumber;
+        for (let offset = 0; !admissionNumber; offset++) {
+          const candidate = await generateAdmissionNumber(offset);
+          if (!(await Student.exists({ admissionNumber: candidate }))) {
+            admissionNumber = candidate;
+          }
+        }
+
+        // Create student user + profile (rollback user on failure)
+        const password = row.password || generateTemporaryPassword();
+        const user = await User.create({
+          name: row.name,
+          email: row.email,
+          password: await bcrypt.hash(password, 10),
+          role: "student",
+          phone: row.phone,
+        });
+
+        let student;
+        try {
+          student = await Student.create({
+            userId: user._id,
+            admissionNumber,
+            classId: entry._classId,
+            section: entry._section,
+            rollNumber: row.rollNumber || null,
+            parentId: parentProfileId,
+            academicYear: row.academicYear,
+            dateOfBirth: row.dateOfBirth || null,
+            address: row.address || null,
+          });
+          user.profileId = student._id;
+          user.profileModel = "Student";
+          await user.save();
+        } catch (profileError) {
+          await User.findByIdAndDelete(user._id);
+          throw profileError;
+        }
+
+        if (parentProfileId) {
+          await Parent.findByIdAndUpdate(parentProfileId, {
+            $addToSet: { children: student._id },
+          });
+        }
+
+        entry.status = "created";
+        entry.studentId = student._id;
+        entry.userId = user._id;
+        entry.data.admissionNumber = admissionNumber;
+        if (!row.password) entry.temporaryPassword = password;
+        summary.created += 1;
+      } catch (error) {
+        entry.status = "failed";
+        entry.errors.push(error.message);
+      }
+    }
+
+    return {
+      committed: true,
+      summary,
+      rows: report.map(
+        ({ _row, _classId, _section, _parentUser, ...entry }) => entry,
+      ),
+    };
+  }
+}
+
+export default new StudentImportService();
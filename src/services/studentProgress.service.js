@@ -0,0 +1,398 @@
+import mongoose from "mongoose";
+import Result from "../models/result.model.js";
+import Attendance from "../models/attendance.model.js";
+import Assignment from "../models/assignment.model.js";
+import Submission from "../models/submission.model.js";
+import Student from "../models/student.model.js";
+import Class from "../models/class.model.js";
+import ProgressSettings from "../models/progressSettings.model.js";
+import academicYearService from "./academicYear.service.js";
+
+const SETTING_FIELDS = [
+  "minAttendancePercentage",
+  "minOverallPercentage",
+  "maxPercentageDrop",
+  "maxMissingSubmissions",
+  "maxLateSubmissions",
+  "lookbackDays",
+  "minIndicators",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round2 = (value) =>
+  value === null || value === undefined ? null : Math.round(value * 100) / 100;
+
+const percentageOf = (obtained, max) =>
+  max > 0 ? (obtained / max) * 100 : null;
+
+class StudentProgressService {
+  // Current thresholds (defaults until an admin saves settings)
+  async getSettings() {
+    return (
+      (await ProgressSettings.findOne({ key: "default" })) ||
+      new ProgressSettings()
+    );
+  }
+
+  // Update thresholds
+  async updateSettings(data) {
+    const update = {};
+    for (const field of SETTING_FIELDS) {
+      if (data[field] !== undefined) update[field] = data[field];
+    }
+    if (Object.keys(update).length === 0) {
+      throw requestError("No settings to update");
+    }
+
+    return await ProgressSettings.findOneAndUpdate(
+      { key: "default" },
+      { $set: update },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      },
+    );
+  }
+
+  /**
+   * Raw indicators for students of one class: exam-by-exam percentages,
+   * attendance within the lookback window and assignments due in it
+   */
+  async collectMetrics(
+    students,
+    { classId, academicYear, since, publishedOnly },
+  ) {
+    const studentIds = students.map((s) => s._id);
+
+    const resultMatch = { studentId: { $in: studentIds }, academicYear };
+    if (publishedOnly) resultMatch.isPublished = true;
+
+    const [examRows, attendanceRows, assignments] = await Promise.all([
+      // Overall percentage per exam, in the order the exams were held
+      Result.aggregate([
+        { $match: resultMatch },
+        {
+          $group: {
+            _id: { studentId: "$studentId", examType: "$examType" },
+            marksObtained: { $sum: "$marksObtained" },
+            maxMarks: { $sum: "$maxMarks" },
+            heldOn: { $min: "$createdAt" },
+          },
+        },
+        { $sort: { heldOn: 1 } },
+      ]),
+      Attendance.aggregate([
+        { $match: { studentId: { $in: studentIds }, date: { $gte: since } } },
+        {
+          $group: {
+            _id: { studentId: "$studentId", status: "$status" },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+      classId
+        ? Assignment.find({
+            class: classId,
+            status: { $in: ["published", "expired"] },
+            isActive: true,
+            dueDate: { $gte: since, $lte: new Date() },
+          })
+            .select("title dueDate subject")
+            .populate("subject", "name")
+            .sort({ dueDate: 1 })
+        : [],
+    ]);
+
+    const submissions =
+      assignments.length > 0
+        ? await Submission.find({
+            assignment: { $in: assignments.map((a) => a._id) },
+            student: { $in: students.map((s) => s.userId?._id || s.userId) },
+          }).select("assignment student isLate")
+        : [];
+
+    const metrics = new Map();
+    for (const student of students) {
+      const id = student._id.toString();
+      const userId = (student.userId?._id || student.userId)?.toString();
+
+      const exams = examRows
+        .filter((row) => row._id.studentId.toString() === id)
+        .map((row) => ({
+          examType: row._id.examType,
+          marksObtained: row.marksObtained,
+          maxMarks: row.maxMarks,
+          percentage: round2(percentageOf(row.marksObtained, row.maxMarks)),
+          heldOn: row.heldOn,
+        }));
+
+      const byStatus = Object.fromEntries(
+        attendanceRows
+          .filter((row) => row._id.studentId.toString() === id)
+          .map((row) => [row._id.status, row.count]),
+      );
+      const attended = (byStatus.present || 0) + (byStatus.late || 0);
+      const totalClasses =
+        attended + (byStatus.absent || 0) + (byStatus.excused || 0);
+
+      const own = submissions.filter((s) => s.student.toString() === userId);
+      const submittedIds = new Set(own.map((s) => s.assignment.toString()));
+      const missing = assignments.filter(
+        (a) => !submittedIds.has(a._id.toString()),
+      );
+
+      metrics.set(id, {
+        exams,
+        attendance: {
+          totalClasses,
+          attended,
+          absent: byStatus.absent || 0,
+          percentage: round2(percentageOf(attended, totalClasses)),
+        },
+        submissions: {
+          due: assignments.length,
+          submitted: own.length,
+          late: own.filter((s) => s.isLate).length,
+          missing: missing.length,
+          missingAssignments: missing.map((a) => ({
+            id: a._id,
+            title: a.title,
+            subject: a.subject?.name || null,
+            dueDate: a.dueDate,
+          })),
+        },
+      });
+    }
+    return metrics;
+  }
+
+  // Compare a student's metrics with the thresholds
+  evaluate(metrics, settings) {
+    const { exams, attendance, submissions } = metrics;
+    const latest = exams.at(-1) || null;
+    const previous = exams.at(-2) || null;
+    const change =
+      latest && previous
+        ? round2(latest.percentage - previous.percentage)
+        : null;
+
+    const indicators = [
+      {
+        key: "attendance",
+        label: "Low attendance",
+        value: attendance.percentage,
+        threshold: settings.minAttendancePercentage,
+        triggered:
+          attendance.totalClasses > 0 &&
+          attendance.percentage < settings.minAttendancePercentage,
+      },
+      {
+        key: "lowScore",
+        label: "Low score in latest exam",
+        value: latest?.percentage ?? null,
+        threshold: settings.minOverallPercentage,
+        triggered:
+          Boolean(latest) && latest.percentage < settings.minOverallPercentage,
+      },
+      {
+        key: "scoreDrop",
+        label: "Drop since previous exam",
+        value: change,
+        threshold: -settings.maxPercentageDrop,
+        triggered: change !== null && -change > settings.maxPercentageDrop,
+      },
+      {
+        key: "missingWork",
+        label: "Missing assignments",
+        value: submissions.missing,
+        threshold: settings.maxMissingSubmissions,
+        triggered: submissions.missing > settings.maxMissingSubmissions,
+      },
+      {
+        key: "lateWork",
+        label: "Late submissions",
+        value: submissions.late,
+        threshold: settings.maxLateSubmissions,
+        triggered: submissions.late > settings.maxLateSubmissions,
+      },
+    ];
+
+    const riskScore = indicators.filter((i) => i.triggered).length;
+    return {
+      trend: {
+        latestExam: latest?.examType || null,
+        latestPercentage: latest?.percentage ?? null,
+        changeFromPrevious: change,
+        changeFromFirst:
+          latest && exams.length > 1
+            ? round2(latest.percentage - exams[0].percentage)
+            : null,
+      },
+      indicators,
+      riskScore,
+      isAtRisk: riskScore >= settings.minIndicators,
+    };
+  }
+
+  /**
+   * Progress of one student: exam trend, attendance and assignment
+   * indicators with the at-risk verdict
+   */
+  async getStudentProgress(studentId, options = {}) {
+    const student = await Student.findById(studentId)
+      .populate("userId", "name email")
+      .populate("classId", "name section");
+    if (!student) {
+      throw requestError("Student not found", 404);
+    }
+
+    const settings = await this.getSettings();
+    const academicYear = options.academicYear
+      ? await academicYearService.assertKnownYear(options.academicYear)
+      : student.academicYear;
+    const since = new Date(Date.now() - settings.lookbackDays * DAY_MS);
+
+    const metrics = await this.collectMetrics([student], {
+      classId: student.classId?._id || null,
+      academicYear,
+      since,
+      publishedOnly: options.publishedOnly,
+    });
+    const own = metrics.get(student._id.toString());
+
+    return {
+      student: {
+        id: student._id,
+        name: student.userId?.name || null,
+        admissionNumber: student.admissionNumber,
+        class: student.classId
+          ? `${student.classId.name} - ${student.classId.section}`
+          : null,
+      },
+      academicYear,
+      since,
+      exams: own.exams,
+      attendance: own.attendance,
+      submissions: own.submissions,
+      ...this.evaluate(own, settings),
+    };
+  }
+
+  // Admins see every class; teachers only classes they are class teacher of
+  async assertClassTeacher(user, classDoc) {
+    if (user.role === "admin") return;
+    if (
+      user.role === "teacher" &&
+      classDoc.classTeacher &&
+      classDoc.classTeacher.toString() === user.profileId?.toString()
+    ) {
+      return;
+    }
+    throw requestError(
+      "Only the class teacher or an admin can view this class's at-risk list",
+      403,
+    );
+  }
+
+  /**
+   * At-risk students of a class, highest risk first. `includeAll`
+   * returns every active student with their indicators.
+   */
+  async getAtRiskStudents(classId, user, { includeAll = false } = {}) {
+    if (!mongoose.isValidObjectId(classId)) {
+      throw requestError("Invalid class ID");
+    }
+    const classDoc = await Class.findById(classId).select(
+      "name section academicYear classTeacher",
+    );
+    if (!classDoc) {
+      throw requestError("Class not found", 404);
+    }
+    await this.assertClassTeacher(user, classDoc);
+
+    const settings = await this.getSettings();
+    const since = new Date(Date.now() - settings.lookbackDays * DAY_MS);
+
+    const students = await Student.find({
+      classId: classDoc._id,
+      enrollmentStatus: "active",
+    })
+      .select("admissionNumber rollNumber userId")
+      .populate("userId", "name")
+      .sort({ rollNumber: 1 });
+
+    const metrics = await this.collectMetrics(students, {
+      classId: classDoc._id,
+      academicYear: classDoc.academicYear,
+      since,
+    });
+
+    const rows = students
+      .map((student) => {
+        const own = metrics.get(student._id.toString());
+        const evaluation = this.evaluate(own, settings);
+        return {
+          studentId: student._id,
+          name: student.userId?.name || null,
+          admissionNumber: student.admissionNumber,
+          rollNumber: student.rollNumber,
+          attendancePercentage: own.attendance.percentage,
+          missingSubmissions: own.submissions.missing,
+          lateSubmissions: own.submissions.late,
+          ...evaluation.trend,
+          riskScore: evaluation.riskScore,
+          isAtRisk: evaluation.isAtRisk,
+          reasons: evaluation.indicators
+            .filter((indicator) => indicator.triggered)
+            .map((indicator) => indicator.label),
+        };
+      })
+      .filter((row) => includeAll || row.isAtRisk)
+      .sort((a, b) => b.riskScore - a.riskScore);
+
+    return {
+      class: {
+        id: classDoc._id,
+        name: classDoc.name,
+        section: classDoc.section,
+        academicYear: classDoc.academicYear,
+      },
+      since,
+      settings: Object.fromEntries(
+        SETTING_FIELDS.map((field) => [field, settings[field]]),
+      ),
+      totalStudents: students.length,
+      atRiskCount: rows.filter((row) => row.isAtRisk).length,
+      students: rows,
+    };
+  }
+
+  // At-risk lists for every class the teacher is class teacher of
+  async getAtRiskForTeacher(user) {
+    if (!user.profileId) {
+      throw requestError("Teacher profile not found", 404);
+    }
+
+    const query = { classTeacher: user.profileId };
+    const currentYear = await academicYearService.getCurrentYearName();
+    if (currentYear) query.academicYear = currentYear;
+
+    const classes = await Class.find(query).select("_id").sort({ name: 1 });
+    const lists = [];
+    for (const classDoc of classes) {
+      lists.push(await this.getAtRiskStudents(classDoc._id, user));
+    }
+    return lists;
+  }
+}
+
+export default new StudentProgressService();
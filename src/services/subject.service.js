@@ -1,6 +1,7 @@
 import Subject from "../models/subject.model.js";
 import Teacher from "../models/teacher.model.js";
 import Class from "../models/class.model.js";
+import academicYearService from "./academicYear.service.js";
 import {
   normalizeOptionalObjectId,
   resolveTeacherProfile,
@@ -28,6 +29,11 @@ class SubjectService {
         delete data.classId;
       }
 
+      // Registered academic year (current session by default)
+      data.academicYear = await academicYearService.resolveAcademicYear(
+        data.academicYear,
+      );
+
       // Check if subject code already exists (check both active and inactive)
       const existingSubject = await Subject.findOne({ code: data.code });
       if (existingSubject) {
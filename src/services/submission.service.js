@@ -1,5 +1,79 @@
 import Submission from "../models/submission.model.js";
 import Assignment from "../models/assignment.model.js";
+import Rubric from "../models/rubric.model.js";
+import rubricService from "./rubric.service.js";
+
+// Version 1 of a submission made before attempts were versioned
+const legacyVersion = (submission) => ({
+  attempt: 1,
+  files: submission.files.map((file) => file.toObject()),
+  submissionNotes: submission.submissionNotes,
+  submittedAt: submission.submittedAt,
+  isLate: submission.isLate,
+  marksObtained: submission.marksObtained,
+  feedback: submission.feedback,
+  rubricScores: submission.rubricScores.map((score) => score.toObject()),
+  gradedAt: submission.gradedAt,
+  gradedBy: submission.gradedBy,
+});
+
+// Top-level submission fields, which mirror the latest version
+const mirrorVersion = (version) => ({
+  files: (version.files || []).map((file) => file.toObject?.() ?? file),
+  submissionNotes: version.submissionNotes,
+  submittedAt: version.submittedAt,
+  isLate: version.isLate,
+  status:
+    version.marksObtained !== null && version.marksObtained !== undefined
+      ? "graded"
+      : version.isLate
+        ? "late"
+        : "submitted",
+  marksObtained: version.marksObtained ?? null,
+  feedback: version.feedback,
+  rubricScores: (version.rubricScores || []).map(
+    (score) => score.toObject?.() ?? score,
+  ),
+  gradedAt: version.gradedAt,
+  gradedBy: version.gradedBy,
+});
+
+const attemptsInfo = (submission, assignment) => {
+  const maxAttempts = assignment.maxAttempts || 1;
+  const attemptsUsed = submission.versions.length || 1;
+  const latest = submission.versions[submission.versions.length - 1];
+  const awaitingFeedback =
+    assignment.resubmission === "after-feedback" &&
+    (latest ? latest.marksObtained : submission.marksObtained) == null;
+
+  return {
+    maxAttempts,
+    attemptsUsed,
+    attemptsLeft: Math.max(0, maxAttempts - attemptsUsed),
+    canResubmit: attemptsUsed < maxAttempts && !awaitingFeedback,
+  };
+};
+
+// Save a submission only if no other attempt was added since it was read.
+// Submissions stored before versioning have no versions field at all.
+const saveVersioned = async (submission, versionCount) => {
+  submission.$where =
+    versionCount === 0
+      ? {
+          $or: [{ versions: { $exists: false } }, { versions: { $size: 0 } }],
+        }
+      : { versions: { $size: versionCount } };
+  try {
+    await submission.save();
+  } catch (error) {
+    if (error.name === "DocumentNotFoundError") {
+      throw new Error(
+        "Another attempt was submitted at the same time, please reload",
+      );
+    }
+    throw error;
+  }
+};
 
 class SubmissionService {
   // Create submission (student submits assignment)
@@ -17,28 +91,35 @@ class SubmissionService {
         throw new Error("Assignment is not published yet");
       }
 
-      // Check if already submitted
+      // A further submission is a new attempt on the existing one
       const existingSubmission = await Submission.findOne({
         assignment,
         student,
       });
 
       if (existingSubmission) {
-        throw new Error("You have already submitted this assignment");
+        return await this.addAttempt(existingSubmission, assignmentDoc, {
+          files,
+          submissionNotes,
+        });
       }
 
       // Check if past due date
       const now = new Date();
       const isLate = now > assignmentDoc.dueDate;
 
-      const submission = await Submission.create({
-        assignment,
-        student,
+      const version = {
+        attempt: 1,
         files,
         submissionNotes,
-        isLate,
-        status: isLate ? "late" : "submitted",
         submittedAt: now,
+        isLate,
+      };
+      const submission = await Submission.create({
+        assignment,
+        student,
+        ...mirrorVersion(version),
+        versions: [version],
       });
 
       return await Submission.findById(submission._id)
@@ -55,48 +136,125 @@ class SubmissionService {
     }
   }
 
-  // Update submission (before grading, student can update)
+  /**
+   * Record a new attempt as the next version. Earlier versions are kept
+   * as they were; files or notes left out are carried over from the
+   * previous attempt.
+   */
+  async addAttempt(submission, assignment, { files, submissionNotes }) {
+    const storedCount = submission.versions.length;
+    if (storedCount === 0) {
+      submission.versions.push(legacyVersion(submission));
+    }
+    const versionCount = submission.versions.length;
+    const latest = submission.versions[versionCount - 1];
+    const maxAttempts = assignment.maxAttempts || 1;
+
+    if (versionCount >= maxAttempts) {
+      throw new Error(
+        maxAttempts === 1
+          ? "You have already submitted this assignment"
+          : `You have used all ${maxAttempts} attempts for this assignment`,
+      );
+    }
+    if (
+      assignment.resubmission === "after-feedback" &&
+      latest.marksObtained == null
+    ) {
+      throw new Error(
+        "You can resubmit once your last attempt has been graded",
+      );
+    }
+
+    const now = new Date();
+    submission.versions.push({
+      attempt: latest.attempt + 1,
+      files: files ?? latest.files.map((file) => file.toObject()),
+      submissionNotes:
+        submissionNotes !== undefined
+          ? submissionNotes
+          : latest.submissionNotes,
+      submittedAt: now,
+      isLate: now > assignment.dueDate,
+    });
+    submission.set(mirrorVersion(submission.versions[versionCount]));
+
+    await saveVersioned(submission, storedCount);
+
+    return await Submission.findById(submission._id)
+      .populate("student", "name email")
+      .populate({
+        path: "assignment",
+        populate: [
+          { path: "subject", select: "name code" },
+          { path: "class", select: "name section" },
+        ],
+      });
+  }
+
+  // Resubmit (student): adds a new attempt, never overwrites one
   async updateSubmission(submissionId, updateData, studentId) {
     try {
       const submission = await Submission.findOne({
         _id: submissionId,
         student: studentId,
-      }).populate("assignment");
+      });
 
       if (!submission) {
         throw new Error("Submission not found or unauthorized");
       }
 
-      // Check if already graded
-      if (submission.status === "graded") {
-        throw new Error("Cannot update a graded submission");
+      const assignment = await Assignment.findById(submission.assignment);
+      if (!assignment || assignment.status !== "published") {
+        throw new Error("Assignment is not open for submissions");
       }
 
-      // Check if assignment is still open
-      const now = new Date();
-      if (now > submission.assignment.dueDate) {
-        throw new Error("Cannot update submission after due date");
-      }
+      return await this.addAttempt(submission, assignment, {
+        files: updateData.files,
+        submissionNotes: updateData.submissionNotes,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      // Update files and notes
-      if (updateData.files) {
-        submission.files = updateData.files;
-      }
-      if (updateData.submissionNotes !== undefined) {
-        submission.submissionNotes = updateData.submissionNotes;
+  /**
+   * All versions of a submission with the attempt allowance. Visible to
+   * the student who submitted, the assignment's teacher and admins.
+   */
+  async getSubmissionVersions(submissionId, user) {
+    try {
+      const submission = await Submission.findById(submissionId)
+        .populate("student", "name email")
+        .populate(
+          "assignment",
+          "title totalMarks dueDate teacher maxAttempts resubmission rubric",
+        )
+        .populate("versions.gradedBy", "name email");
+
+      if (!submission) {
+        throw new Error("Submission not found");
       }
 
-      await submission.save();
+      const userId = user._id.toString();
+      if (
+        (user.role === "student" &&
+          submission.student._id.toString() !== userId) ||
+        (user.role === "teacher" &&
+          submission.assignment.teacher.toString() !== userId)
+      ) {
+        throw new Error("Unauthorized to view this submission");
+      }
 
-      return await Submission.findById(submissionId)
-        .populate("student", "name email")
-        .populate({
-          path: "assignment",
-          populate: [
-            { path: "subject", select: "name code" },
-            { path: "class", select: "name section" },
-          ],
-        });
+      return {
+        submissionId: submission._id,
+        assignment: submission.assignment,
+        student: submission.student,
+        ...attemptsInfo(submission, submission.assignment),
+        versions: submission.versions.length
+          ? submission.versions
+          : [legacyVersion(submission)],
+      };
     } catch (error) {
       throw error;
     }
@@ -227,10 +385,11 @@ class SubmissionService {
     }
   }
 
-  // Grade submission (teacher)
+  // Grade one version of a submission (teacher); the latest by default
   async gradeSubmission(submissionId, gradeData, teacherId) {
     try {
-      const { marksObtained, feedback } = gradeData;
+      const { feedback, version } = gradeData;
+      let { marksObtained } = gradeData;
 
       const submission =
         await Submission.findById(submissionId).populate("assignment");
@@ -244,6 +403,20 @@ class SubmissionService {
         throw new Error("Unauthorized to grade this submission");
       }
 
+      // With a rubric the marks are computed from the criterion scores
+      let rubricScores = [];
+      if (submission.assignment.rubric) {
+        const rubric = await Rubric.findById(submission.assignment.rubric);
+        if (!rubric) {
+          throw new Error("The assignment's rubric no longer exists");
+        }
+        ({ marksObtained, rubricScores } = rubricService.scoreSubmission(
+          rubric,
+          gradeData.rubricScores,
+          submission.assignment.totalMarks,
+        ));
+      }
+
       // Validate marks
       if (
         marksObtained < 0 ||
@@ -254,13 +427,30 @@ class SubmissionService {
         );
       }
 
-      submission.marksObtained = marksObtained;
-      submission.feedback = feedback || "";
-      submission.status = "graded";
-      submission.gradedAt = new Date();
-      submission.gradedBy = teacherId;
+      const storedCount = submission.versions.length;
+      if (storedCount === 0) {
+        submission.versions.push(legacyVersion(submission));
+      }
+      const latest = submission.versions[submission.versions.length - 1];
+      const attempt =
+        version !== undefined && version !== null
+          ? Number(version)
+          : latest.attempt;
+      const graded = submission.versions.find((v) => v.attempt === attempt);
+      if (!graded) {
+        throw new Error(`Attempt ${version} not found`);
+      }
 
-      await submission.save();
+      graded.marksObtained = marksObtained;
+      graded.feedback = feedback || "";
+      graded.rubricScores = rubricScores;
+      graded.gradedAt = new Date();
+      graded.gradedBy = teacherId;
+      if (graded === latest) {
+        submission.set(mirrorVersion(graded));
+      }
+
+      await saveVersioned(submission, storedCount);
 
       return await Submission.findById(submissionId)
         .populate("student", "name email")
@@ -271,7 +461,8 @@ class SubmissionService {
             { path: "class", select: "name section" },
           ],
         })
-        .populate("gradedBy", "name email");
+        .populate("gradedBy", "name email")
+        .populate("versions.gradedBy", "name email");
     } catch (error) {
       throw error;
     }
@@ -0,0 +1,37 @@
+import academicYearService from "../services/academicYear.service.js";
+
+/**
+ * Academic Year Plugin
+ * Keeps the academicYear field of a model consistent with the
+ * AcademicYear registry:
+ * - documents saved without a year get the current session
+ * - unknown year strings (e.g. "2025-26") are rejected on save, insertMany
+ *   and on query updates (findOneAndUpdate, updateOne, updateMany)
+ */
+
+const UPDATE_QUERY_OPS = ["findOneAndUpdate", "updateOne", "updateMany"];
+
+const academicYearPlugin = (schema) => {
+  schema.pre("validate", async function () {
+    if (!this.academicYear) {
+      const current = await academicYearService.getCurrentYearName();
+      if (current) this.academicYear = current;
+      return;
+    }
+
+    if (this.isNew || this.isModified("academicYear")) {
+      await academicYearService.assertKnownYear(this.academicYear);
+    }
+  });
+
+  schema.pre(UPDATE_QUERY_OPS, async function () {
+    const update = this.getUpdate() || {};
+    const academicYear = update.$set?.academicYear ?? update.academicYear;
+
+    if (academicYear !== undefined) {
+      await academicYearService.assertKnownYear(academicYear);
+    }
+  });
+};
+
+export default academicYearPlugin;
@@ -0,0 +1,233 @@
+import AuditLog from "../models/auditLog.model.js";
+import { getRequestContext } from "./requestContext.js";
+
+/**
+ * Audit Plugin
+ * Records create / update / delete on a model into the AuditLog collection,
+ * with a before/after diff of the changed fields.
+ *
+ * Covers document saves and deletes as well as query writes
+ * (findOneAndUpdate, updateOne, updateMany, findOneAndDelete, deleteOne,
+ * deleteMany). The actor, IP and route come from the request context.
+ *
+ * By default only writes made by admins and teachers are logged; models
+ * holding money (fees, payments, payment orders) pass `auditAllRoles` so
+ * parent, student and background-job writes are logged too.
+ *
+ *   schema.plugin(auditPlugin);
+ *   schema.plugin(auditPlugin, { auditAllRoles: true });
+ *
+ * Options:
+ * - entityType: name stored on the log entry (defaults to the model name)
+ * - redact: fields whose values are never written to the log (e.g. password)
+ * - auditAllRoles: log writes by every role and by system jobs,
+ *   not only by admins and teachers
+ */
+
+const AUDITED_ROLES = ["admin", "teacher"];
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+const REDACTED = "[REDACTED]";
+
+const MULTI_QUERY_OPS = ["updateMany", "deleteMany"];
+const UPDATE_QUERY_OPS = ["findOneAndUpdate", "updateOne", "updateMany"];
+const DELETE_QUERY_OPS = ["findOneAndDelete", "deleteOne", "deleteMany"];
+
+// Plain JSON copy so ObjectIds / Dates compare and store consistently
+const toPlain = (value) => (value ? JSON.parse(JSON.stringify(value)) : value);
+
+const snapshot = (doc) =>
+  toPlain(
+    typeof doc.toObject === "function"
+      ? doc.toObject({ depopulate: true, virtuals: false })
+      : doc,
+  );
+
+const redactValues = (values, redact) => {
+  if (!values) return values;
+  const copy = { ...values };
+  for (const field of redact) {
+    if (field in copy) copy[field] = REDACTED;
+  }
+  return copy;
+};
+
+const diff = (before = {}, after = {}) => {
+  const changedFields = [];
+  const beforeValues = {};
+  const afterValues = {};
+
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(before[field]) === JSON.stringify(after[field])) {
+      continue;
+    }
+    changedFields.push(field);
+    beforeValues[field] = before[field] ?? null;
+    afterValues[field] = after[field] ?? null;
+  }
+
+  return { changedFields, before: beforeValues, after: afterValues };
+};
+
+const auditPlugin = (schema, options = {}) => {
+  const { redact = [], auditAllRoles = false } = options;
+
+  const shouldAudit = () => {
+    const context = getRequestContext();
+    if (auditAllRoles) return true;
+    return Boolean(
+      context?.actor && AUDITED_ROLES.includes(context.actor.role),
+    );
+  };
+
+  const writeEntry = async (entityType, action, entityId, before, after) => {
+    const entry =
+      action === "update"
+        ? diff(before, after)
+        : {
+            changedFields: Object.keys(before || after).filter(
+              (field) => !IGNORED_FIELDS.includes(field),
+            ),
+            before: before || null,
+            after: after || null,
+          };
+
+    if (action === "update" && entry.changedFields.length === 0) return;
+
+    const context = getRequestContext();
+    const actor = context?.actor;
+
+    try {
+      await AuditLog.create({
+        actor: actor?.id || null,
+        actorRole: actor?.role || "system",
+        actorName: actor?.name || null,
+        action,
+        entityType,
+        entityId,
+        changedFields: entry.changedFields,
+        before: redactValues(entry.before, redact),
+        after: redactValues(entry.after, redact),
+        ipAddress: context?.ipAddress || null,
+        userAgent: context?.userAgent || null,
+        method: context?.method || null,
+        path: context?.path || null,
+      });
+    } catch (error) {
+      // Auditing must never break the write it describes
+      console.error(`Audit log write failed: ${error.message}`);
+    }
+  };
+
+  const entityTypeOf = (model) => options.entityType || model.modelName;
+
+  // ---- Document middleware (doc.save(), Model.create(), doc.deleteOne()) ----
+
+  schema.post("init", function () {
+    if (shouldAudit()) {
+      this.$locals.auditOriginal = snapshot(this);
+    }
+  });
+
+  schema.pre("save", function () {
+    this.$locals.auditWasNew = this.isNew;
+  });
+
+  schema.post("save", async function (doc) {
+    if (!shouldAudit()) return;
+
+    const after = snapshot(doc);
+    if (doc.$locals.auditWasNew) {
+      await writeEntry(
+        entityTypeOf(doc.constructor),
+        "create",
+        doc._id,
+        null,
+        after,
+      );
+    } else if (doc.$locals.auditOriginal) {
+      await writeEntry(
+        entityTypeOf(doc.constructor),
+        "update",
+        doc._id,
+        doc.$locals.auditOriginal,
+        after,
+      );
+    }
+    doc.$locals.auditOriginal = after;
+  });
+
+  schema.post(
+    "deleteOne",
+    { document: true, query: false },
+    async function (doc) {
+      if (!shouldAudit()) return;
+      await writeEntry(
+        entityTypeOf(doc.constructor),
+        "delete",
+        doc._id,
+        snapshot(doc),
+        null,
+      );
+    },
+  );
+
+  // ---- Query middleware (findByIdAndUpdate, updateMany, ...) ----
+
+  const loadBefore = async function () {
+    if (!shouldAudit()) return;
+
+    const query = this.model.find(this.getFilter()).lean();
+    if (!MULTI_QUERY_OPS.includes(this.op)) query.limit(1);
+    this._auditBefore = await query;
+  };
+
+  schema.pre(UPDATE_QUERY_OPS, loadBefore);
+  schema.pre(DELETE_QUERY_OPS, { document: false, query: true }, loadBefore);
+
+  schema.post(UPDATE_QUERY_OPS, async function () {
+    const beforeDocs = this._auditBefore;
+    if (!beforeDocs || beforeDocs.length === 0) return;
+
+    const afterDocs = await this.model
+      .find({ _id: { $in: beforeDocs.map((doc) => doc._id) } })
+      .lean();
+    const afterById = new Map(
+      afterDocs.map((doc) => [doc._id.toString(), toPlain(doc)]),
+    );
+
+    for (const beforeDoc of beforeDocs) {
+      const after = afterById.get(beforeDoc._id.toString());
+      if (!after) continue;
+      await writeEntry(
+        entityTypeOf(this.model),
+        "update",
+        beforeDoc._id,
+        toPlain(beforeDoc),
+        after,
+      );
+    }
+  });
+
+  schema.post(
+    DELETE_QUERY_OPS,
+    { document: false, query: true },
+    async function () {
+      const beforeDocs = this._auditBefore;
+      if (!beforeDocs || beforeDocs.length === 0) return;
+
+      for (const beforeDoc of beforeDocs) {
+        await writeEntry(
+          entityTypeOf(this.model),
+          "delete",
+          beforeDoc._id,
+          toPlain(beforeDoc),
+          null,
+        );
+      }
+    },
+  );
+};
+
+export default auditPlugin;
@@ -0,0 +1,81 @@
+/**
+ * Minimal CSV parser (RFC 4180): quoted fields, escaped quotes ("") and
+ * newlines inside quotes. Spreadsheet exports (Excel "CSV UTF-8",
+ * Google Sheets) produce this format.
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM added by Excel
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Malformed CSV: unterminated quoted field");
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Parse CSV text into objects keyed by the header row.
+ * Headers are passed through `normalizeHeader` (identity by default).
+ */
+export const parseCsv = (text, normalizeHeader = (header) => header) => {
+  const [headerRow, ...dataRows] = parseCsvRows(text);
+  if (!headerRow) return [];
+
+  const headers = headerRow.map((header) => normalizeHeader(header.trim()));
+
+  return dataRows.map((values) =>
+    headers.reduce((record, header, index) => {
+      if (header) record[header] = (values[index] ?? "").trim();
+      return record;
+    }, {}),
+  );
+};
@@ -0,0 +1,179 @@
+import PDFDocument from "pdfkit";
+import getSchoolProfile from "../config/school.js";
+
+/**
+ * Shared PDF layout helpers (pdfkit) for generated documents:
+ * school header, label/value blocks, simple tables and a footer line.
+ */
+
+const MARGIN = 40;
+const ROW_HEIGHT = 18;
+
+/**
+ * Render a document into a Buffer. `draw` receives the pdfkit document.
+ */
+export const renderPdf = (draw, options = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: MARGIN,
+      bufferPages: true,
+      ...options,
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+const contentWidth = (doc) => doc.page.width - MARGIN * 2;
+
+// Start a new page when fewer than `height` points are left
+export const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - MARGIN - 30) {
+    doc.addPage();
+  }
+};
+
+// School name, contact line and document title
+export const drawHeader = (doc, title, subtitle = null) => {
+  const school = getSchoolProfile();
+  const contact = [school.address, school.phone, school.email, school.website]
+    .filter(Boolean)
+    .join("  |  ");
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .text(school.name, { align: "center" });
+  if (contact) {
+    doc.font("Helvetica").fontSize(9).text(contact, { align: "center" });
+  }
+  doc.moveDown(0.5);
+  doc
+    .moveTo(MARGIN, doc.y)
+    .lineTo(doc.page.width - MARGIN, doc.y)
+    .stroke();
+  doc.moveDown(0.5);
+
+  doc.font("Helvetica-Bold").fontSize(14).text(title, { align: "center" });
+  if (subtitle) {
+    doc.font("Helvetica").fontSize(10).text(subtitle, { align: "center" });
+  }
+  doc.moveDown();
+};
+
+// Section heading
+export const drawHeading = (doc, text) => {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.5);
+  doc.font("Helvetica-Bold").fontSize(11).text(text, MARGIN);
+  doc.moveDown(0.3);
+};
+
+// Two-column "Label: value" block
+export const drawDetails = (doc, entries) => {
+  const columnWidth = contentWidth(doc) / 2;
+  const pairs = entries.filter(([, value]) => value !== null && value !== "");
+
+  for (let i = 0; i < pairs.length; i += 2) {
+    ensureSpace(doc, ROW_HEIGHT);
+    const y = doc.y;
+    pairs.slice(i, i + 2).forEach(([label, value], column) => {
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(9)
+        .text(`${label}: `, MARGIN + column * columnWidth, y, {
+          continued: true,
+          width: columnWidth - 10,
+        })
+        .font("Helvetica")
+        .text(String(value));
+    });
+    doc.y = y + ROW_HEIGHT - 4;
+  }
+  doc.x = MARGIN;
+};
+
+/**
+ * Simple table. columns: [{ label, width (fraction), align }]
+ * rows: arrays of cell values
+ */
+export const drawTable = (doc, columns, rows) => {
+  const totalWidth = contentWidth(doc);
+  const widths = columns.map((column) => column.width * totalWidth);
+
+  const drawRow = (cells, bold) => {
+    ensureSpace(doc, ROW_HEIGHT);
+    const y = doc.y;
+    let x = MARGIN;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    cells.forEach((cell, index) => {
+      doc.text(
+        cell === null || cell === undefined ? "-" : String(cell),
+        x + 3,
+        y + 4,
+        {
+          width: widths[index] - 6,
+          align: columns[index].align || "left",
+          lineBreak: false,
+          ellipsis: true,
+        },
+      );
+      x += widths[index];
+    });
+    doc
+      .moveTo(MARGIN, y + ROW_HEIGHT)
+      .lineTo(MARGIN + totalWidth, y + ROW_HEIGHT)
+      .lineWidth(0.5)
+      .strokeColor("#999999")
+      .stroke()
+      .strokeColor("#000000")
+      .lineWidth(1);
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  drawRow(
+    columns.map((column) => column.label),
+    true,
+  );
+  rows.forEach((row) => drawRow(row, false));
+  doc.x = MARGIN;
+  doc.moveDown(0.5);
+};
+
+// Plain paragraph text
+export const drawText = (doc, text, options = {}) => {
+  ensureSpace(doc, ROW_HEIGHT * 2);
+  doc
+    .font(options.bold ? "Helvetica-Bold" : "Helvetica")
+    .fontSize(options.fontSize || 9)
+    .text(text, MARGIN, doc.y, { width: contentWidth(doc) });
+};
+
+// Footer line on every page (call once, after all content)
+export const drawFooter = (doc, text) => {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .text(
+        `${text}    Page ${i + 1} of ${range.count}`,
+        MARGIN,
+        doc.page.height - MARGIN,
+        { width: contentWidth(doc), align: "center", lineBreak: false },
+      );
+    doc.page.margins.bottom = bottom;
+  }
+};
@@ -77,6 +77,17 @@ export const resolveTeacherProfile = async (teacherIdOrUserId) => {
   return teacher;
 };
 
+/**
+ * Generate unique admission number for students
+ * (student count + 1). `offset` skips ahead past numbers that are
+ * already taken.
+ */
+export const generateAdmissionNumber = async (offset = 0) => {
+  const year = new Date().getFullYear().toString().slice(-2);
+  const count = await Student.countDocuments();
+  return `ADM${year}${(count + 1 + offset).toString().padStart(5, "0")}`;
+};
+
 /**
  * Treat empty-string ObjectId inputs as "not provided".
  */
@@ -0,0 +1,35 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Per-request context (actor, IP, route) that code deep in the call stack,
+ * such as model plugins, can read without it being passed around.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a callback inside a fresh request context
+ */
+export const runWithRequestContext = (context, callback) => {
+  return storage.run({ actor: null, ...context }, callback);
+};
+
+/**
+ * Get the current request context (null outside a request, e.g. in jobs)
+ */
+export const getRequestContext = () => {
+  return storage.getStore() || null;
+};
+
+/**
+ * Attach the authenticated user to the current request context
+ */
+export const setRequestActor = (user) => {
+  const context = storage.getStore();
+  if (!context || !user) return;
+
+  context.actor = {
+    id: user._id,
+    role: user.role,
+    name: user.name,
+  };
+};